@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Applied filters as removable chips, shown above the charts
+const ActiveFilterChips = ({ chips, onRemove, onClearAll }) => {
+  if (chips.length === 0) return null;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-3 flex flex-wrap items-center gap-2" data-export-ignore>
+      <span className="text-sm font-medium text-gray-700 mr-1">Active filters:</span>
+      {chips.map(chip => (
+        <span
+          key={chip.id}
+          className="inline-flex items-center px-2 py-1 rounded-full bg-blue-100 text-blue-800 text-sm"
+        >
+          {chip.label}
+          <button
+            onClick={() => onRemove(chip)}
+            className="ml-1 text-blue-600 hover:text-blue-900 leading-none"
+            title="Remove this filter"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <button onClick={onClearAll} className="text-sm text-blue-600 hover:underline ml-1">
+        Clear all
+      </button>
+    </div>
+  );
+};
+
+export default ActiveFilterChips;
@@ -0,0 +1,278 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { FORMULA_FUNCTIONS } from './formulas';
+import { EXAMPLE_COLUMNS, compileColumns, createCalculatedColumn } from './calculatedColumns';
+import { formatFieldValue } from './formatters';
+import { columnLabel } from './tableColumns';
+
+const NAME_FIELD = "Sellside Project: Axial Opportunity";
+const PREVIEW_COUNT = 5;
+
+const EMPTY_DRAFT = { id: null, name: '', formula: '' };
+
+// The formula with the part an error points at marked
+const FormulaWithError = ({ formula, error }) => {
+  const start = Math.min(error.start, formula.length);
+  const end = Math.max(Math.min(error.end, formula.length), start);
+  return (
+    <div className="font-mono text-xs whitespace-pre-wrap break-all text-gray-700">
+      {formula.slice(0, start)}
+      <span className="bg-red-200 rounded-sm">{formula.slice(start, end) || ' '}</span>
+      {formula.slice(end)}
+    </div>
+  );
+};
+
+// Editor for calculated columns: a list of the saved ones and a form to add or change one,
+// checked and previewed against the loaded deals as it is typed
+const CalculatedColumnsPanel = ({ columns, compiledColumns, problems, fields, deals, onChange }) => {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [showHelp, setShowHelp] = useState(false);
+  const formulaRef = useRef(null);
+
+  // The draft is checked in its place in the list, so it may use the columns before it
+  const checked = useMemo(() => {
+    const list = draft.id
+      ? columns.map(column => (column.id === draft.id ? { ...column, ...draft } : column))
+      : [...columns, { ...draft, id: 'draft' }];
+    return compileColumns(list, fields).find(column => column.id === (draft.id || 'draft'));
+  }, [draft, columns, fields]);
+
+  const preview = useMemo(() => {
+    if (!checked || checked.error || !checked.evaluate) return null;
+    let blank = 0;
+    let failed = null;
+    const samples = [];
+    deals.forEach(deal => {
+      let value;
+      try {
+        value = checked.evaluate(deal);
+      } catch (error) {
+        failed = failed || error.message;
+        value = null;
+      }
+      if (value === null || value === '') blank += 1;
+      if (samples.length < PREVIEW_COUNT) samples.push({ name: deal[NAME_FIELD], value });
+    });
+    return { samples, blank, failed };
+  }, [checked, deals]);
+
+  const isDirty = draft.name.trim() !== '' || draft.formula.trim() !== '';
+  const unusedExamples = EXAMPLE_COLUMNS.filter(example =>
+    !columns.some(column => column.name.toLowerCase() === example.name.toLowerCase()));
+
+  const handleSave = () => {
+    if (!checked || checked.error) return;
+    const saved = { name: draft.name.trim(), formula: draft.formula.trim() };
+    onChange(draft.id
+      ? columns.map(column => (column.id === draft.id ? { ...column, ...saved } : column))
+      : [...columns, createCalculatedColumn(saved)]);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const addExample = (name) => {
+    const example = EXAMPLE_COLUMNS.find(entry => entry.name === name);
+    if (example) onChange([...columns, createCalculatedColumn(example)]);
+  };
+
+  const removeColumn = (id) => {
+    onChange(columns.filter(column => column.id !== id));
+    if (draft.id === id) setDraft(EMPTY_DRAFT);
+  };
+
+  const toggleSummary = (id, summary) => {
+    onChange(columns.map(column => (column.id === id ? { ...column, summary } : column)));
+  };
+
+  // Put a column reference at the cursor
+  const insertText = (text) => {
+    const input = formulaRef.current;
+    const start = input ? input.selectionStart : draft.formula.length;
+    const end = input ? input.selectionEnd : draft.formula.length;
+    setDraft(prev => ({ ...prev, formula: prev.formula.slice(0, start) + text + prev.formula.slice(end) }));
+    if (input) {
+      requestAnimationFrame(() => {
+        input.focus();
+        input.setSelectionRange(start + text.length, start + text.length);
+      });
+    }
+  };
+
+  const draftError = isDirty && checked?.error;
+  const statusFor = (column) => {
+    if (column.error) return <span className="text-red-600">{column.error.message}</span>;
+    const problem = problems[column.id];
+    if (problem) return <span className="text-amber-600">{problem.count} deals left blank: {problem.message}</span>;
+    return <span className="text-green-600">OK</span>;
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 mb-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-800 mb-2 md:mb-0">Calculated Columns</h2>
+        <select
+          value=""
+          onChange={(e) => addExample(e.target.value)}
+          disabled={unusedExamples.length === 0}
+          className="p-1 border rounded text-sm"
+        >
+          <option value="">+ Add an example column</option>
+          {unusedExamples.map(example => (
+            <option key={example.name} value={example.name}>{example.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {compiledColumns.length > 0 ? (
+        <table className="min-w-full divide-y divide-gray-200 mb-4">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Formula</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Summary Card</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {compiledColumns.map(column => (
+              <tr key={column.id} className={draft.id === column.id ? 'bg-blue-50' : ''}>
+                <td className="px-3 py-2 text-sm text-gray-800 whitespace-nowrap">{column.name || '(unnamed)'}</td>
+                <td className="px-3 py-2 font-mono text-xs text-gray-700 break-all">{column.formula}</td>
+                <td className="px-3 py-2 text-xs">{statusFor(column)}</td>
+                <td className="px-3 py-2">
+                  <input
+                    type="checkbox"
+                    checked={!!column.summary}
+                    onChange={(e) => toggleSummary(column.id, e.target.checked)}
+                    className="h-4 w-4"
+                    title="Show the average on the Summary Statistics card"
+                  />
+                </td>
+                <td className="px-3 py-2 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => setDraft({ id: column.id, name: column.name, formula: column.formula })}
+                    className="text-sm text-blue-600 hover:text-blue-800 mr-3"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => removeColumn(column.id)}
+                    className="text-sm text-red-500 hover:text-red-700"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">
+          No calculated columns yet. Write a formula below, or start from an example.
+        </p>
+      )}
+
+      <div className="border rounded p-3 bg-gray-50">
+        <div className="flex flex-col md:flex-row gap-2 mb-2">
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Column name"
+            className={`p-1 border rounded text-sm md:w-56 ${draftError && checked.error.part === 'name' ? 'border-red-400' : ''}`}
+          />
+          <select
+            value=""
+            onChange={(e) => e.target.value && insertText(`[${e.target.value}]`)}
+            className="p-1 border rounded text-sm"
+          >
+            <option value="">Insert column…</option>
+            {fields.map(field => (
+              <option key={field} value={field}>{columnLabel(field)}</option>
+            ))}
+            {columns.filter(column => column.id !== draft.id && column.name).map(column => (
+              <option key={column.id} value={column.name}>{column.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowHelp(prev => !prev)}
+            className="px-2 py-1 text-sm text-blue-600 hover:underline"
+          >
+            {showHelp ? 'Hide functions' : 'Functions'}
+          </button>
+        </div>
+
+        <textarea
+          ref={formulaRef}
+          value={draft.formula}
+          onChange={(e) => setDraft(prev => ({ ...prev, formula: e.target.value }))}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSave();
+          }}
+          placeholder="e.g. [EBITDA] / [Revenue] * 100"
+          rows={2}
+          spellCheck={false}
+          className={`w-full p-2 border rounded font-mono text-sm ${draftError && checked.error.part === 'formula' ? 'border-red-400' : ''}`}
+        />
+
+        {draftError && (
+          <div className="mt-1 text-xs text-red-600">
+            {checked.error.message}
+            {checked.error.part === 'formula' && checked.error.end > 0 && (
+              <FormulaWithError formula={draft.formula} error={checked.error} />
+            )}
+          </div>
+        )}
+
+        {isDirty && preview && (
+          <div className="mt-2 text-xs text-gray-600">
+            <div className="font-medium text-gray-700 mb-1">
+              Preview{deals.length ? ` – ${preview.blank} of ${deals.length} deals blank` : ' – load a report to see values'}
+            </div>
+            {preview.failed && <div className="text-amber-600 mb-1">Some deals cannot be calculated: {preview.failed}</div>}
+            <ul className="space-y-0.5">
+              {preview.samples.map((sample, index) => (
+                <li key={index} className="flex justify-between max-w-md">
+                  <span className="truncate mr-4">{sample.name}</span>
+                  <span className="font-mono">{formatFieldValue(draft.name, sample.value)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end items-center gap-2 mt-2">
+          {(draft.id || isDirty) && (
+            <button
+              onClick={() => setDraft(EMPTY_DRAFT)}
+              className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={!checked || !!checked.error}
+            className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            {draft.id ? 'Save Column' : 'Add Column'}
+          </button>
+        </div>
+
+        {showHelp && (
+          <div className="mt-3 text-xs text-gray-600 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1">
+            <div><code>[Total Pursuits]</code> a column; one-word names can go without brackets</div>
+            <div><code>+ - * / % ^</code> arithmetic; dividing by zero leaves the value blank</div>
+            <div><code>= != &lt; &lt;= &gt; &gt;=</code>, <code>and</code>, <code>or</code>, <code>not</code> conditions</div>
+            <div><code>"text"</code>, <code>&amp;</code> joins text, <code>5M</code> is 5,000,000</div>
+            {Object.values(FORMULA_FUNCTIONS).map(fn => (
+              <div key={fn.usage}><code>{fn.usage}</code> {fn.help}</div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalculatedColumnsPanel;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_TABLE_LAYOUT, columnLabel, setColumnVisible, setColumnPinned, moveColumn
+} from './tableColumns';
+
+// Deals Table column picker: show or hide, drag to reorder and pin columns
+const ColumnChooser = ({ layout, available, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [draggedKey, setDraggedKey] = useState(null);
+
+  const visible = layout.visible.filter(key => available.includes(key));
+  const hidden = available.filter(key => !layout.visible.includes(key));
+
+  const handleDrop = (beforeKey) => {
+    if (draggedKey) onChange(moveColumn(layout, draggedKey, beforeKey));
+    setDraggedKey(null);
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+      >
+        Columns ▾
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg z-40 p-4 text-left">
+          <div className="flex justify-between items-center mb-2">
+            <div className="text-sm font-medium text-gray-700">Shown ({visible.length})</div>
+            <button
+              onClick={() => onChange(DEFAULT_TABLE_LAYOUT)}
+              className="text-xs text-blue-600 hover:underline"
+            >
+              Reset layout
+            </button>
+          </div>
+          <div className="text-xs text-gray-500 mb-2">Drag to reorder. Pinned columns stay on the left.</div>
+          <ul className="max-h-64 overflow-y-auto mb-3">
+            {visible.map(key => (
+              <li
+                key={key}
+                draggable
+                onDragStart={() => setDraggedKey(key)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => handleDrop(key)}
+                onDragEnd={() => setDraggedKey(null)}
+                className={`flex items-center py-1 px-1 rounded text-sm cursor-move ${draggedKey === key ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <span className="text-gray-400 mr-2">⋮⋮</span>
+                <input
+                  type="checkbox"
+                  checked
+                  onChange={() => onChange(setColumnVisible(layout, key, false))}
+                  className="h-4 w-4 mr-2"
+                />
+                <span className="flex-1 truncate" title={key}>{columnLabel(key)}</span>
+                <button
+                  onClick={() => onChange(setColumnPinned(layout, key, !layout.pinned.includes(key)))}
+                  className={`ml-2 text-xs px-2 py-0.5 rounded ${layout.pinned.includes(key) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                >
+                  {layout.pinned.includes(key) ? 'Pinned' : 'Pin'}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {hidden.length > 0 && (
+            <>
+              <div className="text-sm font-medium text-gray-700 mb-2">Hidden ({hidden.length})</div>
+              <ul className="max-h-48 overflow-y-auto">
+                {hidden.map(key => (
+                  <li key={key} className="flex items-center py-1 px-1 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={false}
+                      onChange={() => onChange(setColumnVisible(layout, key, true))}
+                      className="h-4 w-4 mr-2"
+                    />
+                    <span className="truncate" title={key}>{columnLabel(key)}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnChooser;
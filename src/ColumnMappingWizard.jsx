@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { DASHBOARD_FIELDS, missingRequiredFields } from './columnMapping';
+
+// Modal shown after parsing a CSV to confirm which column feeds each dashboard field
+const ColumnMappingWizard = ({ fileName, headers, previewRows, rowCount, initialMapping, initialProfileName, onConfirm, onCancel }) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [saveProfile, setSaveProfile] = useState(true);
+  const [profileName, setProfileName] = useState(initialProfileName || fileName.replace(/\.csv$/i, ''));
+
+  const missing = missingRequiredFields(mapping);
+  const canConfirm = missing.length === 0 && (!saveProfile || profileName.trim() !== '');
+
+  // Sample values shown next to each field so a wrong match is easy to spot
+  const sampleValues = (header) => {
+    if (!header) return '';
+    return previewRows
+      .map(row => row[header])
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .slice(0, 3)
+      .join(', ');
+  };
+
+  const handleConfirm = () => {
+    if (!canConfirm) return;
+    onConfirm({
+      mapping,
+      profileName: saveProfile ? profileName.trim() : null
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-full overflow-y-auto p-6">
+        <h2 className="text-xl font-bold text-gray-800 mb-1">Map Columns</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Check which column in <span className="font-medium">{fileName}</span> feeds each dashboard field.
+        </p>
+
+        {/* File Preview */}
+        <div className="mb-6">
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">
+            Preview (first {previewRows.length} of {rowCount} rows)
+          </h3>
+          <div className="overflow-x-auto border rounded">
+            <table className="min-w-full divide-y divide-gray-200 text-xs">
+              <thead className="bg-gray-50">
+                <tr>
+                  {headers.map(header => (
+                    <th key={header} className="px-2 py-2 text-left font-medium text-gray-500 whitespace-nowrap">
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {previewRows.map((row, index) => (
+                  <tr key={index}>
+                    {headers.map(header => (
+                      <td key={header} className="px-2 py-1 text-gray-600 whitespace-nowrap max-w-xs truncate">
+                        {row[header] === null || row[header] === undefined ? '' : String(row[header])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Field Mapping */}
+        <table className="min-w-full divide-y divide-gray-200 mb-6">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dashboard Field</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">CSV Column</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sample Values</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {DASHBOARD_FIELDS.map(field => (
+              <tr key={field.key} className={field.required && !mapping[field.key] ? 'bg-red-50' : ''}>
+                <td className="px-3 py-2 text-sm text-gray-800 whitespace-nowrap">
+                  {field.label}
+                  {field.required && <span className="text-red-500 ml-1">*</span>}
+                </td>
+                <td className="px-3 py-2">
+                  <select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                    className="w-full p-1 border rounded text-sm"
+                  >
+                    <option value="">— Not in file —</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="px-3 py-2 text-xs text-gray-500 max-w-xs truncate">
+                  {sampleValues(mapping[field.key])}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {missing.length > 0 && (
+          <div className="mb-4 text-red-500 text-sm">
+            Missing required columns: {missing.join(', ')}
+          </div>
+        )}
+
+        {/* Profile */}
+        <div className="flex items-center mb-6">
+          <input
+            type="checkbox"
+            id="save-mapping-profile"
+            checked={saveProfile}
+            onChange={(e) => setSaveProfile(e.target.checked)}
+            className="h-4 w-4 mr-2"
+          />
+          <label htmlFor="save-mapping-profile" className="text-sm text-gray-700 mr-2 whitespace-nowrap">
+            Save as profile
+          </label>
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            disabled={!saveProfile}
+            placeholder="Profile name"
+            className="flex-1 p-1 border rounded text-sm disabled:bg-gray-100"
+          />
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!canConfirm}
+            className={`px-4 py-2 text-white rounded ${
+              canConfirm ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-300 cursor-not-allowed'
+            }`}
+          >
+            Apply Mapping
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
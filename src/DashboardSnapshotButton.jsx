@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { composeSnapshot, downloadCanvas } from './imageExport';
+import { fileTimestamp } from './download';
+
+const RESOLUTIONS = [
+  { scale: 1, label: '1x' },
+  { scale: 2, label: '2x' },
+  { scale: 3, label: '3x (print)' }
+];
+
+// One-click image of the summary, charts and active filters
+const DashboardSnapshotButton = ({ sections, descriptionLines }) => {
+  const [scale, setScale] = useState(2);
+  const [rendering, setRendering] = useState(false);
+
+  const handleSnapshot = async () => {
+    const available = sections
+      .map(section => ({ heading: section.heading, element: document.getElementById(section.elementId) }))
+      .filter(section => section.element);
+    if (!available.length) return;
+
+    setRendering(true);
+    try {
+      const canvas = await composeSnapshot({
+        title: 'Deal Tease Dashboard',
+        descriptionLines,
+        sections: available,
+        scale
+      });
+      await downloadCanvas(canvas, `deal-dashboard_${fileTimestamp()}.png`);
+    } catch (error) {
+      console.error('Failed to render snapshot: ', error);
+    } finally {
+      setRendering(false);
+    }
+  };
+
+  return (
+    <div className="inline-flex items-center">
+      <select
+        value={scale}
+        onChange={(e) => setScale(Number(e.target.value))}
+        className="p-2 border rounded-l text-sm bg-white"
+        title="Image resolution"
+      >
+        {RESOLUTIONS.map(resolution => (
+          <option key={resolution.scale} value={resolution.scale}>{resolution.label}</option>
+        ))}
+      </select>
+      <button
+        onClick={handleSnapshot}
+        disabled={rendering}
+        className="px-4 py-2 bg-gray-200 text-gray-700 rounded-r hover:bg-gray-300 disabled:opacity-50"
+      >
+        {rendering ? 'Rendering...' : 'Snapshot'}
+      </button>
+    </div>
+  );
+};
+
+export default DashboardSnapshotButton;
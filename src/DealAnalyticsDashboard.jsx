@@ -1,198 +1,616 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { 
-  BarChart, Bar, PieChart, Pie, Cell, 
-  XAxis, YAxis, Tooltip, Legend, ResponsiveContainer
-} from 'recharts';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import ScoringPanel from './ScoringPanel';
+import DealDetailDrawer from './DealDetailDrawer';
+import SnapshotPanel from './SnapshotPanel';
+import SavedViewsMenu from './SavedViewsMenu';
+import ImageExportButtons from './ImageExportButtons';
+import DashboardSnapshotButton from './DashboardSnapshotButton';
+import ExportMenu from './ExportMenu';
+import DealsTable from './DealsTable';
+import TrendChart from './TrendChart';
+import ActiveFilterChips from './ActiveFilterChips';
+import QuerySearchBox from './QuerySearchBox';
+import PivotHeatmap from './PivotHeatmap';
+import RegionMap from './RegionMap';
+import ScatterPlot from './ScatterPlot';
+import ColumnChooser from './ColumnChooser';
+import DistributionChartCard from './DistributionChartCard';
+import ParseProgress from './ParseProgress';
+import RangeFilter from './RangeFilter';
+import CalculatedColumnsPanel from './CalculatedColumnsPanel';
+import QuarantinePanel from './QuarantinePanel';
+import MergeConflictsPanel from './MergeConflictsPanel';
+import DealMemoPanel from './DealMemoPanel';
+import ShortlistsPanel from './ShortlistsPanel';
+import {
+  proposeMapping, isExactMapping, missingRequiredFields,
+  findMappingProfile, saveMappingProfile
+} from './columnMapping';
+import { calculateQualityScores, loadScoringModel, saveScoringModel } from './qualityScore';
+import {
+  matchesFilters, buildDefaultFilters, describeFilters, withoutFilters, toggleFacetValue,
+  getFacetValues, setFacetValues, withoutFacet, buildFilterChips, removeFilterChip,
+  RANGE_FILTERS, numericColumns, numericRange, sameRange, extractFilterOptions
+} from './filters';
+import { createCsvWorker } from './csvWorkerClient';
+import { availableColumns, columnLabel, loadTableLayout, saveTableLayout } from './tableColumns';
+import { DEFAULT_SORT, normalizeSortConfig, sortDeals, toggleSort } from './sorting';
+import {
+  DATE_FORMATS, DATE_PRESETS, annotateMarketDates, detectSlashedOrder, presetDateRange, loadDateFormat, saveDateFormat
+} from './dates';
+import { readStateFromUrl, writeStateToUrl, getDefaultView } from './dashboardState';
+import {
+  listSnapshots, saveSnapshot, loadSnapshotRows, deleteSnapshot, formatSnapshotLabel, scoreSnapshotRows
+} from './snapshotStore';
+import { diffDeals, dealKey } from './snapshotDiff';
+import {
+  DEFAULT_DISTRIBUTION_CARDS, categoricalFields, createDistributionCard, cardsFromChartViewMode,
+  getDistributionMeasure, loadDistributionCards, saveDistributionCards
+} from './distribution';
+import {
+  compileColumns, applyCalculatedColumns, loadCalculatedColumns, saveCalculatedColumns
+} from './calculatedColumns';
+import { formatFieldValue } from './formatters';
+import { validateRow, canInclude, parseEditedValue, loadKnownIntents, saveKnownIntents } from './validation';
+import {
+  SOURCE_FILE_FIELD, MERGE_POLICIES, mergeReports, mergedFieldNames, tagSourceFile, reportFileId, uniqueFileLabel,
+  loadMergePolicy, saveMergePolicy
+} from './reportMerge';
+import {
+  loadMemoTemplates, saveMemoTemplates, loadActiveMemoTemplateId, saveActiveMemoTemplateId, renderMemo, copyMemo
+} from './memoTemplates';
+import { loadShortlists, saveShortlists } from './shortlists';
 
 // Main Dashboard Component
 const DealAnalyticsDashboard = () => {
   // State variables
-  const [deals, setDeals] = useState([]);
+  const [reportFiles, setReportFiles] = useState([]); // { id, name, label, lastModified, fields, deals, basis } for each loaded file
+  const [mergePolicy, setMergePolicy] = useState(loadMergePolicy); // how deals found in several files are resolved
+  const [conflictChoices, setConflictChoices] = useState({}); // { [id]: id of the file to keep, or DROP_CHOICE } when reviewing manually
+  const [appendUploads, setAppendUploads] = useState(false); // add uploaded files to the loaded ones instead of replacing them
+  const [dragActive, setDragActive] = useState(false); // files are being dragged over the page
+  const [dateFormat, setDateFormat] = useState(loadDateFormat); // how Market Date values are read
+  const [sourceFields, setSourceFields] = useState([]); // CSV columns of the loaded report, after mapping
   const [loading, setLoading] = useState(true);
-  const [chartViewMode, setChartViewMode] = useState({
-    vertical: 'count', // 'count' or 'percentage'
-    activity: 'count'  // 'count' or 'percentage'
-  });
+  const [parseProgress, setParseProgress] = useState(null); // { rows, bytes, totalBytes } while a file is parsed
+  const [scoringModel, setScoringModel] = useState(loadScoringModel);
+  const [showScoringPanel, setShowScoringPanel] = useState(false);
+  const [detailDealId, setDetailDealId] = useState(null); // deal shown in the detail drawer
+  const [tableLayout, setTableLayout] = useState(loadTableLayout);
+  const [snapshots, setSnapshots] = useState([]);
+  const [showSnapshotPanel, setShowSnapshotPanel] = useState(false);
+  const [shortlists, setShortlists] = useState(loadShortlists); // { id, name, dealIds, names }, saved across sessions
+  const [showShortlistsPanel, setShowShortlistsPanel] = useState(false);
+  const [comparisonSnapshot, setComparisonSnapshot] = useState(null); // { meta, rows } of the snapshot to compare against
+  const [chartCards, setChartCards] = useState(loadDistributionCards); // distribution charts, in display order
+  const [calculatedColumns, setCalculatedColumns] = useState(loadCalculatedColumns); // { id, name, formula, summary }
+  const [showCalculatedPanel, setShowCalculatedPanel] = useState(false);
+  const [memoTemplates, setMemoTemplates] = useState(loadMemoTemplates); // { id, name, format, body }
+  const [memoTemplateId, setMemoTemplateId] = useState(loadActiveMemoTemplateId); // template the Copy buttons use
+  const [showMemoPanel, setShowMemoPanel] = useState(false);
+  const [copyStatus, setCopyStatus] = useState(null); // { place, tone: 'success' | 'error', message } after copying deals
+  const [activeTab, setActiveTab] = useState('dashboard'); // 'dashboard' or 'quarantine'
+  const [quarantinedRows, setQuarantinedRows] = useState([]); // { key, rowNumber, row, issues, fields } held back on upload
+  const [lastUpload, setLastUpload] = useState(null); // { fileName, checked, loaded, quarantined } for the data-quality report
+  const [knownIntents, setKnownIntents] = useState(loadKnownIntents); // Deal Intent values accepted so far
   
   // Initialize state variables with safe defaults
-  const [filters, setFilters] = useState({
-    revenueRange: [0, 220000000],
-    ebitdaRange: [0, 40000000],
-    verticals: [],
-    activities: [],
-    regions: [],
-    states: [],
-    dateRange: ['2024-01-01', '2025-12-31'],
-    pursuitsRange: [0, 150],
-    includeBrokers: true,
-    includeSmartshareEnabled: null, // null = include both, true = only enabled, false = only disabled
-    includeInboundInquiryEnabled: null, // null = include both, true = only enabled, false = only disabled
-    dealIntentStatuses: []
-  });
-  
-  const [filterOptions, setFilterOptions] = useState({
-    verticals: [],
-    activities: [],
-    regions: [],
-    states: [],
-    dealIntentStatuses: []
-  });
+  const [filters, setFilters] = useState(() => buildDefaultFilters([]));
   
   const [selectedDeals, setSelectedDeals] = useState([]);
-  const [sortConfig, setSortConfig] = useState({
-    key: 'rank',
-    direction: 'asc'
-  });
+  const [sortConfig, setSortConfig] = useState(DEFAULT_SORT); // ordered sort keys, primary first
   const [uploadedFileName, setUploadedFileName] = useState('UPLOAD FRESH DEAL TEASE REPORT.csv');
   const [uploadError, setUploadError] = useState('');
+  const [pendingUpload, setPendingUpload] = useState(null); // parsed file awaiting column mapping
   const fileInputRef = useRef(null);
+  const csvWorkerRef = useRef(null); // worker for the file currently being parsed
+  const uploadBatch = useRef(null); // files of the upload in progress, loaded one after another
+  const initialViewApplied = useRef(false); // URL state or default view is applied once, on first load
   
-  // Handle file upload
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // One set of deals from every loaded file; a single file keeps the scores the worker gave it
+  const merged = useMemo(
+    () => mergeReports(reportFiles, mergePolicy, conflictChoices),
+    [reportFiles, mergePolicy, conflictChoices]
+  );
+  const rawDeals = merged.deals;
+  const rawDealsBasis = reportFiles.length === 1 ? reportFiles[0].basis : null; // { model, dateFormat } the worker applied
+  const filterOptions = useMemo(() => extractFilterOptions(rawDeals), [rawDeals]);
+  
+  // Parse dates and calculate quality scores and ranks whenever the data, date format or scoring model changes;
+  // freshly parsed rows were already processed by the worker with the settings active at the time
+  const scoredDeals = useMemo(() => {
+    if (rawDealsBasis && rawDealsBasis.model === scoringModel && rawDealsBasis.dateFormat === dateFormat) {
+      return rawDeals;
+    }
+    return calculateQualityScores(annotateMarketDates(rawDeals, dateFormat), scoringModel);
+  }, [rawDeals, rawDealsBasis, scoringModel, dateFormat]);
+  
+  // Calculated columns are added after scoring, so they can use the score and rank too
+  const compiledColumns = useMemo(
+    () => compileColumns(calculatedColumns, availableColumns(sourceFields)),
+    [calculatedColumns, sourceFields]
+  );
+  const calculatedResult = useMemo(
+    () => applyCalculatedColumns(scoredDeals, compiledColumns),
+    [scoredDeals, compiledColumns]
+  );
+  const deals = calculatedResult.deals;
+  
+  // Report columns followed by the calculated ones that are working; calculated ones wait for a report
+  const dealFields = useMemo(
+    () => (sourceFields.length
+      ? [...sourceFields, ...compiledColumns.filter(column => !column.error).map(column => column.name)]
+      : sourceFields),
+    [sourceFields, compiledColumns]
+  );
+  const calculatedNumberFields = useMemo(
+    () => compiledColumns
+      .filter(column => !column.error && deals.some(deal => typeof deal[column.name] === 'number'))
+      .map(column => column.name),
+    [compiledColumns, deals]
+  );
+  
+  // Deals whose Market Date is present but could not be read with the current format
+  const invalidDateCount = useMemo(() => deals.filter(deal => deal.marketDateInvalid).length, [deals]);
+  const undatedCount = useMemo(() => deals.filter(deal => !deal.marketDate).length, [deals]);
+  const detectedSlashedOrder = useMemo(
+    () => detectSlashedOrder(rawDeals.map(deal => deal["Market Date (Date)"])),
+    [rawDeals]
+  );
+  
+  // Persist the active scoring model between sessions
+  useEffect(() => {
+    saveScoringModel(scoringModel);
+  }, [scoringModel]);
+  
+  useEffect(() => {
+    saveTableLayout(tableLayout);
+  }, [tableLayout]);
+  
+  useEffect(() => {
+    saveDistributionCards(chartCards);
+  }, [chartCards]);
+  
+  useEffect(() => {
+    saveDateFormat(dateFormat);
+  }, [dateFormat]);
+  
+  useEffect(() => {
+    saveCalculatedColumns(calculatedColumns);
+  }, [calculatedColumns]);
+  
+  useEffect(() => {
+    saveKnownIntents(knownIntents);
+  }, [knownIntents]);
+  
+  useEffect(() => {
+    saveMergePolicy(mergePolicy);
+  }, [mergePolicy]);
+  
+  useEffect(() => {
+    saveMemoTemplates(memoTemplates);
+  }, [memoTemplates]);
+  
+  useEffect(() => {
+    saveShortlists(shortlists);
+  }, [shortlists]);
+  
+  useEffect(() => {
+    saveActiveMemoTemplateId(memoTemplateId);
+  }, [memoTemplateId]);
+  
+  useEffect(() => {
+    if (!copyStatus) return undefined;
+    const timer = setTimeout(() => setCopyStatus(null), 3000);
+    return () => clearTimeout(timer);
+  }, [copyStatus]);
+  
+  const tableColumns = useMemo(() => availableColumns(dealFields), [dealFields]);
+  
+  // Load the stored snapshot history
+  const refreshSnapshots = () => {
+    listSnapshots()
+      .then(setSnapshots)
+      .catch(error => console.error("Error loading snapshots:", error));
+  };
+  
+  useEffect(() => {
+    refreshSnapshots();
+  }, []);
+  
+  // Score the comparison snapshot with the same model as the current data
+  const baseDeals = useMemo(
+    () => (comparisonSnapshot
+      ? applyCalculatedColumns(
+        scoreSnapshotRows(comparisonSnapshot.rows, scoringModel, dateFormat),
+        compiledColumns
+      ).deals
+      : null),
+    [comparisonSnapshot, scoringModel, dateFormat, compiledColumns]
+  );
+  
+  const dealChanges = useMemo(
+    () => (baseDeals ? diffDeals(baseDeals, deals) : null),
+    [baseDeals, deals]
+  );
+  
+  // Load the worker's mapped and scored rows for the files of one upload into the dashboard,
+  // merged with the files already loaded unless the upload replaces them. A file loaded again
+  // replaces the earlier one of that name; files of one upload that share a name are all kept.
+  const ingestReports = (loaded, { replace, baseFiles, policy, choices }) => {
+    const names = new Set(loaded.map(file => file.name));
+    const keptFiles = baseFiles.filter(file => !names.has(file.name));
+    const labels = new Set(keptFiles.map(file => file.label));
+    const addedFiles = loaded.map(({ name, lastModified, result, basis }) => {
+      const label = uniqueFileLabel(name, labels);
+      labels.add(label);
+      return {
+        id: reportFileId(),
+        name,
+        label,
+        lastModified,
+        basis,
+        fields: result.fields,
+        deals: tagSourceFile(result.deals, label)
+      };
+    });
+    const files = [...keptFiles, ...addedFiles];
+    const rows = mergeReports(files, policy, choices).deals;
+    const defaults = buildDefaultFilters(rows);
+    const fileName = files.map(file => file.label).join(', ');
+    const quarantined = loaded.flatMap(({ result }, index) => {
+      const file = addedFiles[index];
+      return result.quarantined.map(entry =>
+        ({ ...entry, fileId: file.id, fileName: file.label, key: `${file.id}:${entry.rowNumber}` }));
+    });
     
-    if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-      setUploadError('Please upload a CSV file');
-      return;
+    // Update state
+    setReportFiles(files);
+    if (replace) setConflictChoices({});
+    setSourceFields(mergedFieldNames(files));
+    setSelectedDeals([]);
+    setQuarantinedRows(prev => [
+      ...(replace ? [] : prev.filter(entry => keptFiles.some(file => file.id === entry.fileId))),
+      ...quarantined
+    ]);
+    setLastUpload({
+      fileName: addedFiles.map(file => file.label).join(', '),
+      checked: loaded.reduce((sum, { result }) => sum + result.deals.length + result.quarantined.length, 0),
+      loaded: loaded.reduce((sum, { result }) => sum + result.deals.length, 0),
+      quarantined: quarantined.length
+    });
+    // The first report loaded decides which Deal Intent values are expected
+    if (knownIntents.length === 0) setKnownIntents(extractFilterOptions(rows).dealIntentStatuses);
+    
+    if (!initialViewApplied.current) {
+      // A shared link wins over the saved default view
+      const initialState = readStateFromUrl() || getDefaultView()?.state;
+      if (initialState) {
+        applyDashboardState(initialState, rows);
+      } else {
+        setFilters(defaults);
+      }
+      initialViewApplied.current = true;
+    } else {
+      // Set initial ranges based on data
+      const ranges = {};
+      RANGE_FILTERS.forEach(({ key }) => {
+        ranges[key] = defaults[key];
+      });
+      setFilters(prev => ({
+        ...prev,
+        ...ranges,
+        fieldRanges: {},
+        dateRange: prev.datePreset ? presetDateRange(prev.datePreset) : defaults.dateRange,
+        dealIntentStatuses: []
+      }));
     }
     
-    setLoading(true);
+    setUploadedFileName(fileName);
+    
+    // Keep a dated copy of the report for later comparison
+    saveSnapshot(fileName, rows)
+      .then(refreshSnapshots)
+      .catch(error => console.error("Error saving snapshot:", error));
+  };
+  
+  // Compare the current data against a stored snapshot, or stop comparing
+  const handleCompareWithSnapshot = async (id) => {
+    if (id === null) {
+      setComparisonSnapshot(null);
+      return;
+    }
+    try {
+      const rows = await loadSnapshotRows(id);
+      setComparisonSnapshot({ meta: snapshots.find(snapshot => snapshot.id === id), rows });
+    } catch (error) {
+      console.error("Error loading snapshot:", error);
+    }
+  };
+  
+  const handleDeleteSnapshot = async (id) => {
+    try {
+      await deleteSnapshot(id);
+      if (comparisonSnapshot?.meta.id === id) setComparisonSnapshot(null);
+      refreshSnapshots();
+    } catch (error) {
+      console.error("Error deleting snapshot:", error);
+    }
+  };
+  
+  // IDs a quarantined row may not reuse: those of its own file's deals and other held-back rows.
+  // Deals shared with other files are merge duplicates, which the merge policy deals with.
+  const takenIdsFor = (target, entries) => {
+    const file = reportFiles.find(f => f.id === target.fileId);
+    return new Set([
+      ...(file ? file.deals.map(dealKey) : []),
+      ...entries
+        .filter(entry => entry.key !== target.key && entry.fileId === target.fileId &&
+          entry.row["Sellside Project: ID"] !== null && entry.row["Sellside Project: ID"] !== undefined)
+        .map(entry => dealKey(entry.row))
+    ]);
+  };
+  
+  // Fix a value in a quarantined row and check the row again
+  const handleQuarantineEdit = (key, field, text) => {
+    setQuarantinedRows(prev => prev.map(entry => {
+      if (entry.key !== key) return entry;
+      let row = { ...entry.row, [field]: parseEditedValue(field, text) };
+      if (field === "Market Date (Date)") row = annotateMarketDates([row], dateFormat)[0];
+      return { ...entry, row, issues: validateRow(row, { takenIds: takenIdsFor(entry, prev), knownIntents }) };
+    }));
+  };
+  
+  // Market Dates of held-back rows are read again with the new format, so their date checks stay current
+  const handleDateFormatChange = (format) => {
+    setDateFormat(format);
+    setQuarantinedRows(prev => prev.map(entry => {
+      const row = annotateMarketDates([entry.row], format)[0];
+      return { ...entry, row, issues: validateRow(row, { takenIds: takenIdsFor(entry, prev), knownIntents }) };
+    }));
+  };
+  
+  // Move rows without errors into their file's deals; the file is then scored along with the rest
+  const handleIncludeQuarantined = (keys) => {
+    const included = quarantinedRows.filter(entry => keys.includes(entry.key) && canInclude(entry));
+    if (!included.length) return;
+    setReportFiles(prev => prev.map(file => {
+      const rows = included.filter(entry => entry.fileId === file.id).map(entry => entry.row);
+      return rows.length ? { ...file, basis: null, deals: [...file.deals, ...tagSourceFile(rows, file.label)] } : file;
+    }));
+    setQuarantinedRows(prev => prev.filter(entry => !included.includes(entry)));
+  };
+  
+  const handleDropQuarantined = (keys) => {
+    setQuarantinedRows(prev => prev.filter(entry => !keys.includes(entry.key)));
+  };
+  
+  // Accepting a new Deal Intent clears that problem from every row that has it
+  const handleAcceptIntent = (value) => {
+    setKnownIntents(prev => (prev.includes(value) ? prev : [...prev, value]));
+    setQuarantinedRows(prev => prev.map(entry => (entry.row["Deal Intent"] === value
+      ? { ...entry, issues: entry.issues.filter(issue => issue.type !== 'unknownIntent') }
+      : entry)));
+  };
+  
+  // Stop the worker for the file in flight, if any
+  const releaseCsvWorker = () => {
+    if (csvWorkerRef.current) {
+      csvWorkerRef.current.terminate();
+      csvWorkerRef.current = null;
+    }
+    setParseProgress(null);
+  };
+  
+  // Stop the upload in progress, including any files still waiting
+  const cancelUpload = () => {
+    uploadBatch.current = null;
+    releaseCsvWorker();
+  };
+  
+  // Files of one upload are loaded one after another, each through the mapping step if it needs one,
+  // and shown together once the last is done
+  const startUpload = (items, replace) => {
+    releaseCsvWorker();
     setUploadError('');
+    uploadBatch.current = {
+      pending: [...items],
+      total: items.length,
+      current: null,
+      loaded: [],
+      replace,
+      baseFiles: replace ? [] : reportFiles,
+      policy: mergePolicy,
+      choices: replace ? {} : conflictChoices
+    };
+    return loadNextFile();
+  };
+  
+  const loadNextFile = async () => {
+    const batch = uploadBatch.current;
+    if (!batch) return;
+    batch.current = batch.pending.shift() || null;
+    if (batch.current) {
+      await parseCsv(batch.current);
+      return;
+    }
+    uploadBatch.current = null;
+    if (batch.loaded.length) ingestReports(batch.loaded, batch);
+  };
+  
+  // Report a file that could not be loaded and carry on with the rest of the upload
+  const skipFile = (fileName, message) => {
+    const batch = uploadBatch.current;
+    const text = batch && batch.total > 1 ? `${fileName}: ${message}` : message;
+    setUploadError(prev => (prev ? `${prev} ${text}` : text));
+    releaseCsvWorker();
+    return loadNextFile();
+  };
+  
+  // Map, check and score the parsed rows in the worker, then move on to the next file
+  const processParsedFile = async (worker, fileName, mapping) => {
+    const basis = { model: scoringModel, dateFormat };
+    const result = await worker.process(mapping, basis.model, basis.dateFormat, knownIntents);
+    releaseCsvWorker();
+    const batch = uploadBatch.current;
+    if (!batch) return;
+    batch.loaded.push({ name: fileName, lastModified: batch.current.lastModified, result, basis });
+    await loadNextFile();
+  };
+  
+  // Apply a saved or exact column mapping, or ask the user to confirm one
+  const prepareParsedFile = async (worker, fileName, parsed) => {
+    const { headers } = parsed;
+    const profile = findMappingProfile(headers);
+    
+    if (profile && missingRequiredFields(profile.mapping).length === 0) {
+      await processParsedFile(worker, fileName, profile.mapping);
+      return;
+    }
     
+    const mapping = proposeMapping(headers);
+    if (isExactMapping(mapping)) {
+      await processParsedFile(worker, fileName, null);
+      return;
+    }
+    
+    // The worker keeps the full rows; only a preview comes back for the wizard
+    setParseProgress(null);
+    setPendingUpload({
+      fileName,
+      headers,
+      previewRows: parsed.previewRows,
+      rowCount: parsed.rowCount,
+      mapping,
+      profileName: profile ? profile.name : ''
+    });
+  };
+  
+  // Finish an upload once the user has confirmed the column mapping
+  const handleMappingConfirm = async ({ mapping, profileName }) => {
+    if (profileName) {
+      saveMappingProfile(profileName, pendingUpload.headers, mapping);
+    }
+    const { fileName } = pendingUpload;
+    setPendingUpload(null);
     try {
-      // Read file content
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const content = e.target.result;
-        
-        // Parse CSV
-        const result = Papa.parse(content, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true
-        });
-        
-        if (result.errors.length > 0) {
-          setUploadError(`Error parsing CSV: ${result.errors[0].message}`);
-          setLoading(false);
-          return;
-        }
-        
-        // Check if required columns exist
-        const requiredColumns = [
-          'Revenue', 
-          'EBITDA', 
-          'Primary Supply Vertical', 
-          'Primary Supply Activity',
-          'Total Pursuits'
-        ];
-        
-        const missingColumns = requiredColumns.filter(col => 
-          !result.meta.fields.includes(col) && 
-          !result.meta.fields.some(field => field.toLowerCase().includes(col.toLowerCase()))
-        );
-        
-        if (missingColumns.length > 0) {
-          setUploadError(`Missing required columns: ${missingColumns.join(', ')}`);
-          setLoading(false);
-          return;
-        }
-        
-        // Calculate quality scores and assign ranks
-        const processedDeals = calculateQualityScores(result.data);
-        
-        // Extract filter options
-        const options = {
-          verticals: [...new Set(processedDeals.map(d => d["Primary Supply Vertical"]))].filter(Boolean),
-          activities: [...new Set(processedDeals.map(d => d["Primary Supply Activity"]))].filter(Boolean),
-          regions: [...new Set(processedDeals.map(d => d.Region))].filter(Boolean),
-          states: [...new Set(processedDeals.map(d => d["State/Province"]))].filter(Boolean),
-          dealIntentStatuses: [...new Set(processedDeals.map(d => d["Deal Intent"]))].filter(Boolean)
-        };
-        
-        // Get max pursuits for slider
-        const maxPursuits = Math.max(...processedDeals.map(d => d["Total Pursuits"] || 0));
-        const maxRevenue = Math.max(...processedDeals.map(d => d.Revenue || 0));
-        const maxEbitda = Math.max(...processedDeals.map(d => d.EBITDA || 0));
-        
-        // Update state
-        setDeals(processedDeals);
-        setFilterOptions(options);
-        setSelectedDeals([]);
-        
-        // Set initial ranges based on data
-        setFilters(prev => ({
-          ...prev,
-          revenueRange: [0, maxRevenue],
-          ebitdaRange: [0, maxEbitda],
-          pursuitsRange: [0, maxPursuits],
-          dealIntentStatuses: []
-        }));
-        
-        setUploadedFileName(file.name);
-        setLoading(false);
-      };
+      await processParsedFile(csvWorkerRef.current, fileName, mapping);
+    } catch (error) {
+      if (error.cancelled) return;
+      console.error("Error processing file:", error);
+      await skipFile(fileName, 'Failed to load file: ' + error.message);
+    }
+  };
+  
+  // Skips this file; the rest of the upload still loads
+  const handleMappingCancel = () => {
+    setPendingUpload(null);
+    releaseCsvWorker();
+    loadNextFile();
+  };
+  
+  // Parse a file or CSV text in a fresh worker; the current data stays on screen until it is ready
+  const parseCsv = async ({ input, name: fileName, strict }) => {
+    releaseCsvWorker();
+    setParseProgress({ rows: 0, bytes: 0, totalBytes: 0 });
+    
+    const worker = createCsvWorker({ onProgress: setParseProgress });
+    csvWorkerRef.current = worker;
+    
+    try {
+      const parsed = await worker.parse(input);
+      
+      if (strict && parsed.error) {
+        await skipFile(fileName, `Error parsing CSV: ${parsed.error}`);
+        return;
+      }
       
-      reader.readAsText(file);
+      if (!parsed.rowCount) {
+        await skipFile(fileName, "No data found in the CSV file.");
+        return;
+      }
       
+      await prepareParsedFile(worker, fileName, parsed);
     } catch (error) {
+      // A newer upload or the Cancel button already cleaned up
+      if (error.cancelled) return;
       console.error("Error loading file:", error);
-      setUploadError('Failed to load file: ' + error.message);
-      setLoading(false);
+      await skipFile(fileName, 'Failed to load file: ' + error.message);
     }
   };
   
+  // Load the CSVs among picked or dropped files; the worker reads each file itself, in chunks
+  const uploadFiles = (files) => {
+    const csvFiles = files.filter(file => file.type === 'text/csv' || file.name.endsWith('.csv'));
+    if (!csvFiles.length) {
+      setUploadError('Please upload a CSV file');
+      return;
+    }
+    startUpload(
+      csvFiles.map(file => ({ input: file, name: file.name, lastModified: file.lastModified, strict: true })),
+      !appendUploads
+    );
+    const skipped = files.filter(file => !csvFiles.includes(file));
+    if (skipped.length) setUploadError(`Skipped files that are not CSV: ${skipped.map(file => file.name).join(', ')}`);
+  };
+  
+  // Handle file upload
+  const handleFileUpload = (event) => {
+    const files = [...event.target.files];
+    if (!files.length) return;
+    
+    // Allow the same file to be picked again after cancelling the mapping step
+    event.target.value = '';
+    uploadFiles(files);
+  };
+  
+  // Files dragged from the desktop; other drags on the page, such as table columns, are left alone
+  const isFileDrag = (event) => [...(event.dataTransfer?.types || [])].includes('Files');
+  
+  const handleDragOver = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    setDragActive(true);
+  };
+  
+  const handleDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setDragActive(false);
+  };
+  
+  const handleDrop = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    setDragActive(false);
+    uploadFiles([...event.dataTransfer.files]);
+  };
+  
+  // Unload one of several merged files, along with its quarantined rows and Source File filter
+  const removeReportFile = (id) => {
+    const removed = reportFiles.find(file => file.id === id);
+    const files = reportFiles.filter(file => file.id !== id);
+    setReportFiles(files);
+    setSourceFields(mergedFieldNames(files));
+    setUploadedFileName(files.map(file => file.label).join(', '));
+    setQuarantinedRows(prev => prev.filter(entry => entry.fileId !== id));
+    setFilters(prev => setFacetValues(prev, SOURCE_FILE_FIELD,
+      getFacetValues(prev, SOURCE_FILE_FIELD).filter(value => value !== removed?.label)));
+  };
+  
+  const handleConflictChoice = (id, fileId) => {
+    setConflictChoices(prev => ({ ...prev, [id]: fileId }));
+  };
+  
   // Load initial data
   useEffect(() => {
     const loadInitialData = async () => {
       try {
         setLoading(true);
         const response = await window.fs.readFile('UPLOAD FRESH DEAL TEASE REPORT.csv', { encoding: 'utf8' });
-        
-        // Parse CSV
-        const result = Papa.parse(response, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true,
-          delimitersToGuess: [',', '\t', '|', ';']
-        });
-        
-        if (!result.data || !result.data.length) {
-          setUploadError("No data found in the CSV file.");
-          setLoading(false);
-          return;
-        }
-        
-        // Calculate quality scores and assign ranks
-        const processedDeals = calculateQualityScores(result.data);
-        
-        // Extract filter options
-        const options = {
-          verticals: [...new Set(processedDeals.map(d => d["Primary Supply Vertical"]))].filter(Boolean),
-          activities: [...new Set(processedDeals.map(d => d["Primary Supply Activity"]))].filter(Boolean),
-          regions: [...new Set(processedDeals.map(d => d.Region))].filter(Boolean),
-          states: [...new Set(processedDeals.map(d => d["State/Province"]))].filter(Boolean),
-          dealIntentStatuses: [...new Set(processedDeals.map(d => d["Deal Intent"]))].filter(Boolean)
-        };
-        
-        setDeals(processedDeals);
-        setFilterOptions(options);
-        
-        // Get max pursuits for slider
-        const maxPursuits = Math.max(...processedDeals.map(d => d["Total Pursuits"] || 0));
-        const maxRevenue = Math.max(...processedDeals.map(d => d.Revenue || 0));
-        const maxEbitda = Math.max(...processedDeals.map(d => d.EBITDA || 0));
-        
-        // Set initial ranges based on data
-        setFilters(prev => ({
-          ...prev,
-          revenueRange: [0, maxRevenue],
-          ebitdaRange: [0, maxEbitda],
-          pursuitsRange: [0, maxPursuits]
-        }));
-        
+        await startUpload(
+          [{ input: response, name: 'UPLOAD FRESH DEAL TEASE REPORT.csv', lastModified: Date.now(), strict: false }],
+          true
+        );
       } catch (error) {
         console.error("Error loading initial data:", error);
         setUploadError("Error loading initial data. Please upload a CSV file.");
@@ -202,210 +620,49 @@ const DealAnalyticsDashboard = () => {
     };
     
     loadInitialData();
+    return cancelUpload;
   }, []);
   
-  // Calculate quality scores and ranks for deals
-  const calculateQualityScores = (data) => {
-    // Find maximum values for normalization
-    const maxPursuits = Math.max(...data.map(d => d["Total Pursuits"] || 0));
-    const maxRecs = Math.max(...data.map(d => d["Number of Recommendations"] || 0));
-    
-    // Calculate quality score for each deal
-    const scoredDeals = data.map(deal => {
-      const normPursuits = maxPursuits ? (deal["Total Pursuits"] || 0) / maxPursuits : 0;
-      const normRecs = maxRecs ? (deal["Number of Recommendations"] || 0) / maxRecs : 0;
-      
-      return {
-        ...deal,
-        qualityScore: (normPursuits * 0.7) + (normRecs * 0.3)
-      };
-    });
-    
-    // Sort by quality score and assign ranks
-    return scoredDeals
-      .sort((a, b) => b.qualityScore - a.qualityScore)
-      .map((deal, index) => ({
-        ...deal,
-        rank: index + 1
-      }));
-  };
-  
   // Apply filters to deals
   const filteredDeals = useMemo(() => {
     if (!deals || !deals.length) return [];
     if (!filters) return deals;
     
-    return deals.filter(deal => {
-      if (!deal) return false;
-      
-      // Revenue filter
-      if (filters.revenueRange && 
-          (deal.Revenue < filters.revenueRange[0] || deal.Revenue > filters.revenueRange[1])) {
-        return false;
-      }
-      
-      // EBITDA filter
-      if (filters.ebitdaRange && 
-          (deal.EBITDA < filters.ebitdaRange[0] || deal.EBITDA > filters.ebitdaRange[1])) {
-        return false;
-      }
-      
-      // Pursuits filter
-      if (filters.pursuitsRange && 
-          (deal["Total Pursuits"] < filters.pursuitsRange[0] || 
-           deal["Total Pursuits"] > filters.pursuitsRange[1])) {
-        return false;
-      }
-      
-      // Vertical filter
-      if (filters.verticals && filters.verticals.length > 0 && 
-          !filters.verticals.includes(deal["Primary Supply Vertical"])) {
-        return false;
-      }
-      
-      // Activity filter
-      if (filters.activities && filters.activities.length > 0 && 
-          !filters.activities.includes(deal["Primary Supply Activity"])) {
-        return false;
-      }
-      
-      // Region filter
-      if (filters.regions && filters.regions.length > 0 && 
-          !filters.regions.includes(deal.Region)) {
-        return false;
-      }
-      
-      // State filter
-      if (filters.states && filters.states.length > 0 && 
-          !filters.states.includes(deal["State/Province"])) {
-        return false;
-      }
-      
-      // Account Owner (Broker) filter
-      if (filters.includeBrokers === false && 
-          (deal["Account Owner"] === "Broker")) {
-        return false;
-      }
-      
-      // Smartshare Enabled filter
-      if (filters.includeSmartshareEnabled !== null) {
-        const smartshareValue = deal["SmartShare Enabled?"];
-        
-        if (smartshareValue !== null && smartshareValue !== undefined) {
-          const isEnabled = smartshareValue === 1 || 
-                           smartshareValue === "1" || 
-                           smartshareValue === true;
-          
-          if (filters.includeSmartshareEnabled !== isEnabled) {
-            return false;
-          }
-        }
-      }
-      
-      // Inbound Inquiry Enabled filter
-      if (filters.includeInboundInquiryEnabled !== null) {
-        const inboundValue = deal["Inbound Inquiry Enabled?"];
-        
-        if (inboundValue !== null && inboundValue !== undefined) {
-          const isEnabled = inboundValue === 1 || 
-                           inboundValue === "1" || 
-                           inboundValue === true;
-          
-          if (filters.includeInboundInquiryEnabled !== isEnabled) {
-            return false;
-          }
-        }
-      }
-      
-      // Deal Intent Status filter
-      if (filters.dealIntentStatuses && filters.dealIntentStatuses.length > 0) {
-        const dealIntentValue = deal["Deal Intent"];
-          
-        if (!dealIntentValue || !filters.dealIntentStatuses.includes(dealIntentValue)) {
-          return false;
-        }
-      }
-      
-      // Date filter - convert string date to Date object
-      if (deal["Market Date (Date)"] && filters.dateRange) {
-        try {
-          const dateParts = deal["Market Date (Date)"].split('/');
-          if (dateParts && dateParts.length === 3) {
-            const dealDate = new Date(
-              parseInt(dateParts[2]), 
-              parseInt(dateParts[0]) - 1, 
-              parseInt(dateParts[1])
-            );
-            
-            if (!isNaN(dealDate.getTime())) {
-              const startDate = new Date(filters.dateRange[0]);
-              const endDate = new Date(filters.dateRange[1]);
-              
-              if (dealDate < startDate || dealDate > endDate) {
-                return false;
-              }
-            }
-          }
-        } catch (error) {
-          console.error("Error filtering by date:", error);
-        }
-      }
-      
-      return true;
-    });
-  }, [deals, filters]);
+    return deals.filter(deal => matchesFilters(deal, filters, shortlists));
+  }, [deals, filters, shortlists]);
   
-  // Sort deals by column
-  const sortedDeals = useMemo(() => {
-    const sorted = [...filteredDeals];
-    
-    sorted.sort((a, b) => {
-      // Special handling for dates
-      if (sortConfig.key === 'Market Date (Date)' && a[sortConfig.key] && b[sortConfig.key]) {
-        // Parse dates in MM/DD/YYYY format
-        const partsA = a[sortConfig.key].split('/');
-        const partsB = b[sortConfig.key].split('/');
-        
-        if (partsA.length === 3 && partsB.length === 3) {
-          const dateA = new Date(
-            parseInt(partsA[2]), // year
-            parseInt(partsA[0]) - 1, // month (0-indexed)
-            parseInt(partsA[1]) // day
-          );
-          
-          const dateB = new Date(
-            parseInt(partsB[2]), // year
-            parseInt(partsB[0]) - 1, // month (0-indexed)
-            parseInt(partsB[1]) // day
-          );
-          
-          if (!isNaN(dateA.getTime()) && !isNaN(dateB.getTime())) {
-            return sortConfig.direction === 'asc' 
-              ? dateA - dateB 
-              : dateB - dateA;
-          }
-        }
-      }
-      
-      // Default sorting for non-date columns
-      if (a[sortConfig.key] < b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? -1 : 1;
-      }
-      if (a[sortConfig.key] > b[sortConfig.key]) {
-        return sortConfig.direction === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-    
-    return sorted;
-  }, [filteredDeals, sortConfig]);
+  // The comparison snapshot under the same filters, for chart deltas
+  const baseFilteredDeals = useMemo(
+    () => (baseDeals && filters ? baseDeals.filter(deal => matchesFilters(deal, filters, shortlists)) : null),
+    [baseDeals, filters, shortlists]
+  );
+  
+  // The trend chart sets the date range itself, so it shows every date the other filters allow
+  const trendDeals = useMemo(
+    () => (filters ? deals.filter(deal => matchesFilters(deal, withoutFilters(filters, ['dateRange']), shortlists)) : deals),
+    [deals, filters, shortlists]
+  );
+  
+  // Sort deals by the chosen columns, primary key first
+  const sortedDeals = useMemo(() => sortDeals(filteredDeals, sortConfig), [filteredDeals, sortConfig]);
   
   // Handle column sort
-  const handleSort = (key) => {
-    setSortConfig({
-      key,
-      direction: sortConfig.key === key && sortConfig.direction === 'asc' ? 'desc' : 'asc'
-    });
+  // Shift-click adds the column as a further sort key
+  const handleSort = (key, additive) => {
+    setSortConfig(prev => toggleSort(prev, key, additive));
+  };
+  
+  // Typed dates replace any relative preset
+  const handleDateRangeChange = (dateRange) => {
+    setFilters(prev => ({ ...prev, dateRange, datePreset: null }));
+  };
+  
+  const handleDatePresetChange = (key) => {
+    setFilters(prev => ({
+      ...prev,
+      datePreset: key || null,
+      dateRange: key ? presetDateRange(key) : defaultFilters.dateRange
+    }));
   };
   
   // Handle filter changes
@@ -416,25 +673,98 @@ const DealAnalyticsDashboard = () => {
     }));
   };
   
-  // Reset all filters
+  // Apply a saved or shared view on top of the defaults for the loaded data
+  const applyDashboardState = (state, rows = deals) => {
+    const nextFilters = { ...buildDefaultFilters(rows), ...(state.filters || {}) };
+    // Relative presets are worked out again from today's date
+    if (nextFilters.datePreset) {
+      nextFilters.dateRange = presetDateRange(nextFilters.datePreset) || nextFilters.dateRange;
+    }
+    setFilters(nextFilters);
+    setSortConfig(normalizeSortConfig(state.sortConfig));
+    setChartCards(Array.isArray(state.chartCards) ? state.chartCards : cardsFromChartViewMode(state.chartViewMode));
+  };
+  
+  // Reset all filters to the default view, or to the full data range
   const resetFilters = () => {
-    setFilters({
-      revenueRange: [0, Math.max(...(deals || []).map(d => d.Revenue || 0))],
-      ebitdaRange: [0, Math.max(...(deals || []).map(d => d.EBITDA || 0))],
-      pursuitsRange: [0, Math.max(...(deals || []).map(d => d["Total Pursuits"] || 0))],
-      verticals: [],
-      activities: [],
-      regions: [],
-      states: [],
-      dateRange: ['2024-01-01', '2025-12-31'],
-      includeBrokers: true,
-      includeSmartshareEnabled: null,
-      includeInboundInquiryEnabled: null,
-      dealIntentStatuses: []
-    });
+    const defaultView = getDefaultView();
+    if (defaultView) {
+      applyDashboardState(defaultView.state);
+    } else {
+      setFilters(defaultFilters);
+    }
     setSelectedDeals([]);
   };
   
+  // Active filters in words, for exports and snapshots
+  const defaultFilters = useMemo(() => buildDefaultFilters(deals), [deals]);
+  const filterDescription = useMemo(
+    () => describeFilters(filters, defaultFilters, shortlists),
+    [filters, defaultFilters, shortlists]
+  );
+  
+  // Ranges left at the full span follow it when the data changes, e.g. quality scores after rescoring
+  const previousDefaults = useRef(defaultFilters);
+  useEffect(() => {
+    const previous = previousDefaults.current;
+    previousDefaults.current = defaultFilters;
+    setFilters(prev => {
+      const stale = RANGE_FILTERS.filter(({ key }) =>
+        sameRange(prev[key], previous[key]) && !sameRange(prev[key], defaultFilters[key]));
+      if (!stale.length) return prev;
+      const next = { ...prev };
+      stale.forEach(({ key }) => {
+        next[key] = defaultFilters[key];
+      });
+      return next;
+    });
+  }, [defaultFilters]);
+  
+  // Range controls for the columns in this report, with the values behind each histogram
+  const rangeFilters = useMemo(
+    () => RANGE_FILTERS.filter(({ field }) => field === 'qualityScore' || !sourceFields.length || sourceFields.includes(field)),
+    [sourceFields]
+  );
+  const extraRangeFields = useMemo(() => numericColumns(dealFields, deals), [dealFields, deals]);
+  const rangeValues = useMemo(() => {
+    const values = {};
+    [...rangeFilters.map(filter => filter.field), ...extraRangeFields].forEach(field => {
+      values[field] = deals.map(deal => deal[field]);
+    });
+    return values;
+  }, [deals, rangeFilters, extraRangeFields]);
+  
+  const extraRangeInfo = useMemo(() => {
+    const info = {};
+    extraRangeFields.forEach(field => {
+      const wholeNumbers = rangeValues[field].every(value => typeof value !== 'number' || Number.isInteger(value));
+      info[field] = { bounds: numericRange(deals, field), kind: wholeNumbers ? 'integer' : 'decimal' };
+    });
+    return info;
+  }, [deals, extraRangeFields, rangeValues]);
+  
+  const setFieldRange = (field, range) => {
+    setFilters(prev => ({ ...prev, fieldRanges: { ...(prev.fieldRanges || {}), [field]: range } }));
+  };
+  
+  const removeFieldRange = (field) => {
+    setFilters(prev => {
+      const { [field]: removed, ...fieldRanges } = prev.fieldRanges || {};
+      return { ...prev, fieldRanges };
+    });
+  };
+  
+  // Keep the URL in sync so a link reproduces the exact view
+  const dashboardState = useMemo(
+    () => ({ filters, sortConfig, chartCards }),
+    [filters, sortConfig, chartCards]
+  );
+  
+  useEffect(() => {
+    if (!initialViewApplied.current) return;
+    writeStateToUrl(dashboardState);
+  }, [dashboardState]);
+  
   // Toggle deal selection
   const toggleDealSelection = (deal) => {
     setSelectedDeals(prev => {
@@ -448,44 +778,58 @@ const DealAnalyticsDashboard = () => {
     });
   };
   
-  // Copy formatted deals to clipboard
-  const copyFormattedDeals = () => {
-    if (selectedDeals.length === 0) return;
-    
-    // Create tab-separated table with just the basic deal info
-    const headers = ['Deal', 'Revenue ($M)', 'EBITDA ($M)', 'ID'];
-    const headerRow = headers.join('\t');
-    
-    const rows = selectedDeals.map(deal => {
-      return [
-        deal["Sellside Project: Axial Opportunity"],
-        (deal.Revenue/1000000).toFixed(1),
-        (deal.EBITDA/1000000).toFixed(1),
-        deal["Sellside Project: ID"]
-      ].join('\t');
+  const selectedIds = useMemo(() => new Set(selectedDeals.map(dealKey)), [selectedDeals]);
+  
+  // Add several deals at once, e.g. from a lasso on the scatter plot; deals already selected keep their place
+  const addDealsToSelection = (dealsToAdd) => {
+    setSelectedDeals(prev => {
+      const existing = new Set(prev.map(dealKey));
+      return [...prev, ...dealsToAdd.filter(deal => !existing.has(dealKey(deal)))];
     });
-    
-    const tsvContent = [headerRow, ...rows].join('\n');
-    
-    // Copy to clipboard
-    navigator.clipboard.writeText(tsvContent)
-      .then(() => {
-        alert('Deals copied to clipboard in tab-separated format!');
-      })
-      .catch(err => {
-        console.error('Failed to copy: ', err);
-        alert('Failed to copy to clipboard. Please try a different browser.');
-      });
   };
   
-  // Function to toggle chart view mode
-  const toggleChartViewMode = (chart) => {
-    setChartViewMode(prev => ({
-      ...prev,
-      [chart]: prev[chart] === 'count' ? 'percentage' : 'count'
-    }));
+  // Looked up by ID so the drawer follows rescoring and disappears if the deal is no longer loaded
+  const detailDeal = useMemo(
+    () => (detailDealId === null ? null : deals.find(deal => dealKey(deal) === detailDealId) || null),
+    [deals, detailDealId]
+  );
+  
+  // Selected deals with their current scores, in selection order
+  const selectedDealsCurrent = useMemo(() => {
+    const byId = new Map(deals.map(deal => [dealKey(deal), deal]));
+    return selectedDeals.map(deal => byId.get(dealKey(deal))).filter(Boolean);
+  }, [deals, selectedDeals]);
+  
+  const closeDetailDrawer = useCallback(() => setDetailDealId(null), []);
+  
+  // Copy formatted deals to clipboard
+  const activeMemoTemplate = memoTemplates.find(template => template.id === memoTemplateId) || memoTemplates[0];
+  
+  // Copy the selected deals as a memo from the active template, as HTML and plain text;
+  // place says which button was used, so the result shows next to it
+  const copyFormattedDeals = async (place) => {
+    if (selectedDealsCurrent.length === 0) return;
+    const memo = renderMemo(activeMemoTemplate, { deals: selectedDealsCurrent, source: uploadedFileName });
+    if (memo.error) {
+      setCopyStatus({ place, tone: 'error', message: `The "${activeMemoTemplate.name}" template has an error: ${memo.error.message}` });
+      return;
+    }
+    try {
+      await copyMemo(memo);
+      const count = selectedDealsCurrent.length;
+      setCopyStatus({ place, tone: 'success', message: `Copied ${count} deal${count !== 1 ? 's' : ''} as "${activeMemoTemplate.name}"` });
+    } catch (err) {
+      console.error('Failed to copy: ', err);
+      setCopyStatus({ place, tone: 'error', message: 'Could not copy to the clipboard. Please try a different browser.' });
+    }
   };
   
+  const copyStatusFor = (place) => copyStatus?.place === place && (
+    <span className={`text-sm ${copyStatus.tone === 'error' ? 'text-red-500' : 'text-green-600'}`}>
+      {copyStatus.message}
+    </span>
+  );
+  
   // Calculate summary statistics for dashboard
   const summaryStats = useMemo(() => {
     if (filteredDeals.length === 0) return null;
@@ -496,54 +840,108 @@ const DealAnalyticsDashboard = () => {
       avgRevenue: filteredDeals.reduce((sum, deal) => sum + (deal.Revenue || 0), 0) / filteredDeals.length,
       totalEBITDA: filteredDeals.reduce((sum, deal) => sum + (deal.EBITDA || 0), 0),
       avgEBITDA: filteredDeals.reduce((sum, deal) => sum + (deal.EBITDA || 0), 0) / filteredDeals.length,
-      avgQualityScore: filteredDeals.reduce((sum, deal) => sum + deal.qualityScore, 0) / filteredDeals.length
+      avgQualityScore: filteredDeals.reduce((sum, deal) => sum + deal.qualityScore, 0) / filteredDeals.length,
+      // Averages of the calculated columns picked for the card, ignoring blanks
+      calculated: compiledColumns
+        .filter(column => column.summary && calculatedNumberFields.includes(column.name))
+        .map(column => {
+          const values = filteredDeals.map(deal => deal[column.name]).filter(value => typeof value === 'number');
+          return {
+            name: column.name,
+            average: values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+          };
+        })
     };
-  }, [filteredDeals]);
+  }, [filteredDeals, compiledColumns, calculatedNumberFields]);
   
   // Prepare data for charts
-  const verticalChartData = useMemo(() => {
-    if (filteredDeals.length === 0) return [];
-    
-    const counts = {};
-    filteredDeals.forEach(deal => {
-      const vertical = deal["Primary Supply Vertical"];
-      if (vertical) {
-        counts[vertical] = (counts[vertical] || 0) + 1;
-      }
+  // Each chart ignores its own facet so unselected categories stay visible, dimmed, and can be clicked back in
+  const chartCardData = useMemo(() => {
+    const data = {};
+    chartCards.forEach(card => {
+      const facetFilters = withoutFacet(filters, card.field);
+      data[card.id] = {
+        deals: deals.filter(deal => matchesFilters(deal, facetFilters, shortlists)),
+        baseDeals: baseDeals ? baseDeals.filter(deal => matchesFilters(deal, facetFilters, shortlists)) : null,
+        selectedValues: getFacetValues(filters, card.field)
+      };
     });
-    
-    // Calculate percentages if in percentage mode
-    const data = Object.entries(counts)
-      .map(([name, value]) => {
-        const percentage = (value / filteredDeals.length) * 100;
-        return { name, value, percentage };
-      })
-      .sort((a, b) => b.value - a.value);
-    
     return data;
-  }, [filteredDeals]);
+  }, [chartCards, deals, baseDeals, filters, shortlists]);
   
-  const activityChartData = useMemo(() => {
-    if (filteredDeals.length === 0) return [];
-    
-    const counts = {};
-    filteredDeals.forEach(deal => {
-      const activity = deal["Primary Supply Activity"];
-      if (activity) {
-        counts[activity] = (counts[activity] || 0) + 1;
-      }
+  const categoryFields = useMemo(() => categoricalFields(dealFields, deals), [dealFields, deals]);
+  
+  // Chart clicks: ctrl/cmd-click adds to the selection instead of replacing it
+  const handleCategoryClick = (field, value, event) => {
+    const additive = Boolean(event && (event.ctrlKey || event.metaKey));
+    setFilters(prev => setFacetValues(prev, field, toggleFacetValue(getFacetValues(prev, field), value, additive)));
+  };
+  
+  const updateChartCard = (updated) => {
+    setChartCards(prev => prev.map(card => (card.id === updated.id ? updated : card)));
+  };
+  
+  const removeChartCard = (id) => {
+    setChartCards(prev => prev.filter(card => card.id !== id));
+  };
+  
+  const moveChartCard = (index, direction) => {
+    setChartCards(prev => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
     });
-    
-    // Calculate percentages if in percentage mode
-    const data = Object.entries(counts)
-      .map(([name, value]) => {
-        const percentage = (value / filteredDeals.length) * 100;
-        return { name, value, percentage };
-      })
-      .sort((a, b) => b.value - a.value);
-    
-    return data;
-  }, [filteredDeals]);
+  };
+  
+  const addChartCard = (field) => {
+    if (!field) return;
+    setChartCards(prev => [...prev, createDistributionCard(field)]);
+  };
+  
+  // The heatmap ignores both of its facets so the selected cell is shown among the rest
+  const pivotDeals = useMemo(() => {
+    const pivotFilters = withoutFilters(filters, ['verticals', 'activities']);
+    return deals.filter(deal => matchesFilters(deal, pivotFilters, shortlists));
+  }, [deals, filters, shortlists]);
+  
+  // Filter to one vertical and activity pair, or clear both when that pair is already the selection
+  const handlePivotCellClick = (vertical, activity) => {
+    setFilters(prev => {
+      const alreadySelected = prev.verticals.length === 1 && prev.verticals[0] === vertical &&
+        prev.activities.length === 1 && prev.activities[0] === activity;
+      return {
+        ...prev,
+        verticals: alreadySelected ? [] : [vertical],
+        activities: alreadySelected ? [] : [activity]
+      };
+    });
+  };
+  
+  // The map ignores the State/Province filter so picked areas are shown among the rest
+  const mapDeals = useMemo(() => {
+    const mapFilters = withoutFilters(filters, ['states']);
+    return deals.filter(deal => matchesFilters(deal, mapFilters, shortlists));
+  }, [deals, filters, shortlists]);
+  
+  // An area can stand for several spellings (e.g. "QC" and "Quebec"); toggle them together
+  const handleMapAreaClick = (values) => {
+    setFilters(prev => {
+      const alreadySelected = values.every(value => prev.states.includes(value));
+      return {
+        ...prev,
+        states: alreadySelected
+          ? prev.states.filter(value => !values.includes(value))
+          : [...new Set([...prev.states, ...values])]
+      };
+    });
+  };
+  
+  const filterChips = useMemo(
+    () => buildFilterChips(filters, defaultFilters, shortlists),
+    [filters, defaultFilters, shortlists]
+  );
   
   // Chart colors with better palette
   const COLORS = [
@@ -552,20 +950,40 @@ const DealAnalyticsDashboard = () => {
     '#F77F00', '#FCBF49', '#EAE2B7', '#D62828', '#9E0059'
   ];
   
-  // Loading state
-  if (loading) {
+  // Loading state; once a dataset is shown, later uploads load behind it
+  if (loading && !rawDeals.length) {
     return (
       <div className="flex items-center justify-center h-screen">
         <div className="text-center">
           <h2 className="text-2xl font-bold mb-4">Loading Deal Analytics Dashboard...</h2>
           <div className="w-16 h-16 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+          {parseProgress && (
+            <div className="flex justify-center mt-6">
+              <ParseProgress progress={parseProgress} onCancel={cancelUpload} />
+            </div>
+          )}
         </div>
       </div>
     );
   }
   
+  const reviewCount = quarantinedRows.length + merged.conflicts.length;
+  
   return (
-    <div className="min-h-screen bg-gray-50 p-4">
+    <div
+      className="min-h-screen bg-gray-50 p-4"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {dragActive && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-blue-600 bg-opacity-20 border-4 border-dashed border-blue-500 pointer-events-none">
+          <div className="bg-white rounded-lg shadow px-6 py-4 text-lg font-medium text-blue-700">
+            Drop CSV files to {appendUploads && reportFiles.length ? 'add them to the loaded reports' : 'load them'}
+          </div>
+        </div>
+      )}
+      
       <header className="bg-white shadow rounded-lg p-4 mb-6">
         <div className="flex flex-col md:flex-row md:justify-between md:items-center">
           <h1 className="text-2xl font-bold text-gray-800 mb-4 md:mb-0">Deal Tease Dashboard</h1>
@@ -576,6 +994,7 @@ const DealAnalyticsDashboard = () => {
               <input
                 type="file"
                 accept=".csv"
+                multiple
                 onChange={handleFileUpload}
                 ref={fileInputRef}
                 className="hidden"
@@ -592,6 +1011,83 @@ const DealAnalyticsDashboard = () => {
               </span>
             </div>
             
+            <div className="flex items-center space-x-2 text-sm text-gray-600">
+              <label className="flex items-center" title="Merge uploaded files with the reports already loaded">
+                <input
+                  type="checkbox"
+                  checked={appendUploads}
+                  onChange={(e) => setAppendUploads(e.target.checked)}
+                  className="h-4 w-4 mr-1"
+                />
+                Add to loaded files
+              </label>
+              <select
+                value={mergePolicy}
+                onChange={(e) => setMergePolicy(e.target.value)}
+                className="p-1 border rounded text-sm"
+                title="How a deal found in more than one file is resolved"
+              >
+                {MERGE_POLICIES.map(policy => (
+                  <option key={policy.key} value={policy.key}>{policy.label}</option>
+                ))}
+              </select>
+            </div>
+            
+            {parseProgress && (
+              <ParseProgress progress={parseProgress} onCancel={cancelUpload} />
+            )}
+            
+            <button 
+              onClick={() => setShowScoringPanel(prev => !prev)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              {showScoringPanel ? 'Hide Scoring Model' : 'Scoring Model'}
+            </button>
+            
+            <button 
+              onClick={() => setShowCalculatedPanel(prev => !prev)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              {showCalculatedPanel ? 'Hide Calculated Columns' : 'Calculated Columns'}
+            </button>
+            
+            <SavedViewsMenu
+              currentState={dashboardState}
+              onApply={(state) => applyDashboardState(state)}
+            />
+            
+            <DashboardSnapshotButton
+              sections={[
+                { heading: 'Summary Statistics', elementId: 'summary-stats' },
+                { heading: 'Deals Over Time', elementId: 'trend-chart' },
+                ...chartCards.map(card => ({
+                  heading: `${getDistributionMeasure(card.measure).label} by ${columnLabel(card.field)}`,
+                  elementId: `distribution-${card.id}`
+                })),
+                { heading: 'Vertical × Activity', elementId: 'pivot-heatmap' },
+                { heading: 'Deals by State/Province', elementId: 'region-map' },
+                { heading: 'Revenue vs EBITDA', elementId: 'revenue-ebitda-scatter' }
+              ]}
+              descriptionLines={[
+                `${filteredDeals.length} of ${deals.length} deals · ${uploadedFileName} · ${new Date().toLocaleDateString()}`,
+                ...(filterDescription.length ? filterDescription : ['No filters applied'])
+              ]}
+            />
+            
+            <button 
+              onClick={() => setShowSnapshotPanel(prev => !prev)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              {showSnapshotPanel ? 'Hide Snapshots' : `Snapshots (${snapshots.length})`}
+            </button>
+            
+            <button 
+              onClick={() => setShowShortlistsPanel(prev => !prev)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              {showShortlistsPanel ? 'Hide Shortlists' : `Shortlists (${shortlists.length})`}
+            </button>
+            
             <button 
               onClick={resetFilters}
               className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
@@ -607,19 +1103,180 @@ const DealAnalyticsDashboard = () => {
           </div>
         </div>
         
+        {/* Files merged into the dashboard */}
+        {reportFiles.length > 1 && (
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+            {reportFiles.map(file => (
+              <span key={file.id} className="inline-flex items-center px-2 py-1 bg-gray-100 text-gray-700 rounded">
+                {file.label}
+                <span className="ml-1 text-xs text-gray-500">({file.deals.length})</span>
+                <button
+                  onClick={() => removeReportFile(file.id)}
+                  className="ml-1 text-gray-400 hover:text-gray-700"
+                  aria-label={`Remove ${file.label}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            {merged.duplicateCount > 0 && (
+              <span className="text-gray-500">
+                {merged.duplicateCount} {merged.duplicateCount === 1 ? 'deal appears' : 'deals appear'} in more than one file
+              </span>
+            )}
+          </div>
+        )}
+        
+        {/* Active snapshot comparison */}
+        {dealChanges && (
+          <div className="mt-2 flex items-center text-sm text-blue-700 bg-blue-50 rounded px-3 py-2">
+            <span className="flex-1">
+              Showing change since snapshot {formatSnapshotLabel(comparisonSnapshot.meta)}: {dealChanges.counts.new} new, {dealChanges.counts.dropped} dropped, {dealChanges.counts.changed} changed
+            </span>
+            <button 
+              onClick={() => setComparisonSnapshot(null)}
+              className="ml-2 text-blue-700 hover:text-blue-900 font-medium"
+            >
+              Clear
+            </button>
+          </div>
+        )}
+        
         {/* Display upload error if any */}
         {uploadError && (
           <div className="mt-2 text-red-500 text-sm">
             {uploadError}
           </div>
         )}
+        
+        {/* Deals waiting for a merge decision */}
+        {merged.conflicts.length > 0 && activeTab !== 'quarantine' && (
+          <div className="mt-2 flex items-center text-sm text-amber-700 bg-amber-50 rounded px-3 py-2">
+            <span className="flex-1">
+              {merged.conflicts.length} {merged.conflicts.length === 1 ? 'deal differs' : 'deals differ'} between files and {merged.conflicts.length === 1 ? 'is' : 'are'} left out until you pick a version.
+            </span>
+            <button
+              onClick={() => setActiveTab('quarantine')}
+              className="ml-2 text-amber-700 hover:text-amber-900 font-medium"
+            >
+              Review
+            </button>
+          </div>
+        )}
+        
+        {/* Rows held back by the data-quality checks */}
+        {quarantinedRows.length > 0 && activeTab !== 'quarantine' && (
+          <div className="mt-2 flex items-center text-sm text-amber-700 bg-amber-50 rounded px-3 py-2">
+            <span className="flex-1">
+              {quarantinedRows.length} {quarantinedRows.length === 1 ? 'row was' : 'rows were'} held back by data-quality checks and {quarantinedRows.length === 1 ? 'is' : 'are'} not in the dashboard.
+            </span>
+            <button
+              onClick={() => setActiveTab('quarantine')}
+              className="ml-2 text-amber-700 hover:text-amber-900 font-medium"
+            >
+              Review
+            </button>
+          </div>
+        )}
       </header>
       
-      <div className="space-y-6 mb-6">
+      {/* Dashboard and Quarantine tabs */}
+      <div className="flex space-x-1 mb-6 border-b border-gray-200">
+        {[
+          { key: 'dashboard', label: 'Dashboard' },
+          { key: 'quarantine', label: `Quarantine (${reviewCount})` }
+        ].map(tab => (
+          <button
+            key={tab.key}
+            onClick={() => setActiveTab(tab.key)}
+            className={`px-4 py-2 -mb-px text-sm font-medium border-b-2 ${activeTab === tab.key
+              ? 'border-blue-600 text-blue-700'
+              : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+      
+      {activeTab === 'quarantine' && merged.conflicts.length > 0 && (
+        <MergeConflictsPanel conflicts={merged.conflicts} onChoose={handleConflictChoice} />
+      )}
+      
+      {activeTab === 'quarantine' && (
+        <QuarantinePanel
+          entries={quarantinedRows}
+          upload={lastUpload}
+          onEdit={handleQuarantineEdit}
+          onInclude={handleIncludeQuarantined}
+          onDrop={handleDropQuarantined}
+          onAcceptIntent={handleAcceptIntent}
+        />
+      )}
+      
+      {/* Named Shortlists */}
+      {showShortlistsPanel && (
+        <ShortlistsPanel
+          shortlists={shortlists}
+          deals={deals}
+          selectedDeals={selectedDealsCurrent}
+          filterId={filters.shortlistId ?? null}
+          onChange={setShortlists}
+          onFilter={(id) => handleFilterChange('shortlistId', id)}
+          onSelect={setSelectedDeals}
+        />
+      )}
+      
+      {/* Snapshot History */}
+      {showSnapshotPanel && (
+        <SnapshotPanel
+          snapshots={snapshots}
+          comparisonId={comparisonSnapshot?.meta.id ?? null}
+          onCompareWithCurrent={handleCompareWithSnapshot}
+          onDelete={handleDeleteSnapshot}
+          scoringModel={scoringModel}
+          dateFormat={dateFormat}
+        />
+      )}
+      
+      {/* Scoring Model Editor */}
+      {showScoringPanel && (
+        <ScoringPanel model={scoringModel} onChange={setScoringModel} />
+      )}
+      
+      {/* Calculated Column Editor */}
+      {showCalculatedPanel && (
+        <CalculatedColumnsPanel
+          columns={calculatedColumns}
+          compiledColumns={compiledColumns}
+          problems={calculatedResult.problems}
+          fields={availableColumns(sourceFields)}
+          deals={deals}
+          onChange={setCalculatedColumns}
+        />
+      )}
+      
+      {/* Kept mounted while the Quarantine tab is open so charts keep their state */}
+      <div className={`space-y-6 mb-6 ${activeTab === 'dashboard' ? '' : 'hidden'}`}>
+        <QuerySearchBox
+          filters={filters}
+          defaults={defaultFilters}
+          options={filterOptions}
+          onChange={setFilters}
+        />
+        
+        <ActiveFilterChips
+          chips={filterChips}
+          onRemove={(chip) => setFilters(prev => removeFilterChip(prev, chip, defaultFilters))}
+          onClearAll={() => setFilters(defaultFilters)}
+        />
+        
         {/* Summary Stats Card */}
         {summaryStats && (
-          <div className="bg-white shadow rounded-lg p-4 w-full">
-            <h2 className="text-lg font-semibold mb-4 text-gray-800">Summary Statistics</h2>
+          <div id="summary-stats" className="bg-white shadow rounded-lg p-4 w-full">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold text-gray-800">Summary Statistics</h2>
+              <ImageExportButtons targetId="summary-stats" fileName="summary-statistics" />
+            </div>
             <div className="grid grid-cols-2 gap-4">
               <div className="bg-gradient-to-br from-blue-50 to-indigo-50 p-4 rounded-lg shadow-sm">
                 <div className="text-sm text-indigo-500 font-semibold">Total Deals</div>
@@ -645,286 +1302,193 @@ const DealAnalyticsDashboard = () => {
                 <div className="text-sm text-indigo-500 font-semibold">Avg. Quality Score</div>
                 <div className="text-2xl font-bold text-gray-800">{summaryStats.avgQualityScore.toFixed(2)}</div>
               </div>
+              {summaryStats.calculated.map(stat => (
+                <div key={stat.name} className="bg-gradient-to-br from-slate-50 to-gray-100 p-4 rounded-lg shadow-sm">
+                  <div className="text-sm text-slate-500 font-semibold">Avg. {stat.name}</div>
+                  <div className="text-2xl font-bold text-gray-800">{formatFieldValue(stat.name, stat.average)}</div>
+                </div>
+              ))}
             </div>
           </div>
         )}
         
-        {/* Vertical Distribution Chart */}
+        {/* Deals Over Time */}
         <div className="bg-white shadow rounded-lg p-4 w-full">
           <div className="flex justify-between items-center mb-4">
-            <h2 className="text-lg font-semibold text-gray-800">Deals by Vertical</h2>
-            <div className="flex space-x-2">
-              <div className="relative inline-block">
-                <button 
-                  onClick={() => toggleChartViewMode('vertical')} 
-                  className="px-3 py-1 bg-purple-600 text-white text-sm rounded-full hover:bg-purple-700 shadow-sm transition-colors"
-                >
-                  {chartViewMode.vertical === 'count' ? 'Show %' : 'Show Count'}
-                </button>
-              </div>
-            </div>
+            <h2 className="text-lg font-semibold text-gray-800">Deals Over Time</h2>
+            <ImageExportButtons targetId="trend-chart" fileName="deals-over-time" />
           </div>
-          <div id="vertical-chart">
-            {verticalChartData.length > 0 ? (
-              <ResponsiveContainer width="100%" height={Math.max(400, verticalChartData.length * 30)}>
-                <BarChart data={verticalChartData} layout="vertical" margin={{ top: 5, right: 30, left: 160, bottom: 20 }}>
-                  <XAxis 
-                    type="number" 
-                    domain={[0, chartViewMode.vertical === 'count' ? 'dataMax' : (
-                      // Find the max percentage and add 10% padding, or use 100 if close to it
-                      Math.max(...verticalChartData.map(item => item.percentage)) > 90 ? 100 : 
-                      Math.min(100, Math.ceil(Math.max(...verticalChartData.map(item => item.percentage)) * 1.1))
-                    )]} 
-                    tickCount={5}
-                    tickFormatter={value => chartViewMode.vertical === 'percentage' ? `${value}%` : value}
-                    // Add padding to accommodate external labels for small values
-                    padding={{ right: 30 }}
-                  />
-                  <YAxis 
-                    type="category" 
-                    dataKey="name" 
-                    width={160} 
-                    tick={{ fontSize: 12 }}
-                    interval={0}
-                  />
-                  <Tooltip 
-                    formatter={(value, name, props) => {
-                      const entry = props.payload;
-                      return chartViewMode.vertical === 'count' 
-                        ? [`${value} deals (${entry.percentage.toFixed(1)}%)`, 'Count'] 
-                        : [`${value.toFixed(1)}% (${entry.value} deals)`, 'Percentage'];
-                    }}
-                    contentStyle={{ 
-                      backgroundColor: 'rgba(255, 255, 255, 0.95)', 
-                      borderRadius: '8px',
-                      boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-                      border: 'none',
-                      padding: '10px'
-                    }}
-                  />
-                  <Bar 
-                    dataKey={chartViewMode.vertical === 'count' ? 'value' : 'percentage'}
-                    fill="#8884d8" 
-                    barSize={24}
-                    radius={[0, 4, 4, 0]}
-                    background={{ fill: '#f0f0f0' }}
-                    label={(props) => {
-                      const { x, y, width, height, value } = props;
-                      const displayValue = chartViewMode.vertical === 'count' 
-                        ? value 
-                        : `${value.toFixed(1)}%`;
-                      
-                      // Dynamic label positioning - outside for small values, inside for larger values
-                      const threshold = chartViewMode.vertical === 'count' ? 15 : 5; // Adjust threshold as needed
-                      const isSmallValue = value < threshold;
-                      
-                      return (
-                        <text 
-                          x={isSmallValue ? (x + width + 5) : (x + width - 5)} 
-                          y={y + height / 2} 
-                          fill={isSmallValue ? "#555555" : "#000000"}
-                          textAnchor={isSmallValue ? "start" : "end"}
-                          dominantBaseline="central"
-                          fontSize="12"
-                          fontWeight="bold"
-                        >
-                          {displayValue}
-                        </text>
-                      );
-                    }}
-                  >
-                    {verticalChartData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                    ))}
-                  </Bar>
-                </BarChart>
-              </ResponsiveContainer>
-            ) : (
-              <div className="flex items-center justify-center h-56 text-gray-500">
-                No data to display
-              </div>
-            )}
+          <div id="trend-chart">
+            <TrendChart
+              deals={trendDeals}
+              dateRange={filters.dateRange}
+              isDateFiltered={Boolean(filters.datePreset) ||
+                filters.dateRange[0] !== defaultFilters.dateRange[0] ||
+                filters.dateRange[1] !== defaultFilters.dateRange[1]}
+              colors={COLORS}
+              onDateRangeChange={handleDateRangeChange}
+              onClearDateRange={() => handleDatePresetChange('')}
+            />
           </div>
         </div>
         
-        {/* Activity Distribution Chart */}
+        {/* Distribution Charts */}
+        {chartCards.map((card, index) => (
+          <DistributionChartCard
+            key={card.id}
+            card={card}
+            deals={chartCardData[card.id].deals}
+            baseDeals={chartCardData[card.id].baseDeals}
+            selectedValues={chartCardData[card.id].selectedValues}
+            fieldOptions={categoryFields}
+            measureFields={calculatedNumberFields}
+            colors={COLORS}
+            onChange={updateChartCard}
+            onRemove={() => removeChartCard(card.id)}
+            onMove={(direction) => moveChartCard(index, direction)}
+            canMoveUp={index > 0}
+            canMoveDown={index < chartCards.length - 1}
+            onCategoryClick={(value, event) => handleCategoryClick(card.field, value, event)}
+          />
+        ))}
+        
+        <div className="flex items-center gap-2 text-sm" data-export-ignore>
+          <label htmlFor="add-chart-field" className="text-gray-600">Add chart by</label>
+          <select
+            id="add-chart-field"
+            value=""
+            onChange={(e) => addChartCard(e.target.value)}
+            className="p-1 border rounded"
+          >
+            <option value="">Choose a column…</option>
+            {categoryFields.map(field => (
+              <option key={field} value={field}>{columnLabel(field)}</option>
+            ))}
+          </select>
+          {chartCards.length === 0 && (
+            <button
+              onClick={() => setChartCards(DEFAULT_DISTRIBUTION_CARDS)}
+              className="text-blue-600 hover:underline"
+            >
+              Restore default charts
+            </button>
+          )}
+        </div>
+        
+        {/* Vertical × Activity Heatmap */}
         <div className="bg-white shadow rounded-lg p-4 w-full">
           <div className="flex justify-between items-center mb-4">
-            <h2 className="text-lg font-semibold text-gray-800">Deals by Activity</h2>
-            <div className="flex space-x-2">
-              <div className="relative inline-block">
-                <button 
-                  onClick={() => toggleChartViewMode('activity')}
-                  className="px-3 py-1 bg-purple-600 text-white text-sm rounded-full hover:bg-purple-700 shadow-sm transition-colors"
-                  title="Toggle between count and percentage view"
-                >
-                  {chartViewMode.activity === 'count' ? 'Show %' : 'Show Count'}
-                </button>
-              </div>
-            </div>
+            <h2 className="text-lg font-semibold text-gray-800">Vertical × Activity</h2>
+            <ImageExportButtons targetId="pivot-heatmap" fileName="vertical-activity-heatmap" />
           </div>
-          <div id="activity-chart">
-            {activityChartData.length > 0 ? (
-              <ResponsiveContainer width="100%" height={Math.max(400, activityChartData.length * 30)}>
-                <BarChart data={activityChartData} layout="vertical" margin={{ top: 5, right: 30, left: 160, bottom: 20 }}>
-                  <XAxis 
-                    type="number" 
-                    domain={[0, chartViewMode.activity === 'count' ? 'dataMax' : (
-                      // Find the max percentage and add 10% padding, or use 100 if close to it
-                      Math.max(...activityChartData.map(item => item.percentage)) > 90 ? 100 : 
-                      Math.min(100, Math.ceil(Math.max(...activityChartData.map(item => item.percentage)) * 1.1))
-                    )]} 
-                    tickCount={5}
-                    tickFormatter={value => chartViewMode.activity === 'percentage' ? `${value}%` : value}
-                    // Add padding to accommodate external labels for small values
-                    padding={{ right: 30 }}
-                  />
-                  <YAxis 
-                    type="category" 
-                    dataKey="name" 
-                    width={160} 
-                    tick={{ fontSize: 12 }}
-                    interval={0}
-                  />
-                  <Tooltip 
-                    formatter={(value, name, props) => {
-                      const entry = props.payload;
-                      return chartViewMode.activity === 'count' 
-                        ? [`${value} deals (${entry.percentage.toFixed(1)}%)`, 'Count'] 
-                        : [`${value.toFixed(1)}% (${entry.value} deals)`, 'Percentage'];
-                    }}
-                    contentStyle={{ 
-                      backgroundColor: 'rgba(255, 255, 255, 0.95)', 
-                      borderRadius: '8px',
-                      boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-                      border: 'none',
-                      padding: '10px'
-                    }}
-                  />
-                  <Bar 
-                    dataKey={chartViewMode.activity === 'count' ? 'value' : 'percentage'}
-                    fill="#8884d8" 
-                    barSize={24}
-                    radius={[0, 4, 4, 0]}
-                    background={{ fill: '#f0f0f0' }}
-                    label={(props) => {
-                      const { x, y, width, height, value } = props;
-                      const displayValue = chartViewMode.activity === 'count' 
-                        ? value 
-                        : `${value.toFixed(1)}%`;
-                      
-                      // Dynamic label positioning - outside for small values, inside for larger values
-                      const threshold = chartViewMode.activity === 'count' ? 15 : 5; // Adjust threshold as needed
-                      const isSmallValue = value < threshold;
-                      
-                      return (
-                        <text 
-                          x={isSmallValue ? (x + width + 5) : (x + width - 5)} 
-                          y={y + height / 2} 
-                          fill={isSmallValue ? "#555555" : "#000000"}
-                          textAnchor={isSmallValue ? "start" : "end"}
-                          dominantBaseline="central"
-                          fontSize="12"
-                          fontWeight="bold"
-                        >
-                          {displayValue}
-                        </text>
-                      );
-                    }}
-                  >
-                    {activityChartData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                    ))}
-                  </Bar>
-                </BarChart>
-              </ResponsiveContainer>
-            ) : (
-              <div className="flex items-center justify-center h-56 text-gray-500">
-                No data to display
-              </div>
-            )}
+          <div id="pivot-heatmap">
+            <PivotHeatmap
+              deals={pivotDeals}
+              selectedVerticals={filters.verticals}
+              selectedActivities={filters.activities}
+              onCellClick={handlePivotCellClick}
+            />
+          </div>
+        </div>
+        
+        {/* State/Province Map */}
+        <div className="bg-white shadow rounded-lg p-4 w-full">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">Deals by State/Province</h2>
+            <ImageExportButtons targetId="region-map" fileName="deals-by-state-province" />
+          </div>
+          <div id="region-map">
+            <RegionMap
+              deals={mapDeals}
+              selectedStates={filters.states}
+              onAreaClick={handleMapAreaClick}
+            />
+          </div>
+        </div>
+        
+        {/* Revenue vs EBITDA Scatter */}
+        <div className="bg-white shadow rounded-lg p-4 w-full">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">Revenue vs EBITDA</h2>
+            <ImageExportButtons targetId="revenue-ebitda-scatter" fileName="revenue-vs-ebitda" />
+          </div>
+          <div id="revenue-ebitda-scatter">
+            <ScatterPlot
+              deals={filteredDeals}
+              colors={COLORS}
+              selectedIds={selectedIds}
+              onSelectDeals={addDealsToSelection}
+              onPointClick={(deal) => setDetailDealId(dealKey(deal))}
+            />
           </div>
         </div>
       </div>
       
-      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6 mb-6">
+      <div className={`grid grid-cols-1 lg:grid-cols-4 gap-6 mb-6 ${activeTab === 'dashboard' ? '' : 'hidden'}`}>
         {/* Filters Panel */}
         <div className="bg-white shadow rounded-lg p-4 lg:col-span-1">
           <h2 className="text-lg font-semibold mb-4">Filters</h2>
           
-          {/* Revenue Range Filter */}
-          <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Revenue Range: ${(filters?.revenueRange?.[0] / 1000000 || 0).toFixed(1)}M - ${(filters?.revenueRange?.[1] / 1000000 || 0).toFixed(1)}M
-            </label>
-            <div className="px-2">
-              <input
-                type="range"
-                min="0"
-                max={Math.max(...(deals || []).map(d => d.Revenue || 0)) / 1000000}
-                step="0.1"
-                value={(filters?.revenueRange?.[0] / 1000000 || 0).toFixed(1)}
-                onChange={(e) => handleFilterChange('revenueRange', [
-                  parseFloat(e.target.value) * 1000000, 
-                  filters.revenueRange[1]
-                ])}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-              <input
-                type="range"
-                min="0"
-                max={Math.max(...(deals || []).map(d => d.Revenue || 0)) / 1000000}
-                step="0.1"
-                value={(filters?.revenueRange?.[1] / 1000000 || 0).toFixed(1)}
-                onChange={(e) => handleFilterChange('revenueRange', [
-                  filters.revenueRange[0],
-                  parseFloat(e.target.value) * 1000000
-                ])}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer mt-2"
-              />
-            </div>
-            <div className="flex justify-between text-xs text-gray-500 px-2">
-              <span>$0M</span>
-              <span>${(Math.max(...(deals || []).map(d => d.Revenue || 0)) / 1000000).toFixed(1)}M</span>
+          {/* Shortlist Filter */}
+          {shortlists.length > 0 && (
+            <div className="mb-4">
+              <label htmlFor="shortlist-filter" className="block text-sm font-medium text-gray-700 mb-1">
+                Shortlist
+              </label>
+              <select
+                id="shortlist-filter"
+                value={shortlists.some(list => list.id === filters.shortlistId) ? filters.shortlistId : ''}
+                onChange={(e) => handleFilterChange('shortlistId', e.target.value || null)}
+                className="w-full p-1 border rounded text-sm"
+              >
+                <option value="">All deals</option>
+                {shortlists.map(list => (
+                  <option key={list.id} value={list.id}>{list.name} ({list.dealIds.length})</option>
+                ))}
+              </select>
             </div>
-          </div>
+          )}
           
-          {/* EBITDA Range Filter */}
-          <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              EBITDA Range: ${(filters?.ebitdaRange?.[0] / 1000000 || 0).toFixed(1)}M - ${(filters?.ebitdaRange?.[1] / 1000000 || 0).toFixed(1)}M
-            </label>
-            <div className="px-2">
-              <input
-                type="range"
-                min="0"
-                max={Math.max(...(deals || []).map(d => d.EBITDA || 0)) / 1000000}
-                step="0.1"
-                value={(filters?.ebitdaRange?.[0] / 1000000 || 0).toFixed(1)}
-                onChange={(e) => handleFilterChange('ebitdaRange', [
-                  parseFloat(e.target.value) * 1000000, 
-                  filters.ebitdaRange[1]
-                ])}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-              <input
-                type="range"
-                min="0"
-                max={Math.max(...(deals || []).map(d => d.EBITDA || 0)) / 1000000}
-                step="0.1"
-                value={(filters?.ebitdaRange?.[1] / 1000000 || 0).toFixed(1)}
-                onChange={(e) => handleFilterChange('ebitdaRange', [
-                  filters.ebitdaRange[0],
-                  parseFloat(e.target.value) * 1000000
-                ])}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer mt-2"
-              />
-            </div>
-            <div className="flex justify-between text-xs text-gray-500 px-2">
-              <span>$0M</span>
-              <span>${(Math.max(...(deals || []).map(d => d.EBITDA || 0)) / 1000000).toFixed(1)}M</span>
+          {/* Numeric Range Filters */}
+          {rangeFilters.map(({ key, field, label, kind }) => (
+            <RangeFilter
+              key={key}
+              label={label}
+              kind={kind}
+              values={rangeValues[field] || []}
+              bounds={defaultFilters[key]}
+              value={filters[key] || defaultFilters[key]}
+              onChange={(range) => handleFilterChange(key, range)}
+            />
+          ))}
+          
+          {Object.entries(filters.fieldRanges || {}).filter(([field]) => extraRangeInfo[field]).map(([field, range]) => (
+            <RangeFilter
+              key={field}
+              label={columnLabel(field)}
+              kind={extraRangeInfo[field].kind}
+              values={rangeValues[field]}
+              bounds={extraRangeInfo[field].bounds}
+              value={range}
+              onChange={(next) => setFieldRange(field, next)}
+              onRemove={() => removeFieldRange(field)}
+            />
+          ))}
+          
+          {extraRangeFields.some(field => !(filters.fieldRanges || {})[field]) && (
+            <div className="mb-4">
+              <select
+                value=""
+                onChange={(e) => e.target.value && setFieldRange(e.target.value, extraRangeInfo[e.target.value].bounds)}
+                className="w-full p-1 border rounded text-sm"
+              >
+                <option value="">+ Range filter for another column…</option>
+                {extraRangeFields.filter(field => !(filters.fieldRanges || {})[field]).map(field => (
+                  <option key={field} value={field}>{columnLabel(field)}</option>
+                ))}
+              </select>
             </div>
-          </div>
+          )}
           
           {/* Vertical Filter */}
           <div className="mb-4">
@@ -982,55 +1546,28 @@ const DealAnalyticsDashboard = () => {
             </div>
           </div>
           
-          {/* Pursuits Range Filter */}
-          <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Total Pursuits: {filters?.pursuitsRange?.[0] || 0} - {filters?.pursuitsRange?.[1] || 0}
-            </label>
-            <div className="px-2">
-              <input
-                type="range"
-                min="0"
-                max={Math.max(...(deals || []).map(d => d["Total Pursuits"] || 0))}
-                step="1"
-                value={filters?.pursuitsRange?.[0] || 0}
-                onChange={(e) => handleFilterChange('pursuitsRange', [
-                  parseInt(e.target.value), 
-                  filters.pursuitsRange[1]
-                ])}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-              <input
-                type="range"
-                min="0"
-                max={Math.max(...(deals || []).map(d => d["Total Pursuits"] || 0))}
-                step="1"
-                value={filters?.pursuitsRange?.[1] || 0}
-                onChange={(e) => handleFilterChange('pursuitsRange', [
-                  filters.pursuitsRange[0],
-                  parseInt(e.target.value)
-                ])}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer mt-2"
-              />
-            </div>
-            <div className="flex justify-between text-xs text-gray-500 px-2">
-              <span>0</span>
-              <span>{Math.max(...(deals || []).map(d => d["Total Pursuits"] || 0))}</span>
-            </div>
-          </div>
-          
           {/* Date Range Filter */}
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Market Date Range
             </label>
+            <select
+              value={filters.datePreset || ''}
+              onChange={(e) => handleDatePresetChange(e.target.value)}
+              className="w-full p-1 border rounded text-sm mb-2"
+            >
+              <option value="">{filters.datePreset ? 'All dates' : 'Custom range'}</option>
+              {DATE_PRESETS.map(preset => (
+                <option key={preset.key} value={preset.key}>{preset.label}</option>
+              ))}
+            </select>
             <div className="grid grid-cols-2 gap-2">
               <div>
                 <label className="block text-xs text-gray-500 mb-1">Start Date</label>
                 <input
                   type="date"
                   value={filters.dateRange[0]}
-                  onChange={(e) => handleFilterChange('dateRange', [
+                  onChange={(e) => handleDateRangeChange([
                     e.target.value,
                     filters.dateRange[1]
                   ])}
@@ -1042,7 +1579,7 @@ const DealAnalyticsDashboard = () => {
                 <input
                   type="date"
                   value={filters.dateRange[1]}
-                  onChange={(e) => handleFilterChange('dateRange', [
+                  onChange={(e) => handleDateRangeChange([
                     filters.dateRange[0],
                     e.target.value
                   ])}
@@ -1050,6 +1587,37 @@ const DealAnalyticsDashboard = () => {
                 />
               </div>
             </div>
+            <div className="flex items-center mt-2">
+              <input
+                type="checkbox"
+                id="include-undated"
+                checked={filters.includeUndated !== false}
+                onChange={(e) => handleFilterChange('includeUndated', e.target.checked)}
+                className="h-4 w-4 mr-2"
+              />
+              <label htmlFor="include-undated" className="text-sm">
+                Include deals without a readable date ({undatedCount})
+              </label>
+            </div>
+            {invalidDateCount > 0 && (
+              <div className="text-xs text-amber-700 mt-1">
+                {invalidDateCount} deal{invalidDateCount !== 1 ? 's have' : ' has'} a Market Date that could not be read. Try another date format below.
+              </div>
+            )}
+            <label className="block text-xs text-gray-500 mt-2 mb-1">Date format</label>
+            <select
+              value={dateFormat}
+              onChange={(e) => handleDateFormatChange(e.target.value)}
+              className="w-full p-1 border rounded text-sm"
+            >
+              {DATE_FORMATS.map(format => (
+                <option key={format.key} value={format.key}>
+                  {format.key === 'auto'
+                    ? `${format.label} (slashed dates as ${detectedSlashedOrder === 'dmy' ? 'DD/MM' : 'MM/DD'})`
+                    : format.label}
+                </option>
+              ))}
+            </select>
           </div>
           
           {/* Region Filter */}
@@ -1208,6 +1776,36 @@ const DealAnalyticsDashboard = () => {
             </div>
           </div>
           
+          {/* Source File Filter, once several reports are merged */}
+          {reportFiles.length > 1 && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Source File
+              </label>
+              <div className="max-h-48 overflow-y-auto border rounded p-2">
+                {reportFiles.map(({ id, label }) => (
+                  <div key={id} className="flex items-center mb-1">
+                    <input
+                      type="checkbox"
+                      id={`source-${id}`}
+                      checked={getFacetValues(filters, SOURCE_FILE_FIELD).includes(label)}
+                      onChange={(e) => {
+                        const selected = getFacetValues(filters, SOURCE_FILE_FIELD);
+                        setFilters(prev => setFacetValues(prev, SOURCE_FILE_FIELD, e.target.checked
+                          ? [...selected, label]
+                          : selected.filter(value => value !== label)));
+                      }}
+                      className="h-4 w-4 mr-2"
+                    />
+                    <label htmlFor={`source-${id}`} className="text-sm truncate">
+                      {label}
+                    </label>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          
           {/* Deal Intent Status Filter */}
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -1244,8 +1842,28 @@ const DealAnalyticsDashboard = () => {
             <div className="flex justify-between items-center mb-4">
               <h2 className="text-lg font-semibold">Deals Table</h2>
               <div className="space-x-2">
+                {copyStatusFor('table')}
+                <ColumnChooser
+                  layout={tableLayout}
+                  available={tableColumns}
+                  onChange={setTableLayout}
+                />
+                <ExportMenu
+                  visibleDeals={sortedDeals}
+                  selectedDeals={selectedDealsCurrent}
+                  sourceFields={dealFields}
+                  filterLines={filterDescription}
+                  sourceName={uploadedFileName}
+                />
+                <button
+                  onClick={() => setShowMemoPanel(prev => !prev)}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+                  title="Choose and edit the template used to copy deals"
+                >
+                  {showMemoPanel ? 'Hide Memo Template' : 'Memo Template'}
+                </button>
                 <button 
-                  onClick={copyFormattedDeals}
+                  onClick={() => copyFormattedDeals('table')}
                   className={`px-4 py-2 ${
                     selectedDeals.length > 0 ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-300 cursor-not-allowed'
                   } text-white rounded`}
@@ -1255,164 +1873,35 @@ const DealAnalyticsDashboard = () => {
                 </button>
               </div>
             </div>
-            <div className="overflow-x-auto">
-              <table className="min-w-full divide-y divide-gray-200">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-2 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Select
-                    </th>
-                    <th 
-                      className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                      onClick={() => handleSort('rank')}
-                    >
-                      Rank {sortConfig.key === 'rank' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Sellside Project: ID')}
-                    >
-                      ID {sortConfig.key === 'Sellside Project: ID' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Sellside Project: Axial Opportunity')}
-                    >
-                      Deal {sortConfig.key === 'Sellside Project: Axial Opportunity' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Revenue')}
-                    >
-                      Revenue ($M) {sortConfig.key === 'Revenue' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('EBITDA')}
-                    >
-                      EBITDA ($M) {sortConfig.key === 'EBITDA' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Primary Supply Vertical')}
-                    >
-                      Vertical {sortConfig.key === 'Primary Supply Vertical' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Primary Supply Activity')}
-                    >
-                      Activity {sortConfig.key === 'Primary Supply Activity' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Market Date (Date)')}
-                    >
-                      Market Date {sortConfig.key === 'Market Date (Date)' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('State/Province')}
-                    >
-                      State/Province {sortConfig.key === 'State/Province' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Total Pursuits')}
-                    >
-                      Pursuits {sortConfig.key === 'Total Pursuits' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Total Recipients')}
-                    >
-                      Recipients {sortConfig.key === 'Total Recipients' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Number of Recommendations')}
-                    >
-                      Recommendations {sortConfig.key === 'Number of Recommendations' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('Pursuit Rate')}
-                    >
-                      Pursuit % {sortConfig.key === 'Pursuit Rate' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                       onClick={() => handleSort('qualityScore')}
-                    >
-                      Quality Score {sortConfig.key === 'qualityScore' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                    </th>
-                  </tr>
-                </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                  {sortedDeals.map((deal) => {
-                    const isSelected = selectedDeals.some(d => d["Sellside Project: ID"] === deal["Sellside Project: ID"]);
-                    
-                    return (
-                      <tr 
-                        key={deal["Sellside Project: ID"]} 
-                        className={`hover:bg-gray-50 ${isSelected ? 'bg-green-50' : ''}`}
-                      >
-                        <td className="px-2 py-2 whitespace-nowrap">
-                          <input 
-                            type="checkbox" 
-                            checked={isSelected}
-                            onChange={() => toggleDealSelection(deal)}
-                            className="h-4 w-4"
-                          />
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{deal.rank}</td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["Sellside Project: ID"]}
-                        </td>
-                        <td className="px-3 py-2 text-sm text-gray-500 max-w-xs truncate">
-                          {deal["Sellside Project: Axial Opportunity"]}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          ${(deal.Revenue/1000000).toFixed(1)}M
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          ${(deal.EBITDA/1000000).toFixed(1)}M
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["Primary Supply Vertical"]}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["Primary Supply Activity"]}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["Market Date (Date)"]}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["State/Province"] || "-"}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["Total Pursuits"]}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["Total Recipients"]}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["Number of Recommendations"]}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          {deal["Pursuit Rate"] && deal["Pursuit Rate"].toFixed(1)}%
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
-                          <div className="flex items-center">
-                            <span className="mr-2">{deal.qualityScore.toFixed(2)}</span>
-                            <div className="w-16 bg-gray-200 rounded-full h-2">
-                              <div 
-                                className="bg-blue-600 h-2 rounded-full" 
-                                style={{ width: `${deal.qualityScore * 100}%` }}
-                              ></div>
-                            </div>
-                          </div>
-                        </td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-              {sortedDeals.length > 0 && (
-                <div className="py-3 text-center text-gray-500">
-                  Showing all {sortedDeals.length} deals. Use filters to narrow down results if needed.
-                </div>
-              )}
-            </div>
+            <DealsTable
+              deals={sortedDeals}
+              columnLayout={tableLayout}
+              availableColumns={tableColumns}
+              onColumnLayoutChange={setTableLayout}
+              selectedIds={selectedIds}
+              onToggleSelection={toggleDealSelection}
+              sortConfig={sortConfig}
+              onSort={handleSort}
+              dealChanges={dealChanges}
+              scoringModel={scoringModel}
+              activeDealId={detailDeal ? detailDealId : null}
+              onRowClick={(deal) => setDetailDealId(dealKey(deal))}
+            />
           </div>
           
+          {/* Deal Memo Template Editor */}
+          {showMemoPanel && (
+            <DealMemoPanel
+              templates={memoTemplates}
+              activeId={activeMemoTemplate.id}
+              onTemplatesChange={setMemoTemplates}
+              onActiveChange={setMemoTemplateId}
+              deals={selectedDealsCurrent}
+              fields={dealFields}
+              sourceName={uploadedFileName}
+            />
+          )}
+          
           {/* Selected Deals for Export */}
           {selectedDeals.length > 0 && (
             <div className="bg-white shadow rounded-lg p-4">
@@ -1441,12 +1930,12 @@ const DealAnalyticsDashboard = () => {
                   </tbody>
                 </table>
               </div>
-              <div className="mt-4 flex space-x-2">
+              <div className="mt-4 flex items-center space-x-2">
                 <button 
-                  onClick={copyFormattedDeals}
+                  onClick={() => copyFormattedDeals('selection')}
                   className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700"
                 >
-                  Copy Table to Clipboard
+                  Copy to Clipboard
                 </button>
                 <button 
                   onClick={() => setSelectedDeals([])}
@@ -1454,11 +1943,39 @@ const DealAnalyticsDashboard = () => {
                 >
                   Clear Selection
                 </button>
+                {copyStatusFor('selection')}
               </div>
             </div>
           )}
         </div>
       </div>
+      
+      {/* Deal Detail */}
+      {detailDeal && (
+        <DealDetailDrawer
+          deal={detailDeal}
+          deals={deals}
+          sourceFields={dealFields}
+          model={scoringModel}
+          isSelected={selectedIds.has(detailDealId)}
+          onToggleSelection={toggleDealSelection}
+          onClose={closeDetailDrawer}
+        />
+      )}
+      
+      {/* Column Mapping Step */}
+      {pendingUpload && (
+        <ColumnMappingWizard
+          fileName={pendingUpload.fileName}
+          headers={pendingUpload.headers}
+          previewRows={pendingUpload.previewRows}
+          rowCount={pendingUpload.rowCount}
+          initialMapping={pendingUpload.mapping}
+          initialProfileName={pendingUpload.profileName}
+          onConfirm={handleMappingConfirm}
+          onCancel={handleMappingCancel}
+        />
+      )}
     </div>
   );
 };
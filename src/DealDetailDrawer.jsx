@@ -0,0 +1,133 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { getScoreFactor, formatFactorValue } from './qualityScore';
+import { exportColumns } from './dealExport';
+import { formatFieldValue } from './formatters';
+import { dealKey } from './snapshotDiff';
+
+// Position of a deal among the deals sharing one field value, by quality score
+const rankWithin = (deals, deal, field) => {
+  const peers = deals
+    .filter(other => other[field] === deal[field])
+    .sort((a, b) => b.qualityScore - a.qualityScore);
+  return { rank: peers.findIndex(other => dealKey(other) === dealKey(deal)) + 1, total: peers.length };
+};
+
+// Side drawer listing every field of one deal with its score breakdown
+const DealDetailDrawer = ({ deal, deals, sourceFields, model, isSelected, onToggleSelection, onClose }) => {
+  const [copyStatus, setCopyStatus] = useState('');
+
+  // Close with Escape, like the other overlays
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    setCopyStatus('');
+  }, [deal]);
+
+  const verticalRank = useMemo(() => rankWithin(deals, deal, 'Primary Supply Vertical'), [deals, deal]);
+  const activityRank = useMemo(() => rankWithin(deals, deal, 'Primary Supply Activity'), [deals, deal]);
+
+  const fields = exportColumns(sourceFields.length ? sourceFields : Object.keys(deal))
+    .filter(field => field !== 'scoreComponents');
+  const factors = model.factors.filter(entry => getScoreFactor(entry.factor));
+
+  const copyId = async () => {
+    try {
+      await navigator.clipboard.writeText(String(deal["Sellside Project: ID"]));
+      setCopyStatus('Copied');
+    } catch (err) {
+      console.error('Failed to copy deal ID: ', err);
+      setCopyStatus('Copy failed');
+    }
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-xl z-40 flex flex-col">
+      <div className="p-4 border-b flex justify-between items-start">
+        <div className="min-w-0">
+          <div className="text-xs text-gray-500">Deal {deal["Sellside Project: ID"]}</div>
+          <h2 className="text-lg font-semibold text-gray-800 truncate">
+            {deal["Sellside Project: Axial Opportunity"] || 'Untitled deal'}
+          </h2>
+        </div>
+        <button onClick={onClose} className="ml-4 text-gray-500 hover:text-gray-700 text-xl leading-none">
+          ×
+        </button>
+      </div>
+
+      <div className="p-4 border-b flex items-center space-x-2">
+        <button
+          onClick={() => onToggleSelection(deal)}
+          className={`px-3 py-1 rounded text-sm ${isSelected ? 'bg-red-100 text-red-700 hover:bg-red-200' : 'bg-green-600 text-white hover:bg-green-700'}`}
+        >
+          {isSelected ? 'Remove from selection' : 'Select for export'}
+        </button>
+        <button
+          onClick={copyId}
+          className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 text-sm"
+        >
+          Copy ID
+        </button>
+        {copyStatus && <span className="text-xs text-gray-500">{copyStatus}</span>}
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-6">
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Quality Score</h3>
+          <div className="grid grid-cols-3 gap-2 text-center mb-3">
+            <div className="bg-gray-50 rounded p-2">
+              <div className="text-xs text-gray-500">Overall</div>
+              <div className="font-semibold">#{deal.rank} of {deals.length}</div>
+            </div>
+            <div className="bg-gray-50 rounded p-2">
+              <div className="text-xs text-gray-500">In vertical</div>
+              <div className="font-semibold">#{verticalRank.rank} of {verticalRank.total}</div>
+            </div>
+            <div className="bg-gray-50 rounded p-2">
+              <div className="text-xs text-gray-500">In activity</div>
+              <div className="font-semibold">#{activityRank.rank} of {activityRank.total}</div>
+            </div>
+          </div>
+          <table className="w-full text-sm">
+            <tbody>
+              {factors.map(entry => {
+                const contribution = deal.scoreComponents?.[entry.factor] || 0;
+                const factor = getScoreFactor(entry.factor);
+                return (
+                  <tr key={entry.factor}>
+                    <td className="py-1 text-gray-600">{factor.label}</td>
+                    <td className="py-1 text-gray-500 text-right">{formatFactorValue(factor, deal)}</td>
+                    <td className="py-1 text-right font-medium text-gray-800">+{contribution.toFixed(3)}</td>
+                  </tr>
+                );
+              })}
+              <tr className="border-t">
+                <td className="py-1 font-medium text-gray-700" colSpan={2}>Total</td>
+                <td className="py-1 text-right font-semibold text-gray-800">{deal.qualityScore.toFixed(2)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </section>
+
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">All Fields</h3>
+          <dl className="text-sm divide-y divide-gray-100">
+            {fields.map(field => (
+              <div key={field} className="py-1 flex justify-between">
+                <dt className="text-gray-500 pr-4">{field}</dt>
+                <dd className="text-gray-800 text-right break-words min-w-0">{formatFieldValue(field, deal[field])}</dd>
+              </div>
+            ))}
+          </dl>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default DealDetailDrawer;
@@ -0,0 +1,268 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  MEMO_FORMATS, VALUE_FORMATS, MEMO_VARIABLE_HELP, compileTemplate, renderMemo, copyMemo, createMemoTemplate
+} from './memoTemplates';
+import { columnLabel } from './tableColumns';
+
+// Deal properties the dashboard adds, usable in a template besides the report's columns
+const COMPUTED_FIELDS = ['qualityScore', 'rank', 'marketDate'];
+
+// Editor for deal memo templates, previewed with the selected deals as it is typed.
+// templates are { id, name, format, body }; the active one is what the Copy button uses.
+const DealMemoPanel = ({ templates, activeId, onTemplatesChange, onActiveChange, deals, fields, sourceName }) => {
+  const active = templates.find(template => template.id === activeId) || templates[0];
+  const [draft, setDraft] = useState(active);
+  const [view, setView] = useState('preview');
+  const [showHelp, setShowHelp] = useState(false);
+  const [status, setStatus] = useState(null); // { tone: 'success' | 'error', message }
+  const bodyRef = useRef(null);
+
+  useEffect(() => {
+    setDraft(active);
+  }, [active]);
+
+  useEffect(() => {
+    if (!status) return undefined;
+    const timer = setTimeout(() => setStatus(null), 3000);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const compiled = useMemo(() => compileTemplate(draft.body), [draft.body]);
+  const memo = useMemo(
+    () => (compiled.error ? null : renderMemo(draft, { deals, source: sourceName })),
+    [compiled, draft, deals, sourceName]
+  );
+  const unknownFields = compiled.references.filter(name => !fields.includes(name) && !COMPUTED_FIELDS.includes(name));
+
+  const isDirty = draft.name !== active.name || draft.format !== active.format || draft.body !== active.body;
+  const canSave = draft.name.trim() !== '' && !compiled.error;
+
+  const handleSave = () => {
+    if (!canSave) return;
+    const saved = { ...draft, name: draft.name.trim() };
+    onTemplatesChange(templates.map(template => (template.id === saved.id ? saved : template)));
+  };
+
+  const handleSaveAsNew = () => {
+    if (!canSave) return;
+    const created = createMemoTemplate({ ...draft, name: `${draft.name.trim()} (copy)` });
+    onTemplatesChange([...templates, created]);
+    onActiveChange(created.id);
+  };
+
+  const handleNew = () => {
+    const created = createMemoTemplate({ name: 'New template', body: '{{#deals}}\n- {{Sellside Project: Axial Opportunity}}\n{{/deals}}' });
+    onTemplatesChange([...templates, created]);
+    onActiveChange(created.id);
+  };
+
+  // The last template cannot be deleted, so the Copy button always has one
+  const handleDelete = () => {
+    const remaining = templates.filter(template => template.id !== active.id);
+    if (!remaining.length) return;
+    onTemplatesChange(remaining);
+    onActiveChange(remaining[0].id);
+  };
+
+  const handleCopy = async () => {
+    if (!memo) return;
+    try {
+      await copyMemo(memo);
+      setStatus({ tone: 'success', message: `Copied ${deals.length} deal${deals.length !== 1 ? 's' : ''}` });
+    } catch (err) {
+      console.error('Failed to copy: ', err);
+      setStatus({ tone: 'error', message: 'Could not copy to the clipboard. Please try a different browser.' });
+    }
+  };
+
+  // Put a placeholder at the cursor
+  const insertText = (text) => {
+    const input = bodyRef.current;
+    const start = input ? input.selectionStart : draft.body.length;
+    const end = input ? input.selectionEnd : draft.body.length;
+    setDraft(prev => ({ ...prev, body: prev.body.slice(0, start) + text + prev.body.slice(end) }));
+    if (input) {
+      requestAnimationFrame(() => {
+        input.focus();
+        input.setSelectionRange(start + text.length, start + text.length);
+      });
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-4 gap-2">
+        <h2 className="text-lg font-semibold text-gray-800">Deal Memo</h2>
+        <div className="flex items-center gap-2">
+          <select
+            value={active.id}
+            onChange={(e) => onActiveChange(e.target.value)}
+            className="p-1 border rounded text-sm"
+          >
+            {templates.map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleNew}
+            className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded hover:bg-gray-300"
+          >
+            New
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={templates.length === 1}
+            className="px-3 py-1 text-sm text-red-500 hover:text-red-700 disabled:text-gray-300 disabled:cursor-not-allowed"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div>
+          <div className="flex flex-col md:flex-row gap-2 mb-2">
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Template name"
+              className="p-1 border rounded text-sm md:w-48"
+            />
+            <select
+              value=""
+              onChange={(e) => e.target.value && insertText(`{{${e.target.value}}}`)}
+              className="p-1 border rounded text-sm"
+            >
+              <option value="">Insert field…</option>
+              {fields.map(field => (
+                <option key={field} value={field}>{columnLabel(field)}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowHelp(prev => !prev)}
+              className="px-2 py-1 text-sm text-blue-600 hover:underline"
+            >
+              {showHelp ? 'Hide help' : 'Help'}
+            </button>
+          </div>
+
+          <textarea
+            ref={bodyRef}
+            value={draft.body}
+            onChange={(e) => setDraft(prev => ({ ...prev, body: e.target.value }))}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSave();
+            }}
+            rows={10}
+            spellCheck={false}
+            className={`w-full p-2 border rounded font-mono text-xs ${compiled.error ? 'border-red-400' : ''}`}
+          />
+
+          {compiled.error && <div className="mt-1 text-xs text-red-600">{compiled.error.message}</div>}
+          {unknownFields.length > 0 && (
+            <div className="mt-1 text-xs text-amber-600">
+              Not in the loaded report, so left blank: {unknownFields.join(', ')}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            <label className="text-sm text-gray-600">
+              Copy text as
+              <select
+                value={draft.format}
+                onChange={(e) => setDraft(prev => ({ ...prev, format: e.target.value }))}
+                className="ml-2 p-1 border rounded text-sm"
+              >
+                {MEMO_FORMATS.map(format => (
+                  <option key={format.key} value={format.key}>{format.label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="flex-1" />
+            {isDirty && (
+              <button
+                onClick={() => setDraft(active)}
+                className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded hover:bg-gray-300"
+              >
+                Revert
+              </button>
+            )}
+            <button
+              onClick={handleSaveAsNew}
+              disabled={!canSave}
+              className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save as New
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!canSave || !isDirty}
+              className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
+          </div>
+
+          {showHelp && (
+            <div className="mt-3 text-xs text-gray-600 space-y-1">
+              <div><code>{'{{#deals}} … {{/deals}}'}</code> repeated for each selected deal</div>
+              <div><code>{'{{Revenue}}'}</code> a deal's value; <code>{'{{Revenue|$M}}'}</code> formatted</div>
+              <div><code>{'{{#Region}} … {{/Region}}'}</code> only when the deal has a value, <code>{'{{^Region}}'}</code> when it has none</div>
+              <div>Markdown: <code># Heading</code>, <code>**bold**</code>, <code>- bullet</code>, <code>| pipe | table |</code></div>
+              <div className="pt-1 font-medium text-gray-700">Formats</div>
+              {Object.entries(VALUE_FORMATS).map(([key, format]) => (
+                <div key={key}><code>|{key}</code> {format.help}</div>
+              ))}
+              <div className="pt-1 font-medium text-gray-700">Values</div>
+              {MEMO_VARIABLE_HELP.map(({ name, help }) => (
+                <div key={name}><code>{`{{${name}}}`}</code> {help}</div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex space-x-1 text-sm">
+              {[{ key: 'preview', label: 'Preview' }, { key: 'plain', label: 'Copied text' }].map(option => (
+                <button
+                  key={option.key}
+                  onClick={() => setView(option.key)}
+                  className={`px-2 py-1 rounded ${view === option.key ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              {status && (
+                <span className={`text-sm ${status.tone === 'error' ? 'text-red-500' : 'text-green-600'}`}>{status.message}</span>
+              )}
+              <button
+                onClick={handleCopy}
+                disabled={!memo || deals.length === 0}
+                className="px-3 py-1 bg-green-600 text-white text-sm rounded hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+              >
+                Copy
+              </button>
+            </div>
+          </div>
+          {deals.length === 0 ? (
+            <p className="text-sm text-gray-500">Select deals in the table to preview the memo.</p>
+          ) : memo && view === 'preview' ? (
+            // Values are escaped by the Markdown renderer, so the memo is safe to show as HTML
+            <div
+              className="border rounded p-3 max-h-96 overflow-auto text-sm"
+              dangerouslySetInnerHTML={{ __html: memo.html }}
+            />
+          ) : memo ? (
+            <pre className="border rounded p-3 max-h-96 overflow-auto text-xs whitespace-pre-wrap bg-gray-50">{memo.plain}</pre>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DealMemoPanel;
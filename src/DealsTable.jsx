@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { dealKey, formatDelta } from './snapshotDiff';
+import { formatFieldValue } from './formatters';
+import { resolveColumns, setColumnWidth, moveColumn } from './tableColumns';
+import ScoreBreakdownTooltip from './ScoreBreakdownTooltip';
+
+// Fixed row height lets the table work out which rows are visible from the scroll position
+const ROW_HEIGHT = 41;
+// Extra rows rendered above and below the viewport so fast scrolling does not flash blank space
+const OVERSCAN = 10;
+const SELECT_COLUMN_WIDTH = 48;
+const CHANGE_COLUMN_WIDTH = 360;
+
+// Status badge and metric deltas for the Change column
+const renderDealChange = (change) => {
+  if (!change) return null;
+  if (change.status === 'new') {
+    return <span className="px-2 py-0.5 rounded-full font-medium bg-green-100 text-green-800">New</span>;
+  }
+  return (
+    <span>
+      {change.status === 'changed' && (
+        <span className="px-2 py-0.5 mr-2 rounded-full font-medium bg-amber-100 text-amber-800">Changed</span>
+      )}
+      Pursuits {formatDelta(change.deltas.pursuits)}, Recs {formatDelta(change.deltas.recommendations)}, Rank {formatDelta(change.deltas.rank)}, Score {formatDelta(change.deltas.qualityScore, 2)}
+    </span>
+  );
+};
+
+// Cell contents for columns that need more than plain formatting
+const renderCell = (column, deal, { onScoreHover, onScoreLeave }) => {
+  const value = deal[column.key];
+  switch (column.key) {
+    case 'rank':
+      return <span className="font-medium text-gray-900">{value}</span>;
+    case 'Sellside Project: Axial Opportunity':
+      return <span title={value}>{value}</span>;
+    case 'Market Date (Date)':
+      if (!deal.marketDateInvalid) return formatFieldValue(column.key, value);
+      return (
+        <span className="text-amber-700" title="This date could not be read with the current date format">
+          ⚠ {value}
+        </span>
+      );
+    case 'qualityScore':
+      return (
+        <div
+          className="flex items-center cursor-help"
+          onMouseEnter={(e) => onScoreHover(deal, e.currentTarget.getBoundingClientRect())}
+          onMouseLeave={onScoreLeave}
+        >
+          <span className="mr-2">{deal.qualityScore.toFixed(2)}</span>
+          <div className="w-16 bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-blue-600 h-2 rounded-full"
+              style={{ width: `${deal.qualityScore * 100}%` }}
+            ></div>
+          </div>
+        </div>
+      );
+    default:
+      return formatFieldValue(column.key, value);
+  }
+};
+
+// Direction arrow, numbered when several columns are sorted
+const renderSortBadge = (sortConfig, key) => {
+  const index = sortConfig.findIndex(entry => entry.key === key);
+  if (index === -1) return null;
+  const arrow = sortConfig[index].direction === 'asc' ? '↑' : '↓';
+  if (sortConfig.length === 1) return arrow;
+  return (
+    <span className="normal-case">
+      {arrow}
+      <span className="ml-0.5 inline-block px-1 rounded-full bg-blue-100 text-blue-700 text-[10px]">{index + 1}</span>
+    </span>
+  );
+};
+
+const HEADER_CLASS = 'px-3 py-3 sticky top-0 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Virtualized deals table: only the rows in view are rendered, under a sticky header.
+// Columns come from the saved layout and can be dragged, resized and pinned from the header.
+const DealsTable = ({
+  deals, columnLayout, availableColumns, onColumnLayoutChange, selectedIds, onToggleSelection,
+  sortConfig, onSort, dealChanges, scoringModel, activeDealId, onRowClick
+}) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+  const [resizing, setResizing] = useState(null); // { key, startX, startWidth, width } while dragging a column edge
+  const [draggedKey, setDraggedKey] = useState(null);
+  // { deal, position } while hovering a score; set on enter and leave only, so moving within a cell costs nothing
+  const [scoreTooltip, setScoreTooltip] = useState(null);
+
+  // Track the visible height as the window resizes
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Follow the mouse while resizing; the layout is only saved once the drag ends
+  useEffect(() => {
+    if (!resizing) return undefined;
+    const handleMove = (e) => {
+      setResizing(prev => prev && { ...prev, width: prev.startWidth + e.clientX - prev.startX });
+    };
+    const handleUp = () => {
+      onColumnLayoutChange(setColumnWidth(columnLayout, resizing.key, resizing.width));
+      setResizing(null);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [resizing, columnLayout, onColumnLayoutChange]);
+
+  // The tooltip is placed under the cell it belongs to, so it goes when the cell scrolls away
+  const handleScroll = (e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+    setScoreTooltip(null);
+  };
+
+  const onScoreHover = (deal, rect) => setScoreTooltip({ deal, position: { x: rect.left, y: rect.bottom } });
+  const onScoreLeave = () => setScoreTooltip(null);
+
+  const layout = resizing ? setColumnWidth(columnLayout, resizing.key, resizing.width) : columnLayout;
+  const columns = resolveColumns(layout, availableColumns, SELECT_COLUMN_WIDTH);
+  const tableWidth = SELECT_COLUMN_WIDTH
+    + columns.reduce((sum, column) => sum + column.width, 0)
+    + (dealChanges ? CHANGE_COLUMN_WIDTH : 0);
+
+  const startIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const endIndex = Math.min(deals.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+  const visibleDeals = deals.slice(startIndex, endIndex);
+  const topPadding = startIndex * ROW_HEIGHT;
+  const bottomPadding = (deals.length - endIndex) * ROW_HEIGHT;
+  const columnCount = columns.length + (dealChanges ? 2 : 1);
+
+  // Pinned columns stick to the left edge, above the cells that scroll under them
+  const pinnedStyle = (column, zIndex) => (column.pinned ? { position: 'sticky', left: column.left, zIndex } : {});
+
+  const startResize = (e, column) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setResizing({ key: column.key, startX: e.clientX, startWidth: column.width, width: column.width });
+  };
+
+  const handleHeaderDrop = (beforeKey) => {
+    if (draggedKey) onColumnLayoutChange(moveColumn(columnLayout, draggedKey, beforeKey));
+    setDraggedKey(null);
+  };
+
+  return (
+    <div>
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        className="overflow-auto"
+        style={{ maxHeight: '70vh' }}
+      >
+        <table className="divide-y divide-gray-200" style={{ tableLayout: 'fixed', width: tableWidth }}>
+          <colgroup>
+            <col style={{ width: SELECT_COLUMN_WIDTH }} />
+            {columns.map(column => <col key={column.key} style={{ width: column.width }} />)}
+            {dealChanges && <col style={{ width: CHANGE_COLUMN_WIDTH }} />}
+          </colgroup>
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-2 py-3 sticky top-0 left-0 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" style={{ zIndex: 30 }}>
+                Select
+              </th>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  draggable={!resizing}
+                  onDragStart={() => setDraggedKey(column.key)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => handleHeaderDrop(column.key)}
+                  onDragEnd={() => setDraggedKey(null)}
+                  onClick={(e) => onSort(column.key, e.shiftKey)}
+                  title={column.key}
+                  className={`${HEADER_CLASS} relative cursor-pointer select-none truncate ${draggedKey === column.key ? 'opacity-50' : ''}`}
+                  style={column.pinned ? pinnedStyle(column, 30) : { zIndex: 10 }}
+                >
+                  {column.label} {renderSortBadge(sortConfig, column.key)}
+                  <div
+                    onMouseDown={(e) => startResize(e, column)}
+                    onClick={(e) => e.stopPropagation()}
+                    className="absolute top-0 right-0 h-full w-2 cursor-col-resize hover:bg-blue-200"
+                  />
+                </th>
+              ))}
+              {dealChanges && (
+                <th className={HEADER_CLASS} style={{ zIndex: 10 }}>
+                  Change
+                </th>
+              )}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {topPadding > 0 && (
+              <tr style={{ height: topPadding }}>
+                <td colSpan={columnCount}></td>
+              </tr>
+            )}
+            {visibleDeals.map((deal) => {
+              const isSelected = selectedIds.has(dealKey(deal));
+              const isActive = activeDealId === dealKey(deal);
+
+              return (
+                <tr
+                  key={deal["Sellside Project: ID"]}
+                  onClick={() => onRowClick(deal)}
+                  className={`hover:bg-gray-50 cursor-pointer ${isActive ? 'bg-blue-50' : isSelected ? 'bg-green-50' : 'bg-white'}`}
+                  style={{ height: ROW_HEIGHT }}
+                >
+                  <td
+                    className="px-2 py-2 whitespace-nowrap sticky left-0 bg-inherit"
+                    style={{ zIndex: 5 }}
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={isSelected}
+                      onChange={() => onToggleSelection(deal)}
+                      className="h-4 w-4"
+                    />
+                  </td>
+                  {columns.map(column => (
+                    <td
+                      key={column.key}
+                      className={`px-3 py-2 whitespace-nowrap truncate text-sm text-gray-500 ${column.pinned ? 'bg-inherit' : ''}`}
+                      style={pinnedStyle(column, 5)}
+                    >
+                      {renderCell(column, deal, { onScoreHover, onScoreLeave })}
+                    </td>
+                  ))}
+                  {dealChanges && (
+                    <td className="px-3 py-2 whitespace-nowrap truncate text-xs text-gray-500">
+                      {renderDealChange(dealChanges.byId.get(dealKey(deal)))}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+            {bottomPadding > 0 && (
+              <tr style={{ height: bottomPadding }}>
+                <td colSpan={columnCount}></td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {deals.length > 0 && (
+        <div className="py-3 text-center text-gray-500">
+          {deals.length} deals. Scroll the table to see them all, or use filters to narrow down results. Shift-click a header to sort by more than one column.
+        </div>
+      )}
+      {scoreTooltip && (
+        <ScoreBreakdownTooltip deal={scoreTooltip.deal} model={scoringModel} position={scoreTooltip.position} />
+      )}
+    </div>
+  );
+};
+
+export default DealsTable;
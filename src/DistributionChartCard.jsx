@@ -0,0 +1,291 @@
+import React, { useMemo } from 'react';
+import {
+  BarChart, Bar, PieChart, Pie, Treemap, Cell,
+  XAxis, YAxis, Tooltip, ResponsiveContainer
+} from 'recharts';
+import ImageExportButtons from './ImageExportButtons';
+import {
+  DISTRIBUTION_MEASURES, DISTRIBUTION_LAYOUTS, TOP_N_OPTIONS, OTHER_LABEL,
+  buildDistribution, getDistributionMeasure, fieldMeasure
+} from './distribution';
+import { columnLabel } from './tableColumns';
+import { formatDelta } from './snapshotDiff';
+
+const OTHER_COLOR = '#9CA3AF';
+
+const TOOLTIP_STYLE = {
+  backgroundColor: 'rgba(255, 255, 255, 0.95)',
+  borderRadius: '8px',
+  boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+  border: 'none',
+  padding: '10px'
+};
+
+// Treemap tiles, drawn by hand so they can be dimmed and ctrl-clicked like the bars
+const TreemapTile = ({ x, y, width, height, depth, id, name, entries, colors, onClick }) => {
+  // The root node is rendered through here too; only the category tiles are drawn
+  const index = entries.findIndex(item => item.id === id);
+  if (depth !== 1 || index === -1) return null;
+  const entry = entries[index];
+  return (
+    <g onClick={(e) => onClick(entry, e)} style={{ cursor: entry.isOther ? 'default' : 'pointer' }}>
+      <rect
+        x={x}
+        y={y}
+        width={width}
+        height={height}
+        fill={entry.isOther ? OTHER_COLOR : colors[index % colors.length]}
+        fillOpacity={entry.selected ? 1 : 0.25}
+        stroke="#FFFFFF"
+      />
+      {width > 60 && height > 24 && (
+        <text x={x + 6} y={y + 16} fill="#FFFFFF" fontSize="12" fontWeight="bold">
+          {name}
+        </text>
+      )}
+    </g>
+  );
+};
+
+// A configurable distribution chart: any category column, measure and layout, with Top-N and "Other".
+// Deals passed in should ignore this card's own facet so unselected categories can be shown dimmed.
+const DistributionChartCard = ({
+  card, deals, baseDeals, selectedValues, fieldOptions, measureFields = [], colors,
+  onChange, onRemove, onMove, canMoveUp, canMoveDown, onCategoryClick
+}) => {
+  const measure = getDistributionMeasure(card.measure);
+  // Averages of other numeric columns; the chosen one stays listed even if its column has gone
+  const fieldMeasures = measureFields.map(fieldMeasure);
+  if (![...DISTRIBUTION_MEASURES, ...fieldMeasures].some(option => option.key === measure.key)) fieldMeasures.push(measure);
+  const elementId = `distribution-${card.id}`;
+
+  const entries = useMemo(
+    () => buildDistribution(deals, card.field, {
+      measureKey: card.measure,
+      baseDeals,
+      selectedValues,
+      topN: card.topN
+    }),
+    [deals, baseDeals, selectedValues, card.field, card.measure, card.topN]
+  );
+
+  const update = (changes) => onChange({ ...card, ...changes });
+
+  // "Other" groups several values, so it is not a filter target
+  const handleClick = (entry, event) => {
+    if (!entry || entry.isOther) return;
+    onCategoryClick(entry.id, event);
+  };
+
+  const tooltipFormatter = (value, name, props) => {
+    // Bars, slices and tiles all pass the entry's fields along, so look it up by id
+    const entry = entries.find(item => item.id === props.payload?.id);
+    if (!entry) return [value, name];
+    if (props.dataKey === 'previousValue') return [measure.format(entry.previousValue), 'Snapshot'];
+    const count = measure.key === 'count' ? '' : ` (${entry.count} deals)`;
+    const change = baseDeals ? ` – ${formatDelta(entry.value - entry.previousValue, measure.key === 'count' ? 0 : 1)} since snapshot` : '';
+    return [`${measure.format(entry.value)}${count}${change}`, measure.label];
+  };
+
+  const colorFor = (entry, index) => (entry.isOther ? OTHER_COLOR : colors[index % colors.length]);
+  const maxValue = entries.reduce((max, entry) => Math.max(max, entry.value), 0);
+
+  const renderBar = () => (
+    <ResponsiveContainer width="100%" height={Math.max(400, entries.length * 30)}>
+      <BarChart data={entries} layout="vertical" margin={{ top: 5, right: 30, left: 160, bottom: 20 }}>
+        <XAxis
+          type="number"
+          domain={[0, measure.key === 'percentage' ? Math.min(100, Math.ceil(maxValue * 1.1)) : 'dataMax']}
+          tickCount={5}
+          tickFormatter={measure.format}
+          // Add padding to accommodate external labels for small values
+          padding={{ right: 30 }}
+        />
+        <YAxis
+          type="category"
+          dataKey="name"
+          width={160}
+          tick={{ fontSize: 12 }}
+          interval={0}
+        />
+        <Tooltip formatter={tooltipFormatter} contentStyle={TOOLTIP_STYLE} />
+        <Bar
+          dataKey="value"
+          fill="#8884d8"
+          barSize={24}
+          radius={[0, 4, 4, 0]}
+          background={{ fill: '#f0f0f0' }}
+          cursor="pointer"
+          onClick={(data, index, event) => handleClick(entries[index], event)}
+          label={(props) => {
+            const { x, y, width, height, value } = props;
+            // Dynamic label positioning - outside for small bars, inside for larger ones
+            const isSmallValue = value < maxValue * 0.15;
+            return (
+              <text
+                x={isSmallValue ? (x + width + 5) : (x + width - 5)}
+                y={y + height / 2}
+                fill={isSmallValue ? "#555555" : "#000000"}
+                textAnchor={isSmallValue ? "start" : "end"}
+                dominantBaseline="central"
+                fontSize="12"
+                fontWeight="bold"
+              >
+                {measure.format(value)}
+              </text>
+            );
+          }}
+        >
+          {entries.map((entry, index) => (
+            <Cell key={`cell-${index}`} fill={colorFor(entry, index)} fillOpacity={entry.selected ? 1 : 0.25} />
+          ))}
+        </Bar>
+        {baseDeals && (
+          <Bar dataKey="previousValue" fill="#9CA3AF" barSize={8} radius={[0, 4, 4, 0]} />
+        )}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+
+  const renderPie = () => (
+    <ResponsiveContainer width="100%" height={400}>
+      <PieChart>
+        <Pie
+          data={entries}
+          dataKey="value"
+          nameKey="name"
+          outerRadius={150}
+          label={({ name, percent }) => `${name} (${(percent * 100).toFixed(0)}%)`}
+          labelLine={false}
+          onClick={(data, index, event) => handleClick(entries[index], event)}
+          isAnimationActive={false}
+        >
+          {entries.map((entry, index) => (
+            <Cell
+              key={`cell-${index}`}
+              fill={colorFor(entry, index)}
+              fillOpacity={entry.selected ? 1 : 0.25}
+              cursor={entry.isOther ? 'default' : 'pointer'}
+            />
+          ))}
+        </Pie>
+        <Tooltip formatter={tooltipFormatter} contentStyle={TOOLTIP_STYLE} />
+      </PieChart>
+    </ResponsiveContainer>
+  );
+
+  const renderTreemap = () => (
+    <ResponsiveContainer width="100%" height={400}>
+      <Treemap
+        data={entries}
+        dataKey="value"
+        nameKey="name"
+        isAnimationActive={false}
+        content={<TreemapTile entries={entries} colors={colors} onClick={handleClick} />}
+      >
+        <Tooltip formatter={tooltipFormatter} contentStyle={TOOLTIP_STYLE} />
+      </Treemap>
+    </ResponsiveContainer>
+  );
+
+  const renderChart = () => {
+    if (entries.length === 0) {
+      return (
+        <div className="flex items-center justify-center h-56 text-gray-500">
+          No data to display
+        </div>
+      );
+    }
+    if (card.layout === 'pie') return renderPie();
+    if (card.layout === 'treemap') return renderTreemap();
+    return renderBar();
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 w-full">
+      <div className="flex flex-wrap justify-between items-start gap-2 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">
+            {measure.label} by {columnLabel(card.field)}
+          </h2>
+          <p className="text-xs text-gray-500">Click a {card.layout === 'pie' ? 'slice' : card.layout === 'treemap' ? 'tile' : 'bar'} to filter; ctrl-click to pick several.</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={card.field}
+            onChange={(e) => update({ field: e.target.value })}
+            className="p-1 border rounded"
+            title="Dimension"
+          >
+            {[...new Set([card.field, ...fieldOptions])].map(field => (
+              <option key={field} value={field}>{columnLabel(field)}</option>
+            ))}
+          </select>
+          <select
+            value={card.measure}
+            onChange={(e) => update({ measure: e.target.value })}
+            className="p-1 border rounded"
+            title="Measure"
+          >
+            {DISTRIBUTION_MEASURES.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+            {fieldMeasures.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={card.topN}
+            onChange={(e) => update({ topN: Number(e.target.value) })}
+            className="p-1 border rounded"
+            title={`Categories beyond this are grouped as "${OTHER_LABEL}"`}
+          >
+            {TOP_N_OPTIONS.map(option => (
+              <option key={option} value={option}>{option ? `Top ${option}` : 'All'}</option>
+            ))}
+          </select>
+          <div className="flex rounded overflow-hidden border">
+            {DISTRIBUTION_LAYOUTS.map(option => (
+              <button
+                key={option.key}
+                onClick={() => update({ layout: option.key })}
+                className={`px-2 py-1 ${card.layout === option.key ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <ImageExportButtons targetId={elementId} fileName={`distribution-${card.field.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`} />
+          <button
+            onClick={() => onMove(-1)}
+            disabled={!canMoveUp}
+            className="px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-40"
+            title="Move up"
+          >
+            ↑
+          </button>
+          <button
+            onClick={() => onMove(1)}
+            disabled={!canMoveDown}
+            className="px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-40"
+            title="Move down"
+          >
+            ↓
+          </button>
+          <button
+            onClick={onRemove}
+            className="px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-red-100 hover:text-red-700"
+            title="Remove chart"
+          >
+            ×
+          </button>
+        </div>
+      </div>
+      <div id={elementId}>
+        {renderChart()}
+      </div>
+    </div>
+  );
+};
+
+export default DistributionChartCard;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, exportDeals } from './dealExport';
+
+// Deals Table export options: scope, file format and number formatting
+const ExportMenu = ({ visibleDeals, selectedDeals, sourceFields, filterLines, sourceName }) => {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState('visible');
+  const [format, setFormat] = useState('csv');
+  const [formatted, setFormatted] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const deals = scope === 'selected' ? selectedDeals : visibleDeals;
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      await exportDeals({ deals, sourceFields, format, formatted, filterLines, sourceName });
+      setOpen(false);
+    } catch (err) {
+      console.error('Failed to export deals: ', err);
+      setError('Export failed: ' + err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+      >
+        Export ▾
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white rounded-lg shadow-lg z-40 p-4 space-y-4 text-left">
+          <div>
+            <div className="text-sm font-medium text-gray-700 mb-1">Deals</div>
+            <div className="flex items-center mb-1">
+              <input
+                type="radio"
+                id="export-scope-visible"
+                name="export-scope"
+                checked={scope === 'visible'}
+                onChange={() => setScope('visible')}
+                className="h-4 w-4 mr-2"
+              />
+              <label htmlFor="export-scope-visible" className="text-sm">
+                All filtered deals ({visibleDeals.length})
+              </label>
+            </div>
+            <div className="flex items-center">
+              <input
+                type="radio"
+                id="export-scope-selected"
+                name="export-scope"
+                checked={scope === 'selected'}
+                disabled={selectedDeals.length === 0}
+                onChange={() => setScope('selected')}
+                className="h-4 w-4 mr-2"
+              />
+              <label htmlFor="export-scope-selected" className="text-sm">
+                Selected deals ({selectedDeals.length})
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-gray-700 mb-1">Format</div>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="w-full p-1 border rounded text-sm"
+            >
+              {EXPORT_FORMATS.map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium text-gray-700 mb-1">Values</div>
+            <div className="flex items-center mb-1">
+              <input
+                type="radio"
+                id="export-values-raw"
+                name="export-values"
+                checked={!formatted}
+                onChange={() => setFormatted(false)}
+                className="h-4 w-4 mr-2"
+              />
+              <label htmlFor="export-values-raw" className="text-sm">Raw numbers</label>
+            </div>
+            <div className="flex items-center">
+              <input
+                type="radio"
+                id="export-values-formatted"
+                name="export-values"
+                checked={formatted}
+                onChange={() => setFormatted(true)}
+                className="h-4 w-4 mr-2"
+              />
+              <label htmlFor="export-values-formatted" className="text-sm">As displayed ($X.XM)</label>
+            </div>
+          </div>
+
+          {error && <div className="text-red-500 text-sm">{error}</div>}
+
+          <button
+            onClick={handleExport}
+            disabled={exporting || deals.length === 0}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            {exporting ? 'Exporting...' : `Export ${deals.length} Deal${deals.length !== 1 ? 's' : ''}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
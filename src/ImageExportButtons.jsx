@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { captureElement, downloadCanvas, copyCanvasToClipboard } from './imageExport';
+import { fileTimestamp } from './download';
+
+// "Export PNG" and "Copy image" actions for the element with the given id
+const ImageExportButtons = ({ targetId, fileName }) => {
+  const [status, setStatus] = useState('');
+
+  const flashStatus = (message) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), 2000);
+  };
+
+  const capture = async () => {
+    const element = document.getElementById(targetId);
+    if (!element) throw new Error(`Nothing to export for ${targetId}`);
+    return captureElement(element);
+  };
+
+  const handleExport = async () => {
+    try {
+      await downloadCanvas(await capture(), `${fileName}_${fileTimestamp()}.png`);
+    } catch (error) {
+      console.error('Failed to export image: ', error);
+      flashStatus('Export failed');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await copyCanvasToClipboard(await capture());
+      flashStatus('Copied!');
+    } catch (error) {
+      console.error('Failed to copy image: ', error);
+      flashStatus('Copy failed');
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2" data-export-ignore>
+      {status && <span className="text-xs text-gray-500">{status}</span>}
+      <button
+        onClick={handleExport}
+        className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded-full hover:bg-gray-300 transition-colors"
+      >
+        Export PNG
+      </button>
+      <button
+        onClick={handleCopy}
+        className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded-full hover:bg-gray-300 transition-colors"
+      >
+        Copy image
+      </button>
+    </div>
+  );
+};
+
+export default ImageExportButtons;
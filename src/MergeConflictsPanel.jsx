@@ -0,0 +1,69 @@
+import React from 'react';
+import { DROP_CHOICE, differingFields } from './reportMerge';
+import { columnLabel } from './tableColumns';
+import { formatFieldValue } from './formatters';
+
+const NAME_FIELD = "Sellside Project: Axial Opportunity";
+
+// Deals found in more than one file with different values, for the manual merge policy.
+// Each one stays out of the dashboard until a version is kept or the deal is dropped.
+const MergeConflictsPanel = ({ conflicts, onChoose }) => (
+  <div className="bg-white shadow rounded-lg p-4 mb-6">
+    <h2 className="text-lg font-semibold text-gray-800">Merge Conflicts</h2>
+    <p className="text-sm text-gray-600 mb-4">
+      {conflicts.length} {conflicts.length === 1 ? 'deal differs' : 'deals differ'} between files. Pick the version to keep.
+    </p>
+    <div className="space-y-4">
+      {conflicts.map(({ id, versions }) => {
+        const fields = differingFields(versions);
+        return (
+          <div key={id} className="border rounded p-3">
+            <div className="flex justify-between items-center mb-2">
+              <div className="text-sm">
+                <span className="font-medium text-gray-800">{versions[0].deal[NAME_FIELD] || '(no name)'}</span>
+                <span className="ml-2 text-xs text-gray-500">ID {id}</span>
+              </div>
+              <button
+                onClick={() => onChoose(id, DROP_CHOICE)}
+                className="text-sm text-red-500 hover:text-red-700"
+              >
+                Drop deal
+              </button>
+            </div>
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="pr-3 py-1 font-medium">File</th>
+                  {fields.map(field => (
+                    <th key={field} className="pr-3 py-1 font-medium">{columnLabel(field)}</th>
+                  ))}
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {versions.map(version => (
+                  <tr key={version.fileId} className="border-t">
+                    <td className="pr-3 py-1 text-gray-700">{version.fileName}</td>
+                    {fields.map(field => (
+                      <td key={field} className="pr-3 py-1 text-gray-800">{formatFieldValue(field, version.deal[field])}</td>
+                    ))}
+                    <td className="py-1 text-right">
+                      <button
+                        onClick={() => onChoose(id, version.fileId)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Keep
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default MergeConflictsPanel;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { formatBytes } from './formatters';
+
+// Progress of a CSV being parsed in the worker, with a way to abandon it
+const ParseProgress = ({ progress, onCancel }) => {
+  const percentage = progress.totalBytes
+    ? Math.min(100, (progress.bytes / progress.totalBytes) * 100)
+    : 0;
+
+  return (
+    <div className="flex items-center space-x-3 w-full max-w-md">
+      <div className="flex-1">
+        <div className="h-2 bg-gray-200 rounded overflow-hidden">
+          <div
+            className="h-2 bg-blue-600 transition-all"
+            style={{ width: `${percentage}%` }}
+          />
+        </div>
+        <div className="text-xs text-gray-600 mt-1">
+          {progress.rows.toLocaleString()} rows parsed · {formatBytes(progress.bytes)}
+          {progress.totalBytes ? ` of ${formatBytes(progress.totalBytes)}` : ''}
+        </div>
+      </div>
+      <button
+        onClick={onCancel}
+        className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 text-sm"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+export default ParseProgress;
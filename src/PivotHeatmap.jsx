@@ -0,0 +1,113 @@
+import React, { useMemo, useState } from 'react';
+import { PIVOT_MEASURES, buildPivot, pivotToCsv } from './pivot';
+import { downloadBlob, fileTimestamp } from './download';
+
+const ROW_FIELD = 'Primary Supply Vertical';
+const COLUMN_FIELD = 'Primary Supply Activity';
+
+// White to blue by where the value sits between the smallest and largest cell
+const cellColor = (value, min, max) => {
+  const ratio = max === min ? 1 : (value - min) / (max - min);
+  const lightness = 97 - ratio * 55;
+  return `hsl(217, 91%, ${lightness}%)`;
+};
+
+// Vertical × Activity heatmap; clicking a cell filters to that combination
+const PivotHeatmap = ({ deals, selectedVerticals, selectedActivities, onCellClick }) => {
+  const [measureKey, setMeasureKey] = useState('count');
+  const pivot = useMemo(() => buildPivot(deals, ROW_FIELD, COLUMN_FIELD, measureKey), [deals, measureKey]);
+
+  const isSelected = (row, column) =>
+    (selectedVerticals.length === 0 || selectedVerticals.includes(row)) &&
+    (selectedActivities.length === 0 || selectedActivities.includes(column));
+  const hasSelection = selectedVerticals.length > 0 || selectedActivities.length > 0;
+
+  const exportCsv = () => {
+    const blob = new Blob([pivotToCsv(pivot, `Vertical \\ Activity (${pivot.measure.label})`)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `vertical-activity-${measureKey}_${fileTimestamp()}.csv`);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm" data-export-ignore>
+        <label className="flex items-center">
+          <span className="text-gray-600 mr-1">Colour by</span>
+          <select
+            value={measureKey}
+            onChange={(e) => setMeasureKey(e.target.value)}
+            className="p-1 border rounded"
+          >
+            {PIVOT_MEASURES.map(measure => (
+              <option key={measure.key} value={measure.key}>{measure.label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={exportCsv}
+          disabled={pivot.rows.length === 0}
+          className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50"
+        >
+          Export CSV
+        </button>
+        <span className="text-xs text-gray-500">Click a cell to filter to that vertical and activity.</span>
+      </div>
+
+      {pivot.rows.length > 0 ? (
+        <div className="overflow-auto" style={{ maxHeight: '70vh' }}>
+          <table className="text-xs border-collapse">
+            <thead>
+              <tr>
+                <th className="sticky top-0 left-0 z-20 bg-white p-2 text-left text-gray-500">Vertical \ Activity</th>
+                {pivot.columns.map(column => (
+                  <th
+                    key={column}
+                    className="sticky top-0 z-10 bg-white p-2 text-gray-600 font-medium align-bottom"
+                    style={{ minWidth: 80 }}
+                  >
+                    {column}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {pivot.rows.map(row => (
+                <tr key={row}>
+                  <th className="sticky left-0 z-10 bg-white p-2 text-left text-gray-600 font-medium whitespace-nowrap">
+                    {row}
+                  </th>
+                  {pivot.columns.map(column => {
+                    const cell = pivot.getCell(row, column);
+                    const hasValue = cell && cell.value !== null;
+                    return (
+                      <td
+                        key={column}
+                        onClick={() => cell && onCellClick(row, column)}
+                        title={cell
+                          ? `${row} × ${column}: ${hasValue ? pivot.measure.format(cell.value) : 'n/a'} (${cell.count} deals)`
+                          : `${row} × ${column}: no deals`}
+                        className={`p-2 text-center border border-white ${cell ? 'cursor-pointer hover:ring-2 hover:ring-blue-400' : ''}`}
+                        style={{
+                          backgroundColor: hasValue ? cellColor(cell.value, pivot.min, pivot.max) : '#F3F4F6',
+                          opacity: hasSelection && !isSelected(row, column) ? 0.35 : 1,
+                          color: hasValue && pivot.max !== pivot.min && (cell.value - pivot.min) / (pivot.max - pivot.min) > 0.6 ? '#FFFFFF' : '#1F2937'
+                        }}
+                      >
+                        {hasValue ? pivot.measure.format(cell.value) : ''}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="flex items-center justify-center h-56 text-gray-500">
+          No data to display
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PivotHeatmap;
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import { canInclude, summarizeIssues } from './validation';
+import { columnLabel } from './tableColumns';
+
+const NAME_FIELD = "Sellside Project: Axial Opportunity";
+const ID_FIELD = "Sellside Project: ID";
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// One editable value; commits on Enter or blur so a half-typed amount is not checked on every key
+const CellInput = ({ value, hasIssue, label, onCommit }) => {
+  const [text, setText] = useState(cellText(value));
+
+  useEffect(() => {
+    setText(cellText(value));
+  }, [value]);
+
+  const commit = () => {
+    if (text !== cellText(value)) onCommit(text);
+  };
+
+  return (
+    <input
+      type="text"
+      value={text}
+      aria-label={label}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setText(cellText(value));
+      }}
+      className={`w-36 p-1 border rounded text-xs ${hasIssue ? 'border-red-400 bg-red-50' : ''}`}
+    />
+  );
+};
+
+// Rows held back by the data-quality checks, with their problems and the values to fix them.
+// entries are { key, fileId, fileName, rowNumber, row, issues, fields } where fields are the columns offered for editing.
+const QuarantinePanel = ({ entries, upload, onEdit, onInclude, onDrop, onAcceptIntent }) => {
+  const summary = summarizeIssues(entries);
+  const includable = entries.filter(canInclude);
+  const showFiles = new Set(entries.map(entry => entry.fileName)).size > 1;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 mb-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Data Quality</h2>
+          {upload && (
+            <p className="text-sm text-gray-600">
+              {upload.fileName}: {upload.checked} rows checked, {upload.loaded} loaded straight away, {upload.quarantined} quarantined
+            </p>
+          )}
+        </div>
+        {entries.length > 0 && (
+          <div className="flex items-center space-x-2 mt-2 md:mt-0">
+            <button
+              onClick={() => onInclude(includable.map(entry => entry.key))}
+              disabled={includable.length === 0}
+              className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+              title="Load every row whose only problems are warnings"
+            >
+              Include {includable.length} without errors
+            </button>
+            <button
+              onClick={() => onDrop(entries.map(entry => entry.key))}
+              className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded hover:bg-gray-300"
+            >
+              Drop all
+            </button>
+          </div>
+        )}
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No rows are waiting in quarantine.</p>
+      ) : (
+        <>
+          <ul className="mb-4 text-sm text-gray-700 grid grid-cols-1 md:grid-cols-2 gap-x-6">
+            {summary.map(({ label, count }) => (
+              <li key={label}>{label}: {count} {count === 1 ? 'row' : 'rows'}</li>
+            ))}
+          </ul>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deal</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Values</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {entries.map(entry => {
+                  const issueFields = new Set(entry.issues.map(({ field }) => field));
+                  return (
+                    <tr key={entry.key} className="align-top">
+                      <td className="px-3 py-2 text-sm text-gray-500">
+                        {entry.rowNumber}
+                        {showFiles && <div className="text-xs truncate max-w-[10rem]" title={entry.fileName}>{entry.fileName}</div>}
+                      </td>
+                      <td className="px-3 py-2 text-sm">
+                        <div className="text-gray-800">{cellText(entry.row[NAME_FIELD]) || '(no name)'}</div>
+                        <div className="text-xs text-gray-500">ID {cellText(entry.row[ID_FIELD]) || '—'}</div>
+                      </td>
+                      <td className="px-3 py-2 text-xs">
+                        {entry.issues.length === 0 ? (
+                          <span className="text-green-600">Fixed – ready to include</span>
+                        ) : (
+                          <ul className="space-y-0.5">
+                            {entry.issues.map((issue, index) => (
+                              <li key={index} className={issue.severity === 'error' ? 'text-red-600' : 'text-amber-600'}>
+                                {issue.message}
+                                {issue.type === 'unknownIntent' && (
+                                  <button
+                                    onClick={() => onAcceptIntent(entry.row['Deal Intent'])}
+                                    className="ml-2 text-blue-600 hover:underline"
+                                  >
+                                    Accept value
+                                  </button>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <div className="space-y-1">
+                          {entry.fields.map(field => (
+                            <label key={field} className="flex items-center justify-between gap-2 text-xs text-gray-600">
+                              <span>{columnLabel(field)}</span>
+                              <CellInput
+                                value={entry.row[field]}
+                                hasIssue={issueFields.has(field)}
+                                label={`${columnLabel(field)} on row ${entry.rowNumber}`}
+                                onCommit={(text) => onEdit(entry.key, field, text)}
+                              />
+                            </label>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => onInclude([entry.key])}
+                          disabled={!canInclude(entry)}
+                          className="text-sm text-blue-600 hover:text-blue-800 mr-3 disabled:text-gray-300 disabled:cursor-not-allowed"
+                          title={canInclude(entry) ? 'Load this row into the dashboard' : 'Fix the problems in red first'}
+                        >
+                          Include
+                        </button>
+                        <button
+                          onClick={() => onDrop([entry.key])}
+                          className="text-sm text-red-500 hover:text-red-700"
+                        >
+                          Drop
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QuarantinePanel;
@@ -0,0 +1,126 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { parseQuery, applyQuery, filtersToQuery } from './queryLanguage';
+
+const EXAMPLE = 'acme  vertical:"Healthcare" EBITDA>5M pursuits>=20 -state:TX';
+
+// Text spans with the erroneous parts marked, drawn behind the transparent input
+const highlightSegments = (text, errors) => {
+  const segments = [];
+  let position = 0;
+  errors.forEach(error => {
+    if (error.start < position) return;
+    if (error.start > position) segments.push({ text: text.slice(position, error.start) });
+    segments.push({ text: text.slice(error.start, Math.max(error.end, error.start + 1)) || ' ', error: true });
+    position = Math.max(error.end, error.start + 1);
+  });
+  if (position < text.length) segments.push({ text: text.slice(position) });
+  return segments;
+};
+
+// Search box over deal names and IDs that also takes field queries.
+// Valid queries are applied as the user types; the box is rewritten when the sidebar changes the same filters.
+const QuerySearchBox = ({ filters, defaults, options, onChange }) => {
+  const [text, setText] = useState(() => filtersToQuery(filters, defaults, options));
+  const [showHelp, setShowHelp] = useState(false);
+  const appliedQuery = useRef(text); // canonical form of the last filters this box produced or showed
+  const backdropRef = useRef(null);
+
+  const parsed = useMemo(() => parseQuery(text, options), [text, options]);
+
+  useEffect(() => {
+    const canonical = filtersToQuery(filters, defaults, options);
+    if (canonical !== appliedQuery.current) {
+      appliedQuery.current = canonical;
+      setText(canonical);
+    }
+  }, [filters, defaults, options]);
+
+  const handleChange = (value) => {
+    setText(value);
+    const next = parseQuery(value, options);
+    if (next.errors.length) return;
+    const nextFilters = applyQuery(filters, next, defaults, options);
+    appliedQuery.current = filtersToQuery(nextFilters, defaults, options);
+    onChange(nextFilters);
+  };
+
+  const syncScroll = (e) => {
+    if (backdropRef.current) backdropRef.current.scrollLeft = e.target.scrollLeft;
+  };
+
+  const hasErrors = parsed.errors.length > 0;
+
+  return (
+    <div className="bg-white shadow rounded-lg p-3" data-export-ignore>
+      <div className="flex items-center gap-2">
+        <div className={`relative flex-1 border rounded ${hasErrors ? 'border-red-400' : 'border-gray-300'} bg-white`}>
+          <div
+            ref={backdropRef}
+            aria-hidden="true"
+            className="absolute inset-0 px-3 py-2 font-mono text-sm whitespace-pre overflow-hidden text-transparent pointer-events-none"
+          >
+            {highlightSegments(text, parsed.errors).map((segment, index) => (
+              <span key={index} className={segment.error ? 'bg-red-200 rounded-sm' : ''}>{segment.text}</span>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => handleChange(e.target.value)}
+            onScroll={syncScroll}
+            onKeyUp={syncScroll}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') handleChange('');
+            }}
+            placeholder={`Search deals by name or ID, or try: ${EXAMPLE}`}
+            spellCheck={false}
+            className="relative w-full px-3 py-2 font-mono text-sm bg-transparent rounded focus:outline-none focus:ring-2 focus:ring-blue-300"
+          />
+        </div>
+        {text && (
+          <button
+            onClick={() => handleChange('')}
+            className="px-2 py-1 text-gray-500 hover:text-gray-800"
+            title="Clear search"
+          >
+            ×
+          </button>
+        )}
+        <button
+          onClick={() => setShowHelp(prev => !prev)}
+          className="px-2 py-1 text-sm text-blue-600 hover:underline"
+        >
+          {showHelp ? 'Hide syntax' : 'Syntax'}
+        </button>
+      </div>
+
+      {hasErrors && (
+        <ul className="mt-2 text-xs text-red-600 space-y-0.5">
+          {parsed.errors.map((error, index) => (
+            <li key={index}>
+              <span className="font-mono">{text.slice(error.start, error.end)}</span>: {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showHelp && (
+        <div className="mt-2 text-xs text-gray-600 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1">
+          <div><code>acme</code> name or ID contains "acme", small typos forgiven</div>
+          <div><code>"blue sky"</code> exact phrase, no typos forgiven</div>
+          <div><code>name:acme</code>, <code>id:123</code> search one field only</div>
+          <div><code>vertical:"Healthcare"</code>, <code>activity:A,B</code> pick values</div>
+          <div><code>region:</code>, <code>state:</code>, <code>intent:</code> other category filters</div>
+          <div><code>-state:TX</code> leave values out; <code>-acme</code> exclude a name</div>
+          <div><code>EBITDA&gt;5M</code>, <code>revenue&lt;=20M</code>, <code>pursuits:10..20</code> number bounds</div>
+          <div><code>recipients:</code>, <code>recs:</code>, <code>rate&gt;=25</code>, <code>score&gt;0.5</code> other numbers</div>
+          <div><code>date&gt;=2024-03</code>, <code>date:2024</code>, <code>date:ytd</code> Market Date</div>
+          <div><code>broker:no</code> hide broker deals</div>
+          <div>Esc clears the search</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuerySearchBox;
@@ -0,0 +1,192 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { rangeScale, rangeStep, snapToStep, buildHistogram } from './rangeScale';
+import { formatAmount, parseAmount } from './formatters';
+import { formatRangeValue } from './filters';
+
+// Text shown in the min/max boxes: amounts as 2.5M, the rest as plain numbers
+const inputText = (kind, value) => (kind === 'money' ? formatAmount(value) : String(Number(value.toFixed(4))));
+
+// Typed bound: commits on Enter or blur, and goes back to the current value if it cannot be read
+const BoundInput = ({ kind, value, onCommit, label }) => {
+  const [text, setText] = useState(inputText(kind, value));
+  const [invalid, setInvalid] = useState(false);
+
+  useEffect(() => {
+    setText(inputText(kind, value));
+    setInvalid(false);
+  }, [kind, value]);
+
+  const commit = () => {
+    const parsed = parseAmount(text);
+    if (parsed === null) {
+      setInvalid(true);
+      return;
+    }
+    onCommit(parsed);
+  };
+
+  return (
+    <input
+      type="text"
+      value={text}
+      aria-label={label}
+      onChange={(e) => {
+        setText(e.target.value);
+        setInvalid(false);
+      }}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') setText(inputText(kind, value));
+      }}
+      className={`w-20 p-1 border rounded text-xs text-right ${invalid ? 'border-red-400 bg-red-50' : ''}`}
+    />
+  );
+};
+
+// Dual-handle range control with a histogram of the loaded deals behind it.
+// bounds is the full span of the data; value is the selected [min, max].
+const RangeFilter = ({ label, kind, values, bounds, value, onChange, onRemove }) => {
+  const [log, setLog] = useState(false);
+  const [dragging, setDragging] = useState(null); // 0 or 1 while a handle is dragged
+  const trackRef = useRef(null);
+
+  const [min, max] = bounds;
+  const scale = useMemo(() => rangeScale(min, max, log), [min, max, log]);
+  const step = rangeStep(kind, min, max);
+  const histogram = useMemo(() => buildHistogram(values, min, max, log), [values, min, max, log]);
+  const tallest = histogram.reduce((most, bin) => Math.max(most, bin.count), 0);
+
+  const [lower, upper] = value;
+  const isActive = lower !== min || upper !== max;
+
+  // Handles cannot pass each other; both stay inside the data's span, and the ends are kept exact
+  const setBound = (index, raw) => {
+    const clamped = Math.min(max, Math.max(min, raw));
+    const next = clamped === min || clamped === max
+      ? clamped
+      : Math.min(max, Math.max(min, snapToStep(clamped, step)));
+    onChange(index === 0 ? [Math.min(next, upper), upper] : [lower, Math.max(next, lower)]);
+  };
+
+  const valueAtPointer = (event) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    return scale.fromFraction((event.clientX - rect.left) / rect.width);
+  };
+
+  const handlePointerDown = (index) => (event) => {
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDragging(index);
+  };
+
+  const handlePointerMove = (index) => (event) => {
+    if (dragging !== index) return;
+    setBound(index, valueAtPointer(event));
+  };
+
+  // Clicking the track moves whichever handle is closer
+  const handleTrackClick = (event) => {
+    const target = valueAtPointer(event);
+    setBound(Math.abs(target - lower) <= Math.abs(target - upper) ? 0 : 1, target);
+  };
+
+  // Arrow keys move by one step, Page Up/Down by a tenth of the track
+  const handleKeyDown = (index) => (event) => {
+    const current = index === 0 ? lower : upper;
+    const fraction = scale.toFraction(current);
+    const moves = {
+      ArrowLeft: () => current - step,
+      ArrowDown: () => current - step,
+      ArrowRight: () => current + step,
+      ArrowUp: () => current + step,
+      PageDown: () => scale.fromFraction(fraction - 0.1),
+      PageUp: () => scale.fromFraction(fraction + 0.1),
+      Home: () => min,
+      End: () => max
+    };
+    if (!moves[event.key]) return;
+    event.preventDefault();
+    setBound(index, moves[event.key]());
+  };
+
+  const renderHandle = (index) => {
+    const current = index === 0 ? lower : upper;
+    return (
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label={`${label} ${index === 0 ? 'minimum' : 'maximum'}`}
+        aria-valuemin={min}
+        aria-valuemax={max}
+        aria-valuenow={current}
+        aria-valuetext={formatRangeValue(kind, current)}
+        onPointerDown={handlePointerDown(index)}
+        onPointerMove={handlePointerMove(index)}
+        onPointerUp={() => setDragging(null)}
+        onKeyDown={handleKeyDown(index)}
+        onClick={(e) => e.stopPropagation()}
+        className="absolute top-1/2 w-4 h-4 -ml-2 -mt-2 rounded-full bg-white border-2 border-blue-600 shadow cursor-grab focus:outline-none focus:ring-2 focus:ring-blue-300"
+        style={{ left: `${scale.toFraction(current) * 100}%`, zIndex: index === 0 && lower === max ? 2 : 1 }}
+      />
+    );
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-1">
+        <label className="block text-sm font-medium text-gray-700">
+          {label}: {formatRangeValue(kind, lower)} – {formatRangeValue(kind, upper)}
+        </label>
+        <div className="flex items-center gap-2 text-xs">
+          <label className="flex items-center text-gray-500" title="Spread small values out">
+            <input type="checkbox" checked={log} onChange={(e) => setLog(e.target.checked)} className="mr-1" />
+            Log
+          </label>
+          {isActive && (
+            <button onClick={() => onChange([min, max])} className="text-blue-600 hover:underline">
+              Reset
+            </button>
+          )}
+          {onRemove && (
+            <button onClick={onRemove} className="text-gray-400 hover:text-red-600" title="Remove this filter">
+              ×
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="px-2">
+        <div className="flex items-end h-10 gap-px" aria-hidden="true">
+          {histogram.map((bin, index) => {
+            const inRange = bin.end >= lower && bin.start <= upper;
+            return (
+              <div
+                key={index}
+                className={`flex-1 rounded-t-sm ${inRange ? 'bg-blue-300' : 'bg-gray-200'}`}
+                style={{ height: tallest ? `${Math.max(bin.count ? 8 : 0, (bin.count / tallest) * 100)}%` : 0 }}
+                title={`${formatRangeValue(kind, bin.start)} – ${formatRangeValue(kind, bin.end)}: ${bin.count} deals`}
+              />
+            );
+          })}
+        </div>
+        <div ref={trackRef} onClick={handleTrackClick} className="relative h-4 cursor-pointer">
+          <div className="absolute top-1/2 left-0 right-0 h-1 -mt-0.5 bg-gray-200 rounded" />
+          <div
+            className="absolute top-1/2 h-1 -mt-0.5 bg-blue-600 rounded"
+            style={{ left: `${scale.toFraction(lower) * 100}%`, right: `${(1 - scale.toFraction(upper)) * 100}%` }}
+          />
+          {renderHandle(0)}
+          {renderHandle(1)}
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center mt-1 px-2">
+        <BoundInput kind={kind} value={lower} label={`${label} minimum`} onCommit={(typed) => setBound(0, typed)} />
+        <BoundInput kind={kind} value={upper} label={`${label} maximum`} onCommit={(typed) => setBound(1, typed)} />
+      </div>
+    </div>
+  );
+};
+
+export default RangeFilter;
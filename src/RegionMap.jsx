@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import { MAP_MEASURE_KEYS, MAP_WIDTH, MAP_HEIGHT, getRegionShapes, summarizeByRegion } from './regionMap';
+import { getDistributionMeasure } from './distribution';
+import { formatMillions } from './formatters';
+
+const EMPTY_COLOR = '#F3F4F6';
+
+// White to blue by where the value sits between the smallest and largest area
+const areaColor = (value, min, max) => {
+  const ratio = max === min ? 1 : (value - min) / (max - min);
+  const lightness = 92 - ratio * 55;
+  return `hsl(217, 91%, ${lightness}%)`;
+};
+
+// US states and Canadian provinces shaded by a measure; clicking an area toggles it in the State/Province filter
+const RegionMap = ({ deals, selectedStates, onAreaClick }) => {
+  const [measureKey, setMeasureKey] = useState('count');
+  const [hover, setHover] = useState(null); // { code, x, y } relative to the map container
+
+  const shapes = useMemo(() => getRegionShapes(), []);
+  const summary = useMemo(() => summarizeByRegion(deals, measureKey), [deals, measureKey]);
+
+  const isSelected = (region) => region.values.some(value => selectedStates.includes(value));
+  const hasSelection = selectedStates.length > 0;
+
+  const handleMouseMove = (code, event) => {
+    const bounds = event.currentTarget.ownerSVGElement.getBoundingClientRect();
+    setHover({ code, x: event.clientX - bounds.left, y: event.clientY - bounds.top });
+  };
+
+  const hoveredShape = hover && shapes.find(shape => shape.code === hover.code);
+  const hoveredRegion = hover && summary.regions.get(hover.code);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm" data-export-ignore>
+        <label className="flex items-center">
+          <span className="text-gray-600 mr-1">Shade by</span>
+          <select
+            value={measureKey}
+            onChange={(e) => setMeasureKey(e.target.value)}
+            className="p-1 border rounded"
+          >
+            {MAP_MEASURE_KEYS.map(key => (
+              <option key={key} value={key}>{getDistributionMeasure(key).label}</option>
+            ))}
+          </select>
+        </label>
+        <span className="text-xs text-gray-500">Click a state or province to add it to the filter, or click again to remove it.</span>
+      </div>
+
+      <div className="relative">
+        <svg viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} className="w-full h-auto" onMouseLeave={() => setHover(null)}>
+          {shapes.map(shape => {
+            const region = summary.regions.get(shape.code);
+            const dimmed = hasSelection && (!region || !isSelected(region));
+            return (
+              <path
+                key={shape.code}
+                d={shape.path}
+                fill={region ? areaColor(region.value, summary.min, summary.max) : EMPTY_COLOR}
+                fillOpacity={dimmed ? 0.35 : 1}
+                stroke={region && hasSelection && !dimmed ? '#1E3A8A' : '#FFFFFF'}
+                strokeWidth={region && hasSelection && !dimmed ? 1.5 : 0.75}
+                className={region ? 'cursor-pointer' : ''}
+                onClick={() => region && onAreaClick(region.values)}
+                onMouseMove={(e) => handleMouseMove(shape.code, e)}
+              />
+            );
+          })}
+        </svg>
+
+        {hoveredShape && (
+          <div
+            className="absolute pointer-events-none bg-white shadow-lg rounded p-2 text-xs text-gray-700 border"
+            style={{ left: hover.x + 12, top: hover.y + 12 }}
+          >
+            <div className="font-semibold text-gray-900">{hoveredShape.name}</div>
+            {hoveredRegion ? (
+              <>
+                <div>{hoveredRegion.count} deal{hoveredRegion.count === 1 ? '' : 's'}</div>
+                <div>Avg. EBITDA: {formatMillions(hoveredRegion.avgEbitda)}</div>
+                <div>Avg. Total Pursuits: {hoveredRegion.avgPursuits.toFixed(1)}</div>
+                {hoveredRegion.topVertical && <div>Top vertical: {hoveredRegion.topVertical}</div>}
+              </>
+            ) : (
+              <div>No deals</div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-2 text-xs text-gray-600">
+        {summary.min !== null && (
+          <span className="flex items-center">
+            <span className="mr-1">{summary.measure.format(summary.min)}</span>
+            <span
+              className="inline-block w-32 h-3 rounded"
+              style={{ background: `linear-gradient(to right, ${areaColor(0, 0, 1)}, ${areaColor(1, 0, 1)})` }}
+            />
+            <span className="ml-1">{summary.measure.format(summary.max)}</span>
+          </span>
+        )}
+        {summary.unmatched > 0 && (
+          <span>{summary.unmatched} deal{summary.unmatched === 1 ? '' : 's'} with a State/Province not on the map</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RegionMap;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { loadSavedViews, saveSavedViews } from './dashboardState';
+
+// Header dropdown for saving, applying and managing named dashboard views
+const SavedViewsMenu = ({ currentState, onApply }) => {
+  const [open, setOpen] = useState(false);
+  const [views, setViews] = useState(loadSavedViews);
+  const [newViewName, setNewViewName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const updateViews = (updated) => setViews(saveSavedViews(updated));
+
+  const handleSave = () => {
+    const name = newViewName.trim();
+    if (!name) return;
+    updateViews([
+      ...views,
+      { id: Date.now().toString(36), name, state: currentState, isDefault: false }
+    ]);
+    setNewViewName('');
+  };
+
+  const handleRename = () => {
+    const name = renaming.name.trim();
+    if (name) {
+      updateViews(views.map(view => (view.id === renaming.id ? { ...view, name } : view)));
+    }
+    setRenaming(null);
+  };
+
+  // Only one view can be the default; choosing the current default clears it
+  const toggleDefault = (id) => {
+    updateViews(views.map(view => ({ ...view, isDefault: view.id === id ? !view.isDefault : false })));
+  };
+
+  const handleDelete = (id) => {
+    updateViews(views.filter(view => view.id !== id));
+  };
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      })
+      .catch(err => console.error('Failed to copy link: ', err));
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+      >
+        Views ▾
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg z-40 p-3">
+          <div className="max-h-64 overflow-y-auto mb-3">
+            {views.length === 0 && (
+              <div className="text-sm text-gray-500 py-2">No saved views yet.</div>
+            )}
+            {views.map(view => (
+              <div key={view.id} className="flex items-center py-1 border-b last:border-b-0">
+                <button
+                  onClick={() => toggleDefault(view.id)}
+                  className={`mr-2 ${view.isDefault ? 'text-amber-500' : 'text-gray-300 hover:text-gray-500'}`}
+                  title={view.isDefault ? 'Default view' : 'Set as default view'}
+                >
+                  ★
+                </button>
+                {renaming?.id === view.id ? (
+                  <input
+                    type="text"
+                    value={renaming.name}
+                    autoFocus
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onBlur={handleRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleRename();
+                      if (e.key === 'Escape') setRenaming(null);
+                    }}
+                    className="flex-1 p-1 border rounded text-sm"
+                  />
+                ) : (
+                  <button
+                    onClick={() => {
+                      onApply(view.state);
+                      setOpen(false);
+                    }}
+                    className="flex-1 text-left text-sm text-gray-800 hover:text-blue-600 truncate"
+                    title="Apply view"
+                  >
+                    {view.name}
+                  </button>
+                )}
+                <button
+                  onClick={() => setRenaming({ id: view.id, name: view.name })}
+                  className="ml-2 text-xs text-gray-500 hover:text-gray-700"
+                >
+                  Rename
+                </button>
+                <button
+                  onClick={() => handleDelete(view.id)}
+                  className="ml-2 text-xs text-red-500 hover:text-red-700"
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center space-x-2 mb-2">
+            <input
+              type="text"
+              value={newViewName}
+              onChange={(e) => setNewViewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+              placeholder="Name this view"
+              className="flex-1 p-1 border rounded text-sm"
+            />
+            <button
+              onClick={handleSave}
+              disabled={!newViewName.trim()}
+              className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
+          </div>
+
+          <button
+            onClick={copyLink}
+            className="w-full px-3 py-1 bg-gray-100 text-gray-700 text-sm rounded hover:bg-gray-200"
+          >
+            {linkCopied ? 'Link copied!' : 'Copy link to this view'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsMenu;
@@ -0,0 +1,269 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { scatterPoints, axisScale, bubbleRadius, pointInPolygon, pointInBox } from './scatter';
+import { formatMillions } from './formatters';
+import { dealKey } from './snapshotDiff';
+
+const WIDTH = 800;
+const HEIGHT = 460;
+const MARGIN = { top: 10, right: 20, bottom: 40, left: 70 };
+const PLOT = { left: MARGIN.left, right: WIDTH - MARGIN.right, top: MARGIN.top, bottom: HEIGHT - MARGIN.bottom };
+const OTHER_COLOR = '#9CA3AF';
+
+// Short money labels so log axes, which span several orders of magnitude, stay readable
+const formatAxis = (value) => {
+  const size = Math.abs(value);
+  if (size >= 1e9) return `$${+(value / 1e9).toFixed(1)}B`;
+  if (size >= 1e6) return `$${+(value / 1e6).toFixed(1)}M`;
+  if (size >= 1e3) return `$${+(value / 1e3).toFixed(1)}K`;
+  return `$${value}`;
+};
+
+const SELECTION_MODES = [
+  { key: 'lasso', label: 'Lasso' },
+  { key: 'box', label: 'Box' }
+];
+
+// Revenue against EBITDA, sized by Total Pursuits and coloured by vertical.
+// Drawing a lasso or box adds the enclosed deals to the selection; clicking a bubble opens the deal.
+const ScatterPlot = ({ deals, colors, selectedIds, onSelectDeals, onPointClick }) => {
+  const [logX, setLogX] = useState(false);
+  const [logY, setLogY] = useState(false);
+  const [mode, setMode] = useState('lasso');
+  const [drag, setDrag] = useState(null); // SVG points drawn so far
+  const [hovered, setHovered] = useState(null); // { point, cx, cy }
+  const svgRef = useRef(null);
+
+  const { points, skipped } = useMemo(() => scatterPoints(deals, { logX, logY }), [deals, logX, logY]);
+
+  // Most common verticals get their own colour, the rest share grey
+  const verticalColors = useMemo(() => {
+    const counts = new Map();
+    points.forEach(({ deal }) => {
+      const vertical = deal["Primary Supply Vertical"] || 'Unknown';
+      counts.set(vertical, (counts.get(vertical) || 0) + 1);
+    });
+    const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([vertical]) => vertical);
+    return new Map(ranked.slice(0, colors.length).map((vertical, index) => [vertical, colors[index]]));
+  }, [points, colors]);
+
+  const layout = useMemo(() => {
+    const xScale = axisScale(points.map(p => p.x), [PLOT.left, PLOT.right], logX);
+    const yScale = axisScale(points.map(p => p.y), [PLOT.bottom, PLOT.top], logY);
+    const maxSize = points.reduce((max, p) => Math.max(max, p.size), 0);
+    // Biggest bubbles first so smaller ones stay on top and can be hovered
+    const placed = points
+      .map(point => ({ point, cx: xScale(point.x), cy: yScale(point.y), r: bubbleRadius(point.size, maxSize) }))
+      .sort((a, b) => b.r - a.r);
+    return { xScale, yScale, placed };
+  }, [points, logX, logY]);
+
+  const toSvgPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return [Math.min(Math.max(x, PLOT.left), PLOT.right), Math.min(Math.max(y, PLOT.top), PLOT.bottom)];
+  };
+
+  const handleMouseDown = (event) => {
+    if (event.button !== 0) return;
+    setHovered(null);
+    setDrag([toSvgPoint(event)]);
+  };
+
+  const handleMouseMove = (event) => {
+    if (!drag) return;
+    const point = toSvgPoint(event);
+    setDrag(prev => (mode === 'box' ? [prev[0], point] : [...prev, point]));
+  };
+
+  const handleMouseUp = () => {
+    if (!drag) return;
+    const path = drag;
+    setDrag(null);
+    if (path.length < 2) return;
+    // A click on a bubble is not a selection
+    const [[x1, y1], [x2, y2]] = [path[0], path[path.length - 1]];
+    if (mode === 'box' && Math.abs(x2 - x1) < 4 && Math.abs(y2 - y1) < 4) return;
+    const contains = mode === 'box'
+      ? (item) => pointInBox([item.cx, item.cy], path)
+      : (item) => path.length > 2 && pointInPolygon([item.cx, item.cy], path);
+    const enclosed = layout.placed.filter(contains).map(item => item.point.deal);
+    if (enclosed.length) onSelectDeals(enclosed);
+  };
+
+  const selectionShape = () => {
+    if (!drag || drag.length < 2) return null;
+    if (mode === 'box') {
+      const [[x1, y1], [x2, y2]] = drag;
+      return (
+        <rect
+          x={Math.min(x1, x2)}
+          y={Math.min(y1, y2)}
+          width={Math.abs(x2 - x1)}
+          height={Math.abs(y2 - y1)}
+          fill="rgba(37, 99, 235, 0.1)"
+          stroke="#2563EB"
+          strokeDasharray="4 2"
+        />
+      );
+    }
+    return (
+      <polygon
+        points={drag.map(point => point.join(',')).join(' ')}
+        fill="rgba(37, 99, 235, 0.1)"
+        stroke="#2563EB"
+        strokeDasharray="4 2"
+      />
+    );
+  };
+
+  const hoveredDeal = hovered?.point.deal;
+  const margin = hoveredDeal && hoveredDeal.Revenue ? (hoveredDeal.EBITDA / hoveredDeal.Revenue) * 100 : null;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm" data-export-ignore>
+        <div className="flex rounded overflow-hidden border">
+          {SELECTION_MODES.map(option => (
+            <button
+              key={option.key}
+              onClick={() => setMode(option.key)}
+              className={`px-3 py-1 ${mode === option.key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center">
+          <input type="checkbox" checked={logX} onChange={(e) => setLogX(e.target.checked)} className="mr-1" />
+          Log revenue
+        </label>
+        <label className="flex items-center">
+          <input type="checkbox" checked={logY} onChange={(e) => setLogY(e.target.checked)} className="mr-1" />
+          Log EBITDA
+        </label>
+        <span className="text-xs text-gray-500">
+          Draw around deals to add them to the selection. Bubble size is Total Pursuits.
+        </span>
+      </div>
+
+      {points.length > 0 ? (
+        <div className="relative select-none">
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto"
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={handleMouseUp}
+          >
+            {layout.xScale.ticks.map(tick => (
+              <g key={`x-${tick}`}>
+                <line x1={layout.xScale(tick)} x2={layout.xScale(tick)} y1={PLOT.top} y2={PLOT.bottom} stroke="#F3F4F6" />
+                <text x={layout.xScale(tick)} y={PLOT.bottom + 16} textAnchor="middle" fontSize="11" fill="#6B7280">
+                  {formatAxis(tick)}
+                </text>
+              </g>
+            ))}
+            {layout.yScale.ticks.map(tick => (
+              <g key={`y-${tick}`}>
+                <line x1={PLOT.left} x2={PLOT.right} y1={layout.yScale(tick)} y2={layout.yScale(tick)} stroke="#F3F4F6" />
+                <text x={PLOT.left - 6} y={layout.yScale(tick)} textAnchor="end" dominantBaseline="central" fontSize="11" fill="#6B7280">
+                  {formatAxis(tick)}
+                </text>
+              </g>
+            ))}
+            <line x1={PLOT.left} x2={PLOT.right} y1={PLOT.bottom} y2={PLOT.bottom} stroke="#9CA3AF" />
+            <line x1={PLOT.left} x2={PLOT.left} y1={PLOT.top} y2={PLOT.bottom} stroke="#9CA3AF" />
+            <text x={(PLOT.left + PLOT.right) / 2} y={HEIGHT - 4} textAnchor="middle" fontSize="12" fill="#374151">
+              Revenue{logX ? ' (log)' : ''}
+            </text>
+            <text
+              x={14}
+              y={(PLOT.top + PLOT.bottom) / 2}
+              textAnchor="middle"
+              fontSize="12"
+              fill="#374151"
+              transform={`rotate(-90 14 ${(PLOT.top + PLOT.bottom) / 2})`}
+            >
+              EBITDA{logY ? ' (log)' : ''}
+            </text>
+
+            {layout.placed.map(item => {
+              const { deal } = item.point;
+              const isSelected = selectedIds.has(dealKey(deal));
+              return (
+                <circle
+                  key={dealKey(deal)}
+                  cx={item.cx}
+                  cy={item.cy}
+                  r={item.r}
+                  fill={verticalColors.get(deal["Primary Supply Vertical"] || 'Unknown') || OTHER_COLOR}
+                  fillOpacity={0.6}
+                  stroke={isSelected ? '#111827' : '#FFFFFF'}
+                  strokeWidth={isSelected ? 2 : 0.5}
+                  className="cursor-pointer"
+                  onMouseEnter={() => !drag && setHovered(item)}
+                  onMouseLeave={() => setHovered(null)}
+                  onClick={() => onPointClick(deal)}
+                />
+              );
+            })}
+
+            {selectionShape()}
+          </svg>
+
+          {hoveredDeal && (
+            <div
+              className="absolute pointer-events-none bg-white shadow-lg rounded p-2 text-xs text-gray-700 border"
+              style={{
+                left: `${(hovered.cx / WIDTH) * 100}%`,
+                top: `${(hovered.cy / HEIGHT) * 100}%`,
+                transform: `translate(${hovered.cx > WIDTH / 2 ? 'calc(-100% - 12px)' : '12px'}, 12px)`
+              }}
+            >
+              <div className="font-semibold text-gray-900">
+                {hoveredDeal["Sellside Project: Axial Opportunity"] || 'Untitled deal'}
+              </div>
+              <div className="text-gray-500">Deal {hoveredDeal["Sellside Project: ID"]}</div>
+              <div>Revenue: {formatMillions(hoveredDeal.Revenue)}</div>
+              <div>EBITDA: {formatMillions(hoveredDeal.EBITDA)}{margin !== null ? ` (${margin.toFixed(1)}% margin)` : ''}</div>
+              <div>Total Pursuits: {hoveredDeal["Total Pursuits"] ?? '—'}</div>
+              <div>{hoveredDeal["Primary Supply Vertical"] || 'No vertical'}</div>
+              {selectedIds.has(dealKey(hoveredDeal)) && <div className="text-green-700">Selected</div>}
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs text-gray-600">
+            {[...verticalColors.entries()].map(([vertical, color]) => (
+              <span key={vertical} className="flex items-center">
+                <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: color }} />
+                {vertical}
+              </span>
+            ))}
+            {verticalColors.size < new Set(points.map(p => p.deal["Primary Supply Vertical"] || 'Unknown')).size && (
+              <span className="flex items-center">
+                <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: OTHER_COLOR }} />
+                Other
+              </span>
+            )}
+            {skipped > 0 && (
+              <span className="text-gray-500">
+                {skipped} deal{skipped === 1 ? '' : 's'} not shown (no {logX || logY ? 'positive ' : ''}Revenue or EBITDA)
+              </span>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-center justify-center h-56 text-gray-500">
+          No data to display
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScatterPlot;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { getScoreFactor, NORMALIZATIONS } from './qualityScore';
+
+// Floating breakdown of how each factor contributed to a deal's quality score
+const ScoreBreakdownTooltip = ({ deal, model, position }) => {
+  const factors = model.factors.filter(entry => getScoreFactor(entry.factor));
+
+  return (
+    <div
+      className="fixed z-50 bg-white rounded-lg shadow-lg p-3 text-xs pointer-events-none"
+      style={{ left: position.x + 12, top: position.y + 12 }}
+    >
+      <div className="font-semibold text-gray-800 mb-2">
+        Quality Score {deal.qualityScore.toFixed(2)}
+      </div>
+      <table>
+        <tbody>
+          {factors.map(entry => {
+            const contribution = deal.scoreComponents?.[entry.factor] || 0;
+            const normalization = NORMALIZATIONS.find(n => n.key === entry.normalization);
+            return (
+              <tr key={entry.factor}>
+                <td className="pr-3 text-gray-600 whitespace-nowrap">
+                  {getScoreFactor(entry.factor).label}
+                  <span className="text-gray-400"> ({normalization?.label}{entry.invert ? ', inverted' : ''})</span>
+                </td>
+                <td className="pr-2 whitespace-nowrap">
+                  <div className="w-16 bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full"
+                      style={{ width: `${deal.qualityScore ? (contribution / deal.qualityScore) * 100 : 0}%` }}
+                    ></div>
+                  </div>
+                </td>
+                <td className="text-right font-medium text-gray-800">+{contribution.toFixed(3)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ScoreBreakdownTooltip;
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import {
+  SCORE_FACTORS, NORMALIZATIONS, DEFAULT_SCORING_MODEL, getScoreFactor,
+  loadScoringPresets, saveScoringPreset, deleteScoringPreset
+} from './qualityScore';
+
+// Editor for the factors, normalizations and weights behind the quality score
+const ScoringPanel = ({ model, onChange }) => {
+  const [presets, setPresets] = useState(loadScoringPresets);
+  const [presetName, setPresetName] = useState(model.name === DEFAULT_SCORING_MODEL.name ? '' : model.name);
+
+  const totalWeight = model.factors.reduce((sum, entry) => sum + (entry.weight || 0), 0);
+  const unusedFactors = SCORE_FACTORS.filter(factor => !model.factors.some(entry => entry.factor === factor.key));
+
+  // Any edit turns the active model into an unsaved custom one
+  const updateFactor = (index, changes) => {
+    onChange({
+      name: '',
+      factors: model.factors.map((entry, i) => (i === index ? { ...entry, ...changes } : entry))
+    });
+  };
+
+  const addFactor = (key) => {
+    if (!key) return;
+    onChange({
+      name: '',
+      factors: [
+        ...model.factors,
+        { factor: key, normalization: 'max', weight: 0.1, invert: !!getScoreFactor(key).invertByDefault }
+      ]
+    });
+  };
+
+  const removeFactor = (index) => {
+    onChange({ name: '', factors: model.factors.filter((_, i) => i !== index) });
+  };
+
+  const applyPreset = (name) => {
+    const preset = name === DEFAULT_SCORING_MODEL.name
+      ? DEFAULT_SCORING_MODEL
+      : presets.find(p => p.name === name);
+    if (!preset) return;
+    setPresetName(preset === DEFAULT_SCORING_MODEL ? '' : preset.name);
+    onChange(preset);
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name || name === DEFAULT_SCORING_MODEL.name) return;
+    const named = { ...model, name };
+    setPresets(saveScoringPreset(named));
+    onChange(named);
+  };
+
+  const handleDeletePreset = () => {
+    setPresets(deleteScoringPreset(model.name));
+    onChange(DEFAULT_SCORING_MODEL);
+    setPresetName('');
+  };
+
+  const isSavedPreset = presets.some(preset => preset.name === model.name);
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 mb-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-800 mb-2 md:mb-0">Quality Score Model</h2>
+        <div className="flex items-center space-x-2">
+          <select
+            value={isSavedPreset || model.name === DEFAULT_SCORING_MODEL.name ? model.name : ''}
+            onChange={(e) => applyPreset(e.target.value)}
+            className="p-1 border rounded text-sm"
+          >
+            <option value="" disabled>Custom</option>
+            <option value={DEFAULT_SCORING_MODEL.name}>{DEFAULT_SCORING_MODEL.name}</option>
+            {presets.map(preset => (
+              <option key={preset.name} value={preset.name}>{preset.name}</option>
+            ))}
+          </select>
+          {isSavedPreset && (
+            <button
+              onClick={handleDeletePreset}
+              className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded hover:bg-gray-300"
+            >
+              Delete Preset
+            </button>
+          )}
+        </div>
+      </div>
+
+      <table className="min-w-full divide-y divide-gray-200 mb-4">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Factor</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Normalization</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Weight</th>
+            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lower Is Better</th>
+            <th className="px-3 py-2"></th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {model.factors.map((entry, index) => (
+            <tr key={entry.factor}>
+              <td className="px-3 py-2 text-sm text-gray-800 whitespace-nowrap">
+                {getScoreFactor(entry.factor)?.label || entry.factor}
+              </td>
+              <td className="px-3 py-2">
+                <select
+                  value={entry.normalization}
+                  onChange={(e) => updateFactor(index, { normalization: e.target.value })}
+                  className="p-1 border rounded text-sm"
+                >
+                  {NORMALIZATIONS.map(normalization => (
+                    <option key={normalization.key} value={normalization.key}>{normalization.label}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.05"
+                  value={entry.weight}
+                  onChange={(e) => updateFactor(index, { weight: Math.max(0, parseFloat(e.target.value) || 0) })}
+                  className="w-20 p-1 border rounded text-sm"
+                />
+                <span className="ml-2 text-xs text-gray-500">
+                  {totalWeight ? `${((entry.weight / totalWeight) * 100).toFixed(0)}%` : '0%'}
+                </span>
+              </td>
+              <td className="px-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={!!entry.invert}
+                  onChange={(e) => updateFactor(index, { invert: e.target.checked })}
+                  className="h-4 w-4"
+                />
+              </td>
+              <td className="px-3 py-2 text-right">
+                <button
+                  onClick={() => removeFactor(index)}
+                  className="text-sm text-red-500 hover:text-red-700"
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {totalWeight === 0 && (
+        <div className="mb-4 text-red-500 text-sm">
+          Give at least one factor a weight above zero; every deal currently scores 0.
+        </div>
+      )}
+
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center space-y-2 md:space-y-0">
+        <select
+          value=""
+          onChange={(e) => addFactor(e.target.value)}
+          disabled={unusedFactors.length === 0}
+          className="p-1 border rounded text-sm"
+        >
+          <option value="">+ Add factor</option>
+          {unusedFactors.map(factor => (
+            <option key={factor.key} value={factor.key}>{factor.label}</option>
+          ))}
+        </select>
+
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            className="p-1 border rounded text-sm"
+          />
+          <button
+            onClick={handleSavePreset}
+            disabled={!presetName.trim() || presetName.trim() === DEFAULT_SCORING_MODEL.name}
+            className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            Save Preset
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScoringPanel;
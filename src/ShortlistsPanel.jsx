@@ -0,0 +1,214 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  createShortlist, addToShortlist, removeFromShortlist, moveInShortlist, shortlistEntries
+} from './shortlists';
+import { dealKey } from './snapshotDiff';
+import { formatMillions } from './formatters';
+
+// Named shortlists: create and rename them, fill them from the table selection, put the deals in order,
+// and filter the table down to one. Deals missing from the loaded report are flagged rather than dropped.
+const ShortlistsPanel = ({ shortlists, deals, selectedDeals, filterId, onChange, onFilter, onSelect }) => {
+  const [openId, setOpenId] = useState(filterId || shortlists[0]?.id || null);
+  const [newName, setNewName] = useState('');
+
+  const open = shortlists.find(list => list.id === openId) || null;
+
+  useEffect(() => {
+    if (!open && shortlists.length) setOpenId(shortlists[0].id);
+  }, [open, shortlists]);
+
+  const entries = useMemo(() => (open ? shortlistEntries(open, deals) : []), [open, deals]);
+  const missing = entries.filter(entry => !entry.deal);
+  const missingCounts = useMemo(() => {
+    const ids = new Set(deals.map(dealKey));
+    return Object.fromEntries(shortlists.map(list => [list.id, list.dealIds.filter(id => !ids.has(id)).length]));
+  }, [shortlists, deals]);
+
+  const updateOpen = (list) => onChange(shortlists.map(entry => (entry.id === list.id ? list : entry)));
+
+  const handleCreate = () => {
+    const name = newName.trim();
+    if (!name) return;
+    const list = addToShortlist(createShortlist(name), selectedDeals);
+    onChange([...shortlists, list]);
+    setOpenId(list.id);
+    setNewName('');
+  };
+
+  const handleDelete = () => {
+    onChange(shortlists.filter(list => list.id !== open.id));
+    if (filterId === open.id) onFilter(null);
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 mb-6">
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">Shortlists</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <div className="border rounded divide-y mb-2 max-h-72 overflow-y-auto">
+            {shortlists.length === 0 && (
+              <div className="text-sm text-gray-500 p-2">No shortlists yet.</div>
+            )}
+            {shortlists.map(list => (
+              <button
+                key={list.id}
+                onClick={() => setOpenId(list.id)}
+                className={`w-full text-left px-2 py-1 text-sm ${list.id === openId ? 'bg-blue-50 text-blue-700' : 'text-gray-800 hover:bg-gray-50'}`}
+              >
+                <div className="truncate">{list.name}</div>
+                <div className="text-xs text-gray-500">
+                  {list.dealIds.length} deal{list.dealIds.length !== 1 ? 's' : ''}
+                  {missingCounts[list.id] > 0 && <span className="text-amber-600"> · {missingCounts[list.id]} missing</span>}
+                  {list.id === filterId && <span className="text-blue-600"> · filtering</span>}
+                </div>
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+              placeholder="New list name"
+              className="flex-1 min-w-0 p-1 border rounded text-sm"
+            />
+            <button
+              onClick={handleCreate}
+              disabled={!newName.trim()}
+              className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+              title={selectedDeals.length ? `Starts with the ${selectedDeals.length} selected deals` : undefined}
+            >
+              Create
+            </button>
+          </div>
+        </div>
+
+        <div className="md:col-span-3">
+          {!open ? (
+            <p className="text-sm text-gray-500">
+              Select deals in the table, name a list and create it. Lists are saved in this browser and
+              follow deals by ID, so they carry over to the next upload.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-2 mb-3">
+                <input
+                  type="text"
+                  value={open.name}
+                  onChange={(e) => updateOpen({ ...open, name: e.target.value })}
+                  aria-label="Shortlist name"
+                  className="p-1 border rounded text-sm font-medium md:w-64"
+                />
+                <button
+                  onClick={() => updateOpen(addToShortlist(open, selectedDeals))}
+                  disabled={selectedDeals.length === 0}
+                  className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  Add {selectedDeals.length} selected
+                </button>
+                <button
+                  onClick={() => onFilter(filterId === open.id ? null : open.id)}
+                  className={`px-3 py-1 text-sm rounded ${filterId === open.id
+                    ? 'bg-blue-100 text-blue-700 hover:bg-blue-200'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                >
+                  {filterId === open.id ? 'Show all deals' : 'Filter table to this list'}
+                </button>
+                <button
+                  onClick={() => onSelect(entries.filter(entry => entry.deal).map(entry => entry.deal))}
+                  disabled={entries.length === missing.length}
+                  className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Select these deals for copying or export"
+                >
+                  Select these deals
+                </button>
+                <div className="flex-1" />
+                <button
+                  onClick={handleDelete}
+                  className="text-sm text-red-500 hover:text-red-700"
+                >
+                  Delete list
+                </button>
+              </div>
+
+              {missing.length > 0 && (
+                <div className="mb-3 flex items-center text-sm text-amber-700 bg-amber-50 rounded px-3 py-2">
+                  <span className="flex-1">
+                    {missing.length} {missing.length === 1 ? 'deal is' : 'deals are'} not in the latest report.
+                  </span>
+                  <button
+                    onClick={() => updateOpen(missing.reduce((list, entry) => removeFromShortlist(list, entry.id), open))}
+                    className="ml-2 text-amber-700 hover:text-amber-900 font-medium"
+                  >
+                    Remove them
+                  </button>
+                </div>
+              )}
+
+              {entries.length === 0 ? (
+                <p className="text-sm text-gray-500">This list is empty. Select deals in the table and add them.</p>
+              ) : (
+                <div className="overflow-x-auto max-h-96">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deal</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ID</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Revenue</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">EBITDA</th>
+                        <th className="px-3 py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {entries.map((entry, index) => (
+                        <tr key={entry.id} className={entry.deal ? '' : 'bg-amber-50'}>
+                          <td className="px-3 py-1 text-sm text-gray-500">{index + 1}</td>
+                          <td className="px-3 py-1 text-sm text-gray-800">
+                            {entry.name || '(no name)'}
+                            {!entry.deal && <span className="ml-2 text-xs text-amber-700">Not in latest report</span>}
+                          </td>
+                          <td className="px-3 py-1 text-sm text-gray-500">{entry.id}</td>
+                          <td className="px-3 py-1 text-sm text-gray-500">{entry.deal ? formatMillions(entry.deal.Revenue) : '—'}</td>
+                          <td className="px-3 py-1 text-sm text-gray-500">{entry.deal ? formatMillions(entry.deal.EBITDA) : '—'}</td>
+                          <td className="px-3 py-1 text-right whitespace-nowrap">
+                            <button
+                              onClick={() => updateOpen(moveInShortlist(open, entry.id, -1))}
+                              disabled={index === 0}
+                              className="px-1 text-gray-500 hover:text-gray-800 disabled:text-gray-200"
+                              aria-label={`Move ${entry.name} up`}
+                            >
+                              ↑
+                            </button>
+                            <button
+                              onClick={() => updateOpen(moveInShortlist(open, entry.id, 1))}
+                              disabled={index === entries.length - 1}
+                              className="px-1 text-gray-500 hover:text-gray-800 disabled:text-gray-200"
+                              aria-label={`Move ${entry.name} down`}
+                            >
+                              ↓
+                            </button>
+                            <button
+                              onClick={() => updateOpen(removeFromShortlist(open, entry.id))}
+                              className="ml-2 text-sm text-red-500 hover:text-red-700"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortlistsPanel;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { loadSnapshotRows, formatSnapshotLabel, scoreSnapshotRows } from './snapshotStore';
+import { diffDeals, dealKey, formatDelta } from './snapshotDiff';
+
+const STATUS_STYLES = {
+  new: 'bg-green-100 text-green-800',
+  dropped: 'bg-red-100 text-red-800',
+  changed: 'bg-amber-100 text-amber-800'
+};
+
+// Snapshot history with a side-by-side comparison of any two stored reports
+const SnapshotPanel = ({ snapshots, comparisonId, onCompareWithCurrent, onDelete, scoringModel, dateFormat }) => {
+  const [baseId, setBaseId] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+
+  // Default the pairwise comparison to the two most recent snapshots
+  useEffect(() => {
+    if (snapshots.length >= 2 && !baseId && !targetId) {
+      setBaseId(String(snapshots[1].id));
+      setTargetId(String(snapshots[0].id));
+    }
+  }, [snapshots, baseId, targetId]);
+
+  const compareSnapshots = async () => {
+    if (!baseId || !targetId) return;
+    setComparing(true);
+    try {
+      const [baseRows, targetRows] = await Promise.all([
+        loadSnapshotRows(Number(baseId)),
+        loadSnapshotRows(Number(targetId))
+      ]);
+      setComparison(diffDeals(
+        scoreSnapshotRows(baseRows, scoringModel, dateFormat),
+        scoreSnapshotRows(targetRows, scoringModel, dateFormat)
+      ));
+    } catch (error) {
+      console.error('Error comparing snapshots:', error);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const comparisonRows = comparison
+    ? [
+        ...[...comparison.byId.values()].filter(entry => entry.status !== 'unchanged'),
+        ...comparison.dropped.map(deal => ({ status: 'dropped', previous: deal }))
+      ]
+    : [];
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 mb-6">
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">Report Snapshots</h2>
+
+      {snapshots.length === 0 ? (
+        <div className="text-sm text-gray-500">
+          No snapshots yet. Every uploaded report is saved here automatically.
+        </div>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200 mb-6">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Uploaded</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deals</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {snapshots.map(snapshot => (
+              <tr key={snapshot.id} className={snapshot.id === comparisonId ? 'bg-blue-50' : ''}>
+                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-800">
+                  {new Date(snapshot.createdAt).toLocaleString()}
+                </td>
+                <td className="px-3 py-2 text-sm text-gray-500 max-w-xs truncate">{snapshot.fileName}</td>
+                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{snapshot.dealCount}</td>
+                <td className="px-3 py-2 whitespace-nowrap text-right space-x-3">
+                  <button
+                    onClick={() => onCompareWithCurrent(snapshot.id === comparisonId ? null : snapshot.id)}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    {snapshot.id === comparisonId ? 'Stop Comparing' : 'Show Change Since'}
+                  </button>
+                  <button
+                    onClick={() => onDelete(snapshot.id)}
+                    className="text-sm text-red-500 hover:text-red-700"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Compare Two Snapshots */}
+      {snapshots.length >= 2 && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Compare Two Snapshots</h3>
+          <div className="flex flex-col md:flex-row md:items-center space-y-2 md:space-y-0 md:space-x-2 mb-4">
+            <select value={baseId} onChange={(e) => setBaseId(e.target.value)} className="p-1 border rounded text-sm">
+              {snapshots.map(snapshot => (
+                <option key={snapshot.id} value={snapshot.id}>{formatSnapshotLabel(snapshot)}</option>
+              ))}
+            </select>
+            <span className="text-sm text-gray-500">→</span>
+            <select value={targetId} onChange={(e) => setTargetId(e.target.value)} className="p-1 border rounded text-sm">
+              {snapshots.map(snapshot => (
+                <option key={snapshot.id} value={snapshot.id}>{formatSnapshotLabel(snapshot)}</option>
+              ))}
+            </select>
+            <button
+              onClick={compareSnapshots}
+              disabled={comparing || baseId === targetId}
+              className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              {comparing ? 'Comparing...' : 'Compare'}
+            </button>
+          </div>
+
+          {comparison && (
+            <>
+              <div className="flex space-x-4 text-sm mb-2">
+                <span className="text-green-700">{comparison.counts.new} new</span>
+                <span className="text-red-700">{comparison.counts.dropped} dropped</span>
+                <span className="text-amber-700">{comparison.counts.changed} changed</span>
+                <span className="text-gray-500">{comparison.counts.unchanged} unchanged</span>
+              </div>
+              <div className="max-h-96 overflow-y-auto border rounded">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ID</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deal</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pursuits</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recommendations</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rank</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quality Score</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {comparisonRows.map(entry => {
+                      const deal = entry.deal || entry.previous;
+                      return (
+                        <tr key={`${entry.status}-${dealKey(deal)}`}>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[entry.status]}`}>
+                              {entry.status}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{deal["Sellside Project: ID"]}</td>
+                          <td className="px-3 py-2 text-sm text-gray-500 max-w-xs truncate">{deal["Sellside Project: Axial Opportunity"]}</td>
+                          <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
+                            {deal["Total Pursuits"]}{entry.deltas && ` (${formatDelta(entry.deltas.pursuits)})`}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
+                            {deal["Number of Recommendations"]}{entry.deltas && ` (${formatDelta(entry.deltas.recommendations)})`}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
+                            {deal.rank}{entry.deltas && ` (${formatDelta(entry.deltas.rank)})`}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
+                            {deal.qualityScore.toFixed(2)}{entry.deltas && ` (${formatDelta(entry.deltas.qualityScore, 2)})`}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotPanel;
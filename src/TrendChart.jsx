@@ -0,0 +1,204 @@
+import React, { useMemo, useState } from 'react';
+import {
+  ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, Legend, ReferenceArea, ResponsiveContainer
+} from 'recharts';
+import { GRANULARITIES, OTHER_SERIES, buildTrendSeries, seriesLabel } from './timeBuckets';
+
+const STACK_FIELDS = [
+  { key: 'Primary Supply Vertical', label: 'Vertical' },
+  { key: 'Primary Supply Activity', label: 'Activity' },
+  { key: 'Region', label: 'Region' }
+];
+
+// Lines drawn over the stacks, each on its own right-hand axis since their scales differ
+const OVERLAYS = [
+  { key: 'avgPursuits', label: 'Avg. Total Pursuits', stroke: '#111827', format: value => value.toFixed(1) },
+  { key: 'avgScore', label: 'Avg. Quality Score', stroke: '#DC2626', format: value => value.toFixed(2) }
+];
+
+// Deals launched per week, month or quarter, stacked by a category.
+// Drag across the chart to set the Market Date range; deals passed in should ignore the date filter.
+const TrendChart = ({ deals, dateRange, isDateFiltered, colors, onDateRangeChange, onClearDateRange }) => {
+  const [granularity, setGranularity] = useState('month');
+  const [stackField, setStackField] = useState('Primary Supply Vertical');
+  const [overlays, setOverlays] = useState(OVERLAYS.map(option => option.key));
+  const [dragStart, setDragStart] = useState(null); // bucket index where a drag began
+  const [dragEnd, setDragEnd] = useState(null);
+
+  const { rows, series } = useMemo(
+    () => buildTrendSeries(deals, granularity, stackField),
+    [deals, granularity, stackField]
+  );
+  const shownOverlays = OVERLAYS.filter(option => overlays.includes(option.key));
+
+  const toggleOverlay = (key) => setOverlays(prev =>
+    (prev.includes(key) ? prev.filter(entry => entry !== key) : [...prev, key]));
+
+  // Buckets overlapping the active date range, shaded when the range is narrower than the data
+  const rangeIndexes = useMemo(() => {
+    if (!isDateFiltered || !rows.length) return null;
+    const first = rows.findIndex(row => row.end >= dateRange[0]);
+    const last = rows.length - 1 - [...rows].reverse().findIndex(row => row.start <= dateRange[1]);
+    return first === -1 || last < first ? null : [first, last];
+  }, [rows, dateRange, isDateFiltered]);
+
+  const indexOfLabel = (label) => rows.findIndex(row => row.label === label);
+
+  const handleMouseDown = (e) => {
+    if (!e || e.activeLabel === undefined) return;
+    setDragStart(indexOfLabel(e.activeLabel));
+    setDragEnd(indexOfLabel(e.activeLabel));
+  };
+
+  const handleMouseMove = (e) => {
+    if (dragStart === null || !e || e.activeLabel === undefined) return;
+    setDragEnd(indexOfLabel(e.activeLabel));
+  };
+
+  const handleMouseUp = () => {
+    if (dragStart !== null && dragEnd !== null && dragStart !== -1 && dragEnd !== -1) {
+      const from = Math.min(dragStart, dragEnd);
+      const to = Math.max(dragStart, dragEnd);
+      onDateRangeChange([rows[from].start, rows[to].end]);
+    }
+    setDragStart(null);
+    setDragEnd(null);
+  };
+
+  const shaded = dragStart !== null && dragEnd !== null
+    ? [Math.min(dragStart, dragEnd), Math.max(dragStart, dragEnd)]
+    : rangeIndexes;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm" data-export-ignore>
+        <div className="flex rounded overflow-hidden border">
+          {GRANULARITIES.map(option => (
+            <button
+              key={option.key}
+              onClick={() => setGranularity(option.key)}
+              className={`px-3 py-1 ${granularity === option.key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center">
+          <span className="text-gray-600 mr-1">Stack by</span>
+          <select
+            value={stackField}
+            onChange={(e) => setStackField(e.target.value)}
+            className="p-1 border rounded"
+          >
+            {STACK_FIELDS.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        {OVERLAYS.map(option => (
+          <label key={option.key} className="flex items-center">
+            <input
+              type="checkbox"
+              checked={overlays.includes(option.key)}
+              onChange={() => toggleOverlay(option.key)}
+              className="mr-1"
+            />
+            <span className="text-gray-600">{option.label}</span>
+          </label>
+        ))}
+        {isDateFiltered && (
+          <button onClick={onClearDateRange} className="text-blue-600 hover:underline">
+            Clear date range
+          </button>
+        )}
+        <span className="text-xs text-gray-500">Drag across the chart to filter by Market Date.</span>
+      </div>
+
+      {rows.length > 0 ? (
+        <ResponsiveContainer width="100%" height={360}>
+          <ComposedChart
+            data={rows}
+            margin={{ top: 5, right: 20, left: 0, bottom: 20 }}
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={() => { if (dragStart !== null) handleMouseUp(); }}
+          >
+            <XAxis dataKey="label" tick={{ fontSize: 11 }} minTickGap={20} />
+            <YAxis yAxisId="count" allowDecimals={false} tick={{ fontSize: 12 }} />
+            {shownOverlays.map(option => (
+              <YAxis
+                key={option.key}
+                yAxisId={option.key}
+                orientation="right"
+                tick={{ fontSize: 12, fill: option.stroke }}
+                tickFormatter={option.format}
+              />
+            ))}
+            <Tooltip
+              formatter={(value, name, props) => {
+                const option = OVERLAYS.find(entry => entry.key === props.dataKey);
+                if (option) return [option.format(value), option.label];
+                return [`${value} deals`, name];
+              }}
+              labelFormatter={(label, payload) => {
+                const row = payload && payload[0] ? payload[0].payload : null;
+                return row ? `${label} – ${row.total} deals` : label;
+              }}
+              contentStyle={{
+                backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                borderRadius: '8px',
+                boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+                border: 'none',
+                padding: '10px'
+              }}
+            />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            {series.map((name, index) => (
+              <Bar
+                key={name}
+                dataKey={row => row.counts[name]}
+                name={seriesLabel(name)}
+                stackId="deals"
+                yAxisId="count"
+                fill={name === OTHER_SERIES ? '#9CA3AF' : colors[index % colors.length]}
+                isAnimationActive={false}
+              />
+            ))}
+            {shownOverlays.map(option => (
+              <Line
+                key={option.key}
+                type="monotone"
+                dataKey={option.key}
+                name={option.label}
+                yAxisId={option.key}
+                stroke={option.stroke}
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+            ))}
+            {shaded && (
+              <ReferenceArea
+                yAxisId="count"
+                x1={rows[shaded[0]].label}
+                x2={rows[shaded[1]].label}
+                fill="#3B82F6"
+                fillOpacity={0.1}
+                stroke="#3B82F6"
+                strokeOpacity={0.4}
+              />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      ) : (
+        <div className="flex items-center justify-center h-56 text-gray-500">
+          No dated deals to display
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,80 @@
+import { loadJSON, saveJSON } from './storage';
+import { compileFormula } from './formulas';
+
+// Calculated columns: named formulas over a deal's fields, added to every deal after scoring.
+// A column can use the report's fields, the score and rank, and any calculated column listed before it.
+
+const COLUMNS_KEY = 'calculatedColumns';
+
+// Offered in the editor as ready-made columns
+export const EXAMPLE_COLUMNS = [
+  { name: 'EBITDA Margin %', formula: 'ROUND([EBITDA] / [Revenue] * 100, 1)' },
+  { name: 'Pursuits per Recipient', formula: 'ROUND([Total Pursuits] / [Total Recipients], 2)' },
+  { name: 'Recommendations per Pursuit', formula: 'ROUND([Number of Recommendations] / [Total Pursuits], 2)' },
+  { name: 'Days on Market', formula: 'DAYS_SINCE([Market Date (Date)])' }
+];
+
+// Deal properties the dashboard adds itself, which a column may not replace
+const RESERVED_NAMES = ['marketDate', 'marketDateInvalid', 'scoreComponents'];
+
+export const createCalculatedColumn = ({ name = '', formula = '' } = {}) => ({
+  id: `calc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  formula,
+  summary: false // also shown as an average on the Summary Statistics card
+});
+
+const nameError = (name, taken) => {
+  if (!name) return 'Give the column a name';
+  if (RESERVED_NAMES.includes(name)) return `${name} is used by the dashboard`;
+  if (taken.some(field => field.toLowerCase() === name.toLowerCase())) return `There is already a column called ${name}`;
+  return null;
+};
+
+// Check each column in order against the fields before it.
+// Returns the columns with { evaluate, references, error }; error is { message, start, end, part: 'name' | 'formula' } or null.
+export const compileColumns = (columns, fields) => {
+  const known = [...fields];
+  return columns.map(column => {
+    const name = column.name.trim();
+    const invalidName = nameError(name, known);
+    if (invalidName) {
+      return { ...column, name, evaluate: null, references: [], error: { message: invalidName, part: 'name' } };
+    }
+    const compiled = compileFormula(column.formula, known);
+    known.push(name);
+    return { ...column, name, ...compiled, error: compiled.error && { ...compiled.error, part: 'formula' } };
+  });
+};
+
+// Add the valid columns' values to each deal. Values that cannot be worked out are left blank,
+// and problems counts them per column id as { count, message } with the first message seen.
+export const applyCalculatedColumns = (deals, compiledColumns) => {
+  const valid = compiledColumns.filter(column => !column.error);
+  const problems = {};
+  if (valid.length === 0) return { deals, problems };
+
+  const calculated = deals.map(deal => {
+    const row = { ...deal };
+    valid.forEach(column => {
+      try {
+        row[column.name] = column.evaluate(row);
+      } catch (error) {
+        row[column.name] = null;
+        if (!problems[column.id]) problems[column.id] = { count: 0, message: error.message };
+        problems[column.id].count += 1;
+      }
+    });
+    return row;
+  });
+  return { deals: calculated, problems };
+};
+
+export const loadCalculatedColumns = () => {
+  const stored = loadJSON(COLUMNS_KEY, []);
+  return Array.isArray(stored)
+    ? stored.filter(column => column && typeof column.name === 'string' && typeof column.formula === 'string')
+    : [];
+};
+
+export const saveCalculatedColumns = (columns) => saveJSON(COLUMNS_KEY, columns);
@@ -0,0 +1,116 @@
+import { loadJSON, saveJSON } from './storage';
+
+// Fields the dashboard reads from each deal row, with common alternative headers
+export const DASHBOARD_FIELDS = [
+  { key: 'Sellside Project: ID', label: 'Deal ID', aliases: ['Project ID', 'Deal ID', 'ID'] },
+  { key: 'Sellside Project: Axial Opportunity', label: 'Deal Name', aliases: ['Axial Opportunity', 'Opportunity', 'Deal Name', 'Deal'] },
+  { key: 'Revenue', label: 'Revenue', required: true, aliases: ['Revenue ($)', 'Total Revenue', 'Sales'] },
+  { key: 'EBITDA', label: 'EBITDA', required: true, aliases: ['EBITDA ($)', 'Adjusted EBITDA'] },
+  { key: 'Primary Supply Vertical', label: 'Vertical', required: true, aliases: ['Supply Vertical', 'Vertical', 'Industry'] },
+  { key: 'Primary Supply Activity', label: 'Activity', required: true, aliases: ['Supply Activity', 'Activity'] },
+  { key: 'Market Date (Date)', label: 'Market Date', aliases: ['Market Date', 'Launch Date', 'Date'] },
+  { key: 'State/Province', label: 'State/Province', aliases: ['State', 'Province', 'State / Province'] },
+  { key: 'Region', label: 'Region', aliases: [] },
+  { key: 'Total Pursuits', label: 'Total Pursuits', required: true, aliases: ['Pursuits'] },
+  { key: 'Total Recipients', label: 'Total Recipients', aliases: ['Recipients'] },
+  { key: 'Number of Recommendations', label: 'Recommendations', aliases: ['Recommendations', 'Recs'] },
+  { key: 'Pursuit Rate', label: 'Pursuit Rate', aliases: ['Pursuit %', 'Pursuit Rate (%)'] },
+  { key: 'Account Owner', label: 'Account Owner', aliases: ['Owner'] },
+  { key: 'SmartShare Enabled?', label: 'SmartShare Enabled', aliases: ['SmartShare Enabled', 'SmartShare'] },
+  { key: 'Inbound Inquiry Enabled?', label: 'Inbound Inquiry Enabled', aliases: ['Inbound Inquiry Enabled', 'Inbound Inquiry'] },
+  { key: 'Deal Intent', label: 'Deal Intent', aliases: ['Intent', 'Deal Intent Status'] }
+];
+
+const PROFILES_KEY = 'mappingProfiles';
+
+// Lower-case and strip punctuation so "State / Province" matches "state/province"
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Stable identifier for a set of headers, independent of column order
+export const headerSignature = (headers) => [...headers].map(h => String(h).trim()).sort().join('|');
+
+// Propose a source header for every dashboard field
+export const proposeMapping = (headers) => {
+  const used = new Set();
+  const mapping = {};
+
+  const claim = (field, predicate) => {
+    if (mapping[field.key]) return;
+    const match = headers.find(header => !used.has(header) && predicate(header));
+    if (match) {
+      mapping[field.key] = match;
+      used.add(match);
+    }
+  };
+
+  // Exact matches first so they are never taken by a looser match for another field
+  DASHBOARD_FIELDS.forEach(field => claim(field, header => header === field.key));
+
+  // Then the known alternative names; anything else is left for the user to pick rather than guessed,
+  // since partial matches would take "Deal Stage" for the deal name or "Date Closed" for the Market Date
+  DASHBOARD_FIELDS.forEach(field => {
+    const candidates = [field.key, ...field.aliases].map(normalizeHeader);
+    claim(field, header => candidates.includes(normalizeHeader(header)));
+  });
+
+  DASHBOARD_FIELDS.forEach(field => {
+    if (!mapping[field.key]) mapping[field.key] = '';
+  });
+
+  return mapping;
+};
+
+export const missingRequiredFields = (mapping) =>
+  DASHBOARD_FIELDS.filter(field => field.required && !mapping[field.key]).map(field => field.key);
+
+// True when the file uses the standard export headers, so there is nothing to confirm
+export const isExactMapping = (mapping) =>
+  missingRequiredFields(mapping).length === 0 &&
+  Object.entries(mapping).every(([field, header]) => !header || header === field);
+
+// Rename mapped columns to the names the dashboard expects, keeping any other columns as-is
+export const applyMapping = (rows, mapping) => {
+  const sources = new Set(Object.values(mapping).filter(Boolean));
+
+  return rows.map(row => {
+    const mapped = {};
+    Object.keys(row).forEach(header => {
+      if (!sources.has(header)) mapped[header] = row[header];
+    });
+    Object.entries(mapping).forEach(([field, header]) => {
+      if (header) mapped[field] = row[header];
+    });
+    return mapped;
+  });
+};
+
+// Column names after mapping, in the original file order
+export const mappedFieldNames = (headers, mapping) => {
+  const fieldBySource = {};
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (header) fieldBySource[header] = field;
+  });
+  return headers.map(header => fieldBySource[header] || header);
+};
+
+// Saved mapping profiles
+export const loadMappingProfiles = () => loadJSON(PROFILES_KEY, []);
+
+export const findMappingProfile = (headers) => {
+  const signature = headerSignature(headers);
+  return loadMappingProfiles().find(profile => profile.signature === signature) || null;
+};
+
+export const saveMappingProfile = (name, headers, mapping) => {
+  const signature = headerSignature(headers);
+  const profiles = loadMappingProfiles().filter(profile =>
+    profile.signature !== signature && profile.name !== name
+  );
+  const profile = { name, signature, headers, mapping, updatedAt: new Date().toISOString() };
+  saveJSON(PROFILES_KEY, [...profiles, profile]);
+  return profile;
+};
+
+export const deleteMappingProfile = (name) => {
+  saveJSON(PROFILES_KEY, loadMappingProfiles().filter(profile => profile.name !== name));
+};
@@ -0,0 +1,85 @@
+import Papa from 'papaparse';
+import { applyMapping, mappedFieldNames } from './columnMapping';
+import { calculateQualityScores } from './qualityScore';
+import { extractFilterOptions } from './filters';
+import { annotateMarketDates } from './dates';
+import { validateDeals } from './validation';
+
+// Parses a CSV report in streaming chunks off the main thread, then maps, checks and scores it on request
+
+const PREVIEW_ROWS = 5;
+const PROGRESS_INTERVAL_MS = 100;
+
+let rows = [];
+let headers = [];
+
+// CSV exports from the dashboard open with "# " lines describing the filters, then a blank line.
+// Only that leading block is dropped; later lines starting with # are data like any other.
+const EXPORT_HEADER = /^\uFEFF?(?:# [^\r\n]*\r?\n)+(?:\r?\n)*/;
+
+const stripExportHeader = (chunk) => chunk.replace(EXPORT_HEADER, '');
+
+const parse = (input) => {
+  rows = [];
+  headers = [];
+  let firstError = null;
+  let lastProgress = 0;
+  const totalBytes = typeof input === 'string' ? input.length : input.size;
+
+  Papa.parse(input, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    delimitersToGuess: [',', '\t', '|', ';'],
+    beforeFirstChunk: stripExportHeader,
+    chunk: (results) => {
+      if (!headers.length && results.meta.fields) headers = results.meta.fields;
+      if (!firstError && results.errors.length) firstError = results.errors[0].message;
+      for (let i = 0; i < results.data.length; i++) rows.push(results.data[i]);
+
+      const now = Date.now();
+      if (now - lastProgress > PROGRESS_INTERVAL_MS) {
+        lastProgress = now;
+        self.postMessage({ type: 'progress', rows: rows.length, bytes: results.meta.cursor, totalBytes });
+      }
+    },
+    complete: () => {
+      self.postMessage({ type: 'progress', rows: rows.length, bytes: totalBytes, totalBytes });
+      self.postMessage({
+        type: 'parsed',
+        headers,
+        previewRows: rows.slice(0, PREVIEW_ROWS),
+        rowCount: rows.length,
+        error: firstError
+      });
+    },
+    error: (error) => {
+      self.postMessage({ type: 'error', message: error.message });
+    }
+  });
+};
+
+// Rows that fail the data-quality checks come back separately and are not scored
+const processRows = (mapping, scoringModel, dateFormat, knownIntents) => {
+  const mapped = mapping ? applyMapping(rows, mapping) : rows;
+  const { valid, quarantined } = validateDeals(annotateMarketDates(mapped, dateFormat), { knownIntents });
+  self.postMessage({
+    type: 'processed',
+    deals: calculateQualityScores(valid, scoringModel),
+    quarantined,
+    fields: mapping ? mappedFieldNames(headers, mapping) : headers,
+    options: extractFilterOptions(valid)
+  });
+};
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+  try {
+    if (type === 'parse') parse(event.data.input);
+    if (type === 'process') {
+      processRows(event.data.mapping, event.data.scoringModel, event.data.dateFormat, event.data.knownIntents);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,53 @@
+// Promise wrapper around csvParser.worker.js; each upload gets its own worker so it can be cancelled
+export const createCsvWorker = ({ onProgress }) => {
+  const worker = new Worker(new URL('./csvParser.worker.js', import.meta.url), { type: 'module' });
+  let pending = null; // { expect, resolve, reject } for the request in flight
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'progress') {
+      onProgress(message);
+      return;
+    }
+    if (!pending) return;
+    const { expect, resolve, reject } = pending;
+    if (message.type === 'error') {
+      pending = null;
+      reject(new Error(message.message));
+    } else if (message.type === expect) {
+      pending = null;
+      resolve(message);
+    }
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    if (!pending) return;
+    const { reject } = pending;
+    pending = null;
+    reject(new Error(event.message || 'CSV worker failed'));
+  };
+
+  const request = (expect, message) => new Promise((resolve, reject) => {
+    pending = { expect, resolve, reject };
+    worker.postMessage(message);
+  });
+
+  return {
+    // Resolves with { headers, previewRows, rowCount, error }
+    parse: (input) => request('parsed', { type: 'parse', input }),
+    // Resolves with { deals, quarantined, fields, options } for the rows kept from the last parse
+    process: (mapping, scoringModel, dateFormat, knownIntents) =>
+      request('processed', { type: 'process', mapping, scoringModel, dateFormat, knownIntents }),
+    // Stop the worker; a request still in flight rejects with a `cancelled` error
+    terminate: () => {
+      worker.terminate();
+      if (!pending) return;
+      const { reject } = pending;
+      pending = null;
+      const error = new Error('CSV parsing cancelled');
+      error.cancelled = true;
+      reject(error);
+    }
+  };
+};
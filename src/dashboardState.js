@@ -0,0 +1,54 @@
+import { loadJSON, saveJSON } from './storage';
+
+// Dashboard view state (filters, sort and chart modes) in the URL and as named saved views
+
+const URL_PARAM = 'view';
+const SAVED_VIEWS_KEY = 'savedViews';
+
+// Base64url so the encoded state survives being pasted into chat and email
+const encodeBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return window.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeBase64Url = (encoded) => {
+  const binary = window.atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+export const encodeDashboardState = (state) => encodeBase64Url(JSON.stringify(state));
+
+export const decodeDashboardState = (encoded) => {
+  try {
+    const state = JSON.parse(decodeBase64Url(encoded));
+    return state && typeof state === 'object' ? state : null;
+  } catch (error) {
+    console.error("Error reading dashboard state from URL:", error);
+    return null;
+  }
+};
+
+export const readStateFromUrl = () => {
+  const encoded = new URLSearchParams(window.location.search).get(URL_PARAM);
+  return encoded ? decodeDashboardState(encoded) : null;
+};
+
+// Replace rather than push so filter tweaks do not flood the browser history
+export const writeStateToUrl = (state) => {
+  const url = new URL(window.location.href);
+  url.searchParams.set(URL_PARAM, encodeDashboardState(state));
+  window.history.replaceState(null, '', url.toString());
+};
+
+// Saved views
+export const loadSavedViews = () => loadJSON(SAVED_VIEWS_KEY, []);
+
+export const saveSavedViews = (views) => {
+  saveJSON(SAVED_VIEWS_KEY, views);
+  return views;
+};
+
+export const getDefaultView = () => loadSavedViews().find(view => view.isDefault) || null;
@@ -0,0 +1,160 @@
+import { loadJSON, saveJSON } from './storage';
+
+// Date helpers for the "Market Date (Date)" column
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_FORMAT_KEY = 'dateFormat';
+
+// How Market Date values are read; "auto" recognises each value by its shape
+export const DATE_FORMATS = [
+  { key: 'auto', label: 'Auto-detect' },
+  { key: 'mdy', label: 'MM/DD/YYYY' },
+  { key: 'dmy', label: 'DD/MM/YYYY' },
+  { key: 'iso', label: 'YYYY-MM-DD' },
+  { key: 'excel', label: 'Excel serial number' }
+];
+
+const ISO_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/;
+const SLASHED_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/;
+// Excel counts days from 1899-12-30; this range covers 1900 to 9999
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const EXCEL_MAX_SERIAL = 2958465;
+
+// Build a local date, rejecting overflow such as 02/30
+const buildDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+};
+
+const parseExcelSerial = (serial) => {
+  if (serial < 1 || serial > EXCEL_MAX_SERIAL) return null;
+  const utc = new Date(EXCEL_EPOCH + Math.floor(serial) * DAY_MS);
+  return buildDate(utc.getUTCFullYear(), utc.getUTCMonth() + 1, utc.getUTCDate());
+};
+
+const parseSlashed = (match, order) => {
+  const first = parseInt(match[1], 10);
+  const second = parseInt(match[2], 10);
+  let year = parseInt(match[3], 10);
+  if (match[3].length === 2) year += 2000;
+  return order === 'dmy' ? buildDate(year, second, first) : buildDate(year, first, second);
+};
+
+// Whether slashed dates in a column are day-first: only a day above 12 can tell them apart
+export const detectSlashedOrder = (values) => {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  values.forEach(value => {
+    const match = typeof value === 'string' && value.trim().match(SLASHED_PATTERN);
+    if (!match) return;
+    if (parseInt(match[1], 10) > 12) dayFirst++;
+    if (parseInt(match[2], 10) > 12) monthFirst++;
+  });
+  return dayFirst > monthFirst ? 'dmy' : 'mdy';
+};
+
+// Parse a Market Date in the given format, returning null when it cannot be read.
+// slashedOrder decides between MM/DD and DD/MM when the format is "auto".
+export const parseMarketDate = (value, format = 'auto', slashedOrder = 'mdy') => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number') {
+    return format === 'auto' || format === 'excel' ? parseExcelSerial(value) : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  if (format === 'auto' || format === 'iso') {
+    const match = text.match(ISO_PATTERN);
+    if (match) return buildDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+  if (format === 'auto' || format === 'mdy' || format === 'dmy') {
+    const match = text.match(SLASHED_PATTERN);
+    if (match) return parseSlashed(match, format === 'auto' ? slashedOrder : format);
+  }
+  if ((format === 'auto' || format === 'excel') && /^\d+(\.\d+)?$/.test(text)) {
+    return parseExcelSerial(parseFloat(text));
+  }
+  return null;
+};
+
+// Format a Date as YYYY-MM-DD for date inputs and filter ranges
+export const toISODate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const fromISODate = (iso) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Add the computed marketDate (YYYY-MM-DD or null) to each deal, and flag values that could not be read
+export const annotateMarketDates = (deals, format) => {
+  const slashedOrder = detectSlashedOrder(deals.map(deal => deal["Market Date (Date)"]));
+  return deals.map(deal => {
+    const value = deal["Market Date (Date)"];
+    const date = parseMarketDate(value, format, slashedOrder);
+    return {
+      ...deal,
+      marketDate: date ? toISODate(date) : null,
+      marketDateInvalid: !date && value !== null && value !== undefined && value !== ''
+    };
+  });
+};
+
+export const stripMarketDate = ({ marketDate, marketDateInvalid, ...deal }) => deal;
+
+// Relative ranges offered next to the Market Date inputs
+const startOfQuarter = (date) => new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1);
+const daysBefore = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - days);
+
+export const DATE_PRESETS = [
+  { key: 'last30', label: 'Last 30 days', range: today => [daysBefore(today, 29), today] },
+  { key: 'last90', label: 'Last 90 days', range: today => [daysBefore(today, 89), today] },
+  {
+    key: 'thisMonth',
+    label: 'This month',
+    range: today => [new Date(today.getFullYear(), today.getMonth(), 1), new Date(today.getFullYear(), today.getMonth() + 1, 0)]
+  },
+  {
+    key: 'thisQuarter',
+    label: 'This quarter',
+    range: today => {
+      const start = startOfQuarter(today);
+      return [start, new Date(start.getFullYear(), start.getMonth() + 3, 0)];
+    }
+  },
+  { key: 'qtd', label: 'Quarter to date', range: today => [startOfQuarter(today), today] },
+  {
+    key: 'lastQuarter',
+    label: 'Last quarter',
+    range: today => {
+      const start = startOfQuarter(today);
+      return [new Date(start.getFullYear(), start.getMonth() - 3, 1), new Date(start.getFullYear(), start.getMonth(), 0)];
+    }
+  },
+  { key: 'ytd', label: 'Year to date', range: today => [new Date(today.getFullYear(), 0, 1), today] },
+  {
+    key: 'lastYear',
+    label: 'Last year',
+    range: today => [new Date(today.getFullYear() - 1, 0, 1), new Date(today.getFullYear() - 1, 11, 31)]
+  }
+];
+
+// Date range for a preset, worked out from today so saved views stay relative
+export const presetDateRange = (key, today = new Date()) => {
+  const preset = DATE_PRESETS.find(p => p.key === key);
+  if (!preset) return null;
+  const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return preset.range(midnight).map(toISODate);
+};
+
+export const loadDateFormat = () => {
+  const stored = loadJSON(DATE_FORMAT_KEY, 'auto');
+  return DATE_FORMATS.some(format => format.key === stored) ? stored : 'auto';
+};
+
+export const saveDateFormat = (format) => saveJSON(DATE_FORMAT_KEY, format);
@@ -0,0 +1,98 @@
+import Papa from 'papaparse';
+import { downloadBlob, fileTimestamp } from './download';
+import { formatMillions } from './formatters';
+
+// Export deals with every original column plus the computed score and rank
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'Excel (XLSX)' },
+  { key: 'json', label: 'JSON' }
+];
+
+const COMPUTED_FIELDS = ['qualityScore', 'rank'];
+
+export const exportColumns = (sourceFields) => [
+  ...sourceFields,
+  ...COMPUTED_FIELDS.filter(field => !sourceFields.includes(field))
+];
+
+// Same formatting the dashboard table uses
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value !== 'number') return value;
+  if (field === 'Revenue' || field === 'EBITDA') return formatMillions(value);
+  if (field === 'Pursuit Rate') return `${value.toFixed(1)}%`;
+  if (field === 'qualityScore') return value.toFixed(2);
+  return value;
+};
+
+const buildRows = (deals, columns, formatted) => deals.map(deal => {
+  const row = {};
+  columns.forEach(column => {
+    const value = deal[column] === undefined ? null : deal[column];
+    row[column] = formatted ? formatValue(column, value) : value;
+  });
+  return row;
+});
+
+const buildHeaderLines = ({ sourceName, filterLines, deals }) => [
+  `Deal Tease export – ${new Date().toLocaleString()}`,
+  `Source: ${sourceName}`,
+  `Deals: ${deals.length}`,
+  ...(filterLines.length ? filterLines.map(line => `Filter – ${line}`) : ['Filters: none'])
+];
+
+const exportCsv = (rows, columns, headerLines) => {
+  const header = headerLines.map(line => `# ${line}`).join('\n');
+  // Text starting with = + - or @ is prefixed with ' so spreadsheets do not run it as a formula.
+  // One line ending throughout, so the file loads back in with its # lines skipped
+  const body = Papa.unparse(
+    { fields: columns, data: rows.map(row => columns.map(column => row[column])) },
+    { escapeFormulae: true, newline: '\n' }
+  );
+  return new Blob([`${header}\n\n${body}`], { type: 'text/csv;charset=utf-8' });
+};
+
+const exportJson = (rows, headerLines, filterLines, sourceName) => {
+  const payload = {
+    exportedAt: new Date().toISOString(),
+    source: sourceName,
+    filters: filterLines,
+    header: headerLines,
+    deals: rows
+  };
+  return new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+};
+
+// SheetJS is large, so it is only loaded when someone exports to Excel
+const exportXlsx = async (rows, columns, headerLines) => {
+  const XLSX = await import('xlsx');
+  const sheetRows = [
+    ...headerLines.map(line => [line]),
+    [],
+    columns,
+    ...rows.map(row => columns.map(column => row[column]))
+  ];
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetRows), 'Deals');
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
+
+export const exportDeals = async ({ deals, sourceFields, format, formatted, filterLines, sourceName }) => {
+  const columns = exportColumns(sourceFields);
+  const rows = buildRows(deals, columns, formatted);
+  const headerLines = buildHeaderLines({ sourceName, filterLines, deals });
+
+  let blob;
+  if (format === 'xlsx') {
+    blob = await exportXlsx(rows, columns, headerLines);
+  } else if (format === 'json') {
+    blob = exportJson(rows, headerLines, filterLines, sourceName);
+  } else {
+    blob = exportCsv(rows, columns, headerLines);
+  }
+
+  downloadBlob(blob, `deals_${fileTimestamp()}.${format}`);
+};
@@ -0,0 +1,181 @@
+import { loadJSON, saveJSON } from './storage';
+import { formatMillions, formatFieldValue } from './formatters';
+
+// Distribution chart cards: a measure of the deals grouped by one category column
+
+const CARDS_KEY = 'distributionCards';
+
+// The folded bucket's id; its label is "Other", which a real category may also be called
+export const OTHER_BUCKET = '__other__';
+export const OTHER_LABEL = 'Other';
+
+const sumOf = (deals, field) => deals.reduce((sum, deal) => sum + (typeof deal[field] === 'number' ? deal[field] : 0), 0);
+
+const averageOf = (deals, field) => {
+  let sum = 0;
+  let count = 0;
+  deals.forEach(deal => {
+    if (typeof deal[field] === 'number' && isFinite(deal[field])) {
+      sum += deal[field];
+      count += 1;
+    }
+  });
+  return count ? sum / count : 0;
+};
+
+// value(group, allDeals) gives the measure for one category
+export const DISTRIBUTION_MEASURES = [
+  { key: 'count', label: 'Deal count', value: group => group.length, format: value => String(value) },
+  {
+    key: 'percentage',
+    label: '% of deals',
+    value: (group, all) => (all.length ? (group.length / all.length) * 100 : 0),
+    format: value => `${value.toFixed(1)}%`
+  },
+  { key: 'sumRevenue', label: 'Total Revenue', value: group => sumOf(group, 'Revenue'), format: formatMillions },
+  { key: 'avgRevenue', label: 'Avg. Revenue', value: group => averageOf(group, 'Revenue'), format: formatMillions },
+  { key: 'sumEbitda', label: 'Total EBITDA', value: group => sumOf(group, 'EBITDA'), format: formatMillions },
+  { key: 'avgEbitda', label: 'Avg. EBITDA', value: group => averageOf(group, 'EBITDA'), format: formatMillions },
+  {
+    key: 'avgPursuits',
+    label: 'Avg. Total Pursuits',
+    value: group => averageOf(group, 'Total Pursuits'),
+    format: value => value.toFixed(1)
+  },
+  {
+    key: 'avgScore',
+    label: 'Avg. Quality Score',
+    value: group => averageOf(group, 'qualityScore'),
+    format: value => value.toFixed(2)
+  }
+];
+
+// Average of any other numeric column, such as a calculated one; its key is "avg:" and the column name
+const FIELD_MEASURE_PREFIX = 'avg:';
+
+export const fieldMeasure = (field) => ({
+  key: `${FIELD_MEASURE_PREFIX}${field}`,
+  label: `Avg. ${field}`,
+  value: group => averageOf(group, field),
+  format: value => formatFieldValue(field, value)
+});
+
+export const getDistributionMeasure = (key) => {
+  if (typeof key === 'string' && key.startsWith(FIELD_MEASURE_PREFIX)) return fieldMeasure(key.slice(FIELD_MEASURE_PREFIX.length));
+  return DISTRIBUTION_MEASURES.find(measure => measure.key === key) || DISTRIBUTION_MEASURES[0];
+};
+
+export const DISTRIBUTION_LAYOUTS = [
+  { key: 'bar', label: 'Bar' },
+  { key: 'pie', label: 'Pie' },
+  { key: 'treemap', label: 'Treemap' }
+];
+
+export const TOP_N_OPTIONS = [5, 10, 15, 20, 0]; // 0 shows every category
+
+// Columns with a manageable number of text values; the known category fields are always offered
+const KNOWN_CATEGORY_FIELDS = [
+  'Primary Supply Vertical', 'Primary Supply Activity', 'Region', 'State/Province', 'Deal Intent', 'Account Owner'
+];
+const MAX_CATEGORIES = 200;
+
+export const categoricalFields = (sourceFields, deals) => {
+  const fields = KNOWN_CATEGORY_FIELDS.filter(field => sourceFields.includes(field) || !sourceFields.length);
+  const sample = deals.slice(0, 2000);
+  sourceFields.forEach(field => {
+    if (fields.includes(field)) return;
+    const values = new Set();
+    let textValues = 0;
+    sample.forEach(deal => {
+      const value = deal[field];
+      if (value === null || value === undefined || value === '') return;
+      if (typeof value === 'string') textValues += 1;
+      values.add(value);
+    });
+    if (textValues > 0 && values.size > 1 && values.size <= MAX_CATEGORIES) fields.push(field);
+  });
+  return fields;
+};
+
+const groupBy = (deals, field) => {
+  const groups = new Map();
+  deals.forEach(deal => {
+    const category = deal[field];
+    if (category === null || category === undefined || category === '') return;
+    const key = String(category);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(deal);
+  });
+  return groups;
+};
+
+// One entry per category, largest first, with the rest folded into "Other" beyond topN.
+// Entries are looked up by id, the category value or OTHER_BUCKET; name is what the chart shows.
+// baseDeals adds previousValue from a comparison snapshot; categories outside selectedValues are marked for dimming.
+export const buildDistribution = (deals, field, { measureKey = 'count', baseDeals = null, selectedValues = [], topN = 0 } = {}) => {
+  if (deals.length === 0) return [];
+  const measure = getDistributionMeasure(measureKey);
+
+  const groups = groupBy(deals, field);
+  const baseGroups = baseDeals ? groupBy(baseDeals, field) : null;
+
+  let entries = [...groups.entries()]
+    .map(([name, group]) => ({ id: name, name, value: measure.value(group, deals), count: group.length, group }))
+    .sort((a, b) => b.value - a.value);
+
+  if (topN > 0 && entries.length > topN) {
+    const rest = entries.slice(topN - 1);
+    const restGroup = rest.flatMap(entry => entry.group);
+    entries = [
+      ...entries.slice(0, topN - 1),
+      {
+        id: OTHER_BUCKET,
+        name: OTHER_LABEL,
+        value: measure.value(restGroup, deals),
+        count: restGroup.length,
+        group: restGroup,
+        isOther: true,
+        members: rest.map(entry => entry.id)
+      }
+    ];
+  }
+
+  return entries.map(({ group, ...entry }) => {
+    const selected = selectedValues.length === 0 ||
+      (entry.isOther ? entry.members.some(name => selectedValues.includes(name)) : selectedValues.includes(entry.id));
+    const result = { ...entry, selected };
+    if (baseGroups) {
+      const names = entry.isOther ? entry.members : [entry.id];
+      const previousGroup = names.flatMap(name => baseGroups.get(name) || []);
+      result.previousValue = measure.value(previousGroup, baseDeals);
+    }
+    return result;
+  });
+};
+
+// Cards shown the first time, matching the original vertical and activity charts
+export const DEFAULT_DISTRIBUTION_CARDS = [
+  { id: 'vertical', field: 'Primary Supply Vertical', measure: 'count', layout: 'bar', topN: 0 },
+  { id: 'activity', field: 'Primary Supply Activity', measure: 'count', layout: 'bar', topN: 0 }
+];
+
+export const createDistributionCard = (field) => ({
+  id: `card-${Date.now().toString(36)}`,
+  field,
+  measure: 'count',
+  layout: 'bar',
+  topN: 10
+});
+
+// Links and views saved before cards existed only had a count/percentage toggle per chart
+export const cardsFromChartViewMode = (chartViewMode) => DEFAULT_DISTRIBUTION_CARDS.map(card => ({
+  ...card,
+  measure: chartViewMode?.[card.id] === 'percentage' ? 'percentage' : 'count'
+}));
+
+export const loadDistributionCards = () => {
+  const stored = loadJSON(CARDS_KEY, null);
+  return Array.isArray(stored) ? stored : DEFAULT_DISTRIBUTION_CARDS;
+};
+
+export const saveDistributionCards = (cards) => saveJSON(CARDS_KEY, cards);
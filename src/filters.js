@@ -0,0 +1,382 @@
+import { toISODate, DATE_PRESETS } from './dates';
+import { formatMillions, formatFieldValue } from './formatters';
+import { matchesSearchTerm } from './search';
+
+// Filter defaults and predicates shared by the table, charts and snapshot comparisons
+
+// Used when the data has no readable market dates: the current year
+const fallbackDateRange = () => {
+  const year = new Date().getFullYear();
+  return [toISODate(new Date(year, 0, 1)), toISODate(new Date(year, 11, 31))];
+};
+
+// Full span of a numeric column, from zero (or below, for negative values) up to its largest value
+export const numericRange = (deals, field) => {
+  let min = 0;
+  let max = 0;
+  deals.forEach(deal => {
+    const value = deal[field];
+    if (typeof value !== 'number' || !isFinite(value)) return;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return [min, max];
+};
+
+// Numeric filters with a range control in the sidebar; kind picks the formatting and step
+export const RANGE_FILTERS = [
+  { key: 'revenueRange', field: 'Revenue', label: 'Revenue', kind: 'money' },
+  { key: 'ebitdaRange', field: 'EBITDA', label: 'EBITDA', kind: 'money' },
+  { key: 'pursuitsRange', field: 'Total Pursuits', label: 'Total Pursuits', kind: 'integer' },
+  { key: 'recipientsRange', field: 'Total Recipients', label: 'Total Recipients', kind: 'integer' },
+  { key: 'recommendationsRange', field: 'Number of Recommendations', label: 'Recommendations', kind: 'integer' },
+  { key: 'pursuitRateRange', field: 'Pursuit Rate', label: 'Pursuit Rate', kind: 'percent' },
+  { key: 'qualityScoreRange', field: 'qualityScore', label: 'Quality Score', kind: 'decimal' }
+];
+
+export const formatRangeValue = (kind, value) => {
+  if (kind === 'money') return formatMillions(value);
+  if (kind === 'percent') return `${value.toFixed(1)}%`;
+  if (kind === 'decimal') return value.toFixed(2);
+  return String(value);
+};
+
+// Other numeric columns that can be given a range filter from the sidebar
+export const numericColumns = (sourceFields, deals) => {
+  const sample = deals.slice(0, 2000);
+  return sourceFields.filter(field =>
+    field !== 'Sellside Project: ID' &&
+    !RANGE_FILTERS.some(filter => filter.field === field) &&
+    sample.some(deal => typeof deal[field] === 'number'));
+};
+
+// Filters that include every deal in the data; expects deals with marketDate already parsed
+export const buildDefaultFilters = (deals) => {
+  let minDate = null;
+  let maxDate = null;
+  deals.forEach(({ marketDate }) => {
+    if (!marketDate) return;
+    if (!minDate || marketDate < minDate) minDate = marketDate;
+    if (!maxDate || marketDate > maxDate) maxDate = marketDate;
+  });
+
+  const ranges = {};
+  RANGE_FILTERS.forEach(({ key, field }) => {
+    ranges[key] = numericRange(deals, field);
+  });
+
+  return {
+    searchTerms: [], // { text, field: 'any' | 'name' | 'id', negate, phrase } from the search box
+    ...ranges,
+    fieldRanges: {}, // { [column]: [min, max] } for other numeric columns added from the sidebar
+    verticals: [],
+    activities: [],
+    regions: [],
+    states: [],
+    dateRange: minDate ? [minDate, maxDate] : fallbackDateRange(),
+    datePreset: null, // relative preset key from DATE_PRESETS, or null for a fixed range
+    includeUndated: true, // deals whose Market Date is blank or could not be read
+    fieldFacets: {}, // { [column]: [values] } for category columns without a dedicated filter
+    includeBrokers: true,
+    includeSmartshareEnabled: null, // null = include both, true = only enabled, false = only disabled
+    includeInboundInquiryEnabled: null, // null = include both, true = only enabled, false = only disabled
+    dealIntentStatuses: [],
+    shortlistId: null // only the deals saved to this shortlist
+  };
+};
+
+// Shortlist picked by the filters, if it still exists
+const activeShortlist = (filters, shortlists) =>
+  (filters.shortlistId ? shortlists.find(list => list.id === filters.shortlistId) || null : null);
+
+// Check a single deal against the dashboard filters; shortlists are needed for the shortlist filter
+export const matchesFilters = (deal, filters, shortlists = []) => {
+  if (!deal) return false;
+
+  // Shortlist filter, by Sellside Project: ID so it holds across uploads
+  const shortlist = activeShortlist(filters, shortlists);
+  if (shortlist && !shortlist.dealIds.includes(String(deal["Sellside Project: ID"]))) return false;
+
+  // Search box terms, all of which must match
+  if (filters.searchTerms && !filters.searchTerms.every(term => matchesSearchTerm(deal, term))) {
+    return false;
+  }
+
+  // Numeric range filters: Revenue, EBITDA, Total Pursuits and the rest of RANGE_FILTERS
+  for (const { key, field } of RANGE_FILTERS) {
+    const range = filters[key];
+    if (range && (deal[field] < range[0] || deal[field] > range[1])) return false;
+  }
+
+  // Ranges on other numeric columns added from the sidebar
+  if (filters.fieldRanges) {
+    for (const [field, range] of Object.entries(filters.fieldRanges)) {
+      if (deal[field] < range[0] || deal[field] > range[1]) return false;
+    }
+  }
+
+  // Vertical filter
+  if (filters.verticals && filters.verticals.length > 0 &&
+      !filters.verticals.includes(deal["Primary Supply Vertical"])) {
+    return false;
+  }
+
+  // Activity filter
+  if (filters.activities && filters.activities.length > 0 &&
+      !filters.activities.includes(deal["Primary Supply Activity"])) {
+    return false;
+  }
+
+  // Region filter
+  if (filters.regions && filters.regions.length > 0 &&
+      !filters.regions.includes(deal.Region)) {
+    return false;
+  }
+
+  // State filter
+  if (filters.states && filters.states.length > 0 &&
+      !filters.states.includes(deal["State/Province"])) {
+    return false;
+  }
+
+  // Account Owner (Broker) filter
+  if (filters.includeBrokers === false &&
+      (deal["Account Owner"] === "Broker")) {
+    return false;
+  }
+
+  // Smartshare Enabled filter
+  if (filters.includeSmartshareEnabled !== null) {
+    const smartshareValue = deal["SmartShare Enabled?"];
+
+    if (smartshareValue !== null && smartshareValue !== undefined) {
+      const isEnabled = smartshareValue === 1 ||
+                       smartshareValue === "1" ||
+                       smartshareValue === true;
+
+      if (filters.includeSmartshareEnabled !== isEnabled) {
+        return false;
+      }
+    }
+  }
+
+  // Inbound Inquiry Enabled filter
+  if (filters.includeInboundInquiryEnabled !== null) {
+    const inboundValue = deal["Inbound Inquiry Enabled?"];
+
+    if (inboundValue !== null && inboundValue !== undefined) {
+      const isEnabled = inboundValue === 1 ||
+                       inboundValue === "1" ||
+                       inboundValue === true;
+
+      if (filters.includeInboundInquiryEnabled !== isEnabled) {
+        return false;
+      }
+    }
+  }
+
+  // Deal Intent Status filter
+  if (filters.dealIntentStatuses && filters.dealIntentStatuses.length > 0) {
+    const dealIntentValue = deal["Deal Intent"];
+
+    if (!dealIntentValue || !filters.dealIntentStatuses.includes(dealIntentValue)) {
+      return false;
+    }
+  }
+
+  // Other category columns picked from the distribution charts
+  if (filters.fieldFacets) {
+    for (const [field, values] of Object.entries(filters.fieldFacets)) {
+      if (values.length > 0 && !values.includes(String(deal[field]))) return false;
+    }
+  }
+
+  // Date filter - marketDate is parsed on load as YYYY-MM-DD, so plain string comparison works
+  if (filters.dateRange) {
+    if (!deal.marketDate) {
+      if (filters.includeUndated === false) return false;
+    } else if (deal.marketDate < filters.dateRange[0] || deal.marketDate > filters.dateRange[1]) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+export const sameRange = (a, b) => a && b && a[0] === b[0] && a[1] === b[1];
+
+const searchTermLabel = (term) => {
+  const target = term.field === 'id' ? 'ID' : term.field === 'name' ? 'Name' : 'Search';
+  return `${target}${term.negate ? ' excludes' : ':'} "${term.text}"`;
+};
+
+// Human-readable lines for every filter that differs from the defaults
+export const describeFilters = (filters, defaults, shortlists = []) => {
+  const lines = [];
+  const listFilter = (label, values) => {
+    if (values && values.length > 0) lines.push(`${label}: ${values.join(', ')}`);
+  };
+
+  const shortlist = activeShortlist(filters, shortlists);
+  if (shortlist) lines.push(`Shortlist: ${shortlist.name}`);
+  (filters.searchTerms || []).forEach(term => lines.push(searchTermLabel(term)));
+  RANGE_FILTERS.forEach(({ key, label, kind }) => {
+    if (filters[key] && !sameRange(filters[key], defaults[key])) {
+      lines.push(`${label}: ${formatRangeValue(kind, filters[key][0])} – ${formatRangeValue(kind, filters[key][1])}`);
+    }
+  });
+  Object.entries(filters.fieldRanges || {}).forEach(([field, range]) => {
+    lines.push(`${field}: ${formatFieldValue(field, range[0])} – ${formatFieldValue(field, range[1])}`);
+  });
+  if (filters.datePreset) {
+    const preset = DATE_PRESETS.find(p => p.key === filters.datePreset);
+    lines.push(`Market Date: ${preset ? preset.label : filters.datePreset} (${filters.dateRange[0]} to ${filters.dateRange[1]})`);
+  } else if (!sameRange(filters.dateRange, defaults.dateRange)) {
+    lines.push(`Market Date: ${filters.dateRange[0]} to ${filters.dateRange[1]}`);
+  }
+  if (filters.includeUndated === false) lines.push('Excluding deals without a readable Market Date');
+  listFilter('Vertical', filters.verticals);
+  listFilter('Activity', filters.activities);
+  listFilter('Region', filters.regions);
+  listFilter('State/Province', filters.states);
+  listFilter('Deal Intent', filters.dealIntentStatuses);
+  Object.entries(filters.fieldFacets || {}).forEach(([field, values]) => listFilter(field, values));
+  if (filters.includeBrokers === false) lines.push('Excluding broker deals');
+  if (filters.includeSmartshareEnabled !== null) {
+    lines.push(`SmartShare: ${filters.includeSmartshareEnabled ? 'enabled' : 'disabled'} only`);
+  }
+  if (filters.includeInboundInquiryEnabled !== null) {
+    lines.push(`Inbound Inquiry: ${filters.includeInboundInquiryEnabled ? 'enabled' : 'disabled'} only`);
+  }
+
+  return lines;
+};
+
+// Distinct values offered by each facet filter
+export const extractFilterOptions = (rows) => ({
+  verticals: [...new Set(rows.map(d => d["Primary Supply Vertical"]))].filter(Boolean),
+  activities: [...new Set(rows.map(d => d["Primary Supply Activity"]))].filter(Boolean),
+  regions: [...new Set(rows.map(d => d.Region))].filter(Boolean),
+  states: [...new Set(rows.map(d => d["State/Province"]))].filter(Boolean),
+  dealIntentStatuses: [...new Set(rows.map(d => d["Deal Intent"]))].filter(Boolean)
+});
+
+// Multi-select category filters and the deal field each one checks
+export const FACETS = [
+  { key: 'verticals', field: 'Primary Supply Vertical', label: 'Vertical' },
+  { key: 'activities', field: 'Primary Supply Activity', label: 'Activity' },
+  { key: 'regions', field: 'Region', label: 'Region' },
+  { key: 'states', field: 'State/Province', label: 'State/Province' },
+  { key: 'dealIntentStatuses', field: 'Deal Intent', label: 'Deal Intent' }
+];
+
+// Selected values for any category column, whether it has a dedicated filter or not
+export const getFacetValues = (filters, field) => {
+  const facet = FACETS.find(f => f.field === field);
+  return (facet ? filters[facet.key] : filters.fieldFacets?.[field]) || [];
+};
+
+export const setFacetValues = (filters, field, values) => {
+  const facet = FACETS.find(f => f.field === field);
+  if (facet) return { ...filters, [facet.key]: values };
+  const fieldFacets = { ...(filters.fieldFacets || {}) };
+  if (values.length) {
+    fieldFacets[field] = values;
+  } else {
+    delete fieldFacets[field];
+  }
+  return { ...filters, fieldFacets };
+};
+
+// The filters without the one on a category column, so its chart can show every value it could pick
+export const withoutFacet = (filters, field) => setFacetValues(filters, field, []);
+
+// The same filters with some switched off, so a chart can show everything its own filter could pick
+export const withoutFilters = (filters, keys) => {
+  const result = { ...filters };
+  keys.forEach(key => {
+    result[key] = FACETS.some(facet => facet.key === key) ? [] : null;
+  });
+  return result;
+};
+
+// Toggle a facet value: a plain click picks only that value (or clears it), ctrl/cmd-click adds or removes it
+export const toggleFacetValue = (selected, value, additive) => {
+  if (additive) {
+    return selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+  }
+  return selected.length === 1 && selected[0] === value ? [] : [value];
+};
+
+// One removable chip per applied facet value or changed filter
+export const buildFilterChips = (filters, defaults, shortlists = []) => {
+  const chips = [];
+  const shortlist = activeShortlist(filters, shortlists);
+  if (shortlist) chips.push({ id: 'shortlistId', key: 'shortlistId', label: `Shortlist: ${shortlist.name}` });
+  (filters.searchTerms || []).forEach((term, index) => {
+    chips.push({ id: `search:${index}:${term.text}`, key: 'searchTerms', index, label: searchTermLabel(term) });
+  });
+  FACETS.forEach(facet => {
+    (filters[facet.key] || []).forEach(value => {
+      chips.push({ id: `${facet.key}:${value}`, key: facet.key, value, label: `${facet.label}: ${value}` });
+    });
+  });
+  Object.entries(filters.fieldFacets || {}).forEach(([field, values]) => {
+    values.forEach(value => {
+      chips.push({ id: `field:${field}:${value}`, key: 'fieldFacets', field, value, label: `${field}: ${value}` });
+    });
+  });
+  const rangeChip = (key, label, format) => {
+    if (filters[key] && !sameRange(filters[key], defaults[key])) {
+      chips.push({ id: key, key, label: `${label}: ${format(filters[key][0])} – ${format(filters[key][1])}` });
+    }
+  };
+  RANGE_FILTERS.forEach(({ key, label, kind }) => rangeChip(key, label, value => formatRangeValue(kind, value)));
+  Object.entries(filters.fieldRanges || {}).forEach(([field, range]) => {
+    chips.push({ id: `fieldRange:${field}`, key: 'fieldRanges', field, label: `${field}: ${formatFieldValue(field, range[0])} – ${formatFieldValue(field, range[1])}` });
+  });
+  if (filters.datePreset) {
+    const preset = DATE_PRESETS.find(p => p.key === filters.datePreset);
+    chips.push({ id: 'dateRange', key: 'dateRange', label: `Market Date: ${preset ? preset.label : filters.datePreset}` });
+  } else {
+    rangeChip('dateRange', 'Market Date', value => value);
+  }
+  if (filters.includeUndated === false) chips.push({ id: 'includeUndated', key: 'includeUndated', label: 'Dated deals only' });
+  if (filters.includeBrokers === false) chips.push({ id: 'includeBrokers', key: 'includeBrokers', label: 'No broker deals' });
+  if (filters.includeSmartshareEnabled !== null && filters.includeSmartshareEnabled !== undefined) {
+    chips.push({
+      id: 'includeSmartshareEnabled',
+      key: 'includeSmartshareEnabled',
+      label: `SmartShare ${filters.includeSmartshareEnabled ? 'enabled' : 'disabled'}`
+    });
+  }
+  if (filters.includeInboundInquiryEnabled !== null && filters.includeInboundInquiryEnabled !== undefined) {
+    chips.push({
+      id: 'includeInboundInquiryEnabled',
+      key: 'includeInboundInquiryEnabled',
+      label: `Inbound Inquiry ${filters.includeInboundInquiryEnabled ? 'enabled' : 'disabled'}`
+    });
+  }
+  return chips;
+};
+
+// Filters with one chip taken off, back to its default
+export const removeFilterChip = (filters, chip, defaults) => {
+  if (FACETS.some(facet => facet.key === chip.key)) {
+    return { ...filters, [chip.key]: filters[chip.key].filter(value => value !== chip.value) };
+  }
+  if (chip.key === 'searchTerms') {
+    return { ...filters, searchTerms: filters.searchTerms.filter((term, index) => index !== chip.index) };
+  }
+  if (chip.key === 'fieldRanges') {
+    const { [chip.field]: removed, ...fieldRanges } = filters.fieldRanges;
+    return { ...filters, fieldRanges };
+  }
+  if (chip.key === 'fieldFacets') {
+    return setFacetValues(filters, chip.field, getFacetValues(filters, chip.field).filter(value => value !== chip.value));
+  }
+  if (chip.key === 'dateRange') {
+    return { ...filters, dateRange: defaults.dateRange, datePreset: null };
+  }
+  return { ...filters, [chip.key]: defaults[chip.key] };
+};
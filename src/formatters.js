@@ -0,0 +1,44 @@
+// Display formatting shared across the dashboard
+
+// Dollar amounts in millions, e.g. "$3.5M"
+export const formatMillions = (value) => `$${((value || 0) / 1000000).toFixed(1)}M`;
+
+// Short amounts for typing and queries, e.g. "2.5M" or "750K"; exact values only
+export const formatAmount = (value) => {
+  for (const [suffix, size] of [['B', 1e9], ['M', 1e6], ['K', 1e3]]) {
+    const scaled = value / size;
+    if (Math.abs(value) >= size && Math.round(scaled * 1000) === scaled * 1000) return `${scaled}${suffix}`;
+  }
+  return String(value);
+};
+
+const AMOUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Reads "2.5M", "$750k", "1,200" or "-3"; null when it is not a number
+export const parseAmount = (text) => {
+  const match = /^\$?(-?\d*\.?\d+)([kmb])?%?$/i.exec(String(text).trim().replace(/,/g, ''));
+  if (!match) return null;
+  return Number(match[1]) * (match[2] ? AMOUNT_SUFFIXES[match[2].toLowerCase()] : 1);
+};
+
+// File sizes, e.g. "12.4 MB"
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const MONEY_FIELDS = ['Revenue', 'EBITDA'];
+const PERCENT_FIELDS = ['Pursuit Rate'];
+const ID_FIELDS = ['Sellside Project: ID'];
+
+// Any deal field for display, chosen by field name and value type
+export const formatFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value !== 'number' || ID_FIELDS.includes(field)) return String(value);
+  if (MONEY_FIELDS.includes(field)) return formatMillions(value);
+  if (PERCENT_FIELDS.includes(field)) return `${value.toFixed(1)}%`;
+  if (field === 'qualityScore') return value.toFixed(2);
+  return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};
@@ -0,0 +1,404 @@
+import { DAY_MS, parseMarketDate, toISODate } from './dates';
+
+// Formula language for calculated columns: arithmetic, comparisons, IF and date functions over a deal's fields.
+// Columns are written as [Total Pursuits], or by name alone when the name is one word, e.g. Revenue.
+// Dates are YYYY-MM-DD text; Market Date (Date) gives the date read with the dashboard's date format.
+
+const MARKET_DATE_FIELD = 'Market Date (Date)';
+
+const AMOUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+const OPERATORS = ['<=', '>=', '<>', '!=', '==', '&&', '||', '+', '-', '*', '/', '%', '^', '&', '(', ')', ',', '<', '>', '='];
+const KEYWORDS = { and: '&&', or: '||', not: 'not' };
+const LITERALS = { true: true, false: false, null: null };
+
+// Errors carry the span of the formula they point at
+const fail = (message, start, end) => {
+  throw Object.assign(new Error(message), { start, end });
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '' ||
+  (typeof value === 'number' && !isFinite(value));
+
+const truthy = (value) => !isBlank(value) && value !== false && value !== 0;
+
+const toNumber = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const text = String(value).trim().replace(/,/g, '');
+  if (text !== '' && !isNaN(Number(text))) return Number(text);
+  throw new Error(`"${value}" is not a number`);
+};
+
+const toDate = (value) => {
+  if (isBlank(value)) return null;
+  const date = parseMarketDate(value, 'auto');
+  if (!date) throw new Error(`"${value}" is not a date`);
+  return date;
+};
+
+const toText = (value) => (isBlank(value) ? '' : typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value));
+
+// Results that are not real numbers are left blank
+const finite = (value) => (typeof value === 'number' && !isFinite(value) ? null : value);
+
+const numeric = (fn) => (...values) => {
+  const numbers = values.map(toNumber);
+  return numbers.some(number => number === null) ? null : finite(fn(...numbers));
+};
+
+const dated = (fn) => (value) => {
+  const date = toDate(value);
+  return date ? fn(date) : null;
+};
+
+const daysBetween = (start, end) => {
+  const from = toDate(start);
+  const to = toDate(end);
+  // Rounded so a daylight-saving change does not leave a fraction of a day
+  return from && to ? Math.round((to - from) / DAY_MS) : null;
+};
+
+// Functions by name: arity as [min, max], a usage line and a description for the editor's help.
+// IF takes its branches unevaluated so only the chosen one runs.
+export const FORMULA_FUNCTIONS = {
+  IF: {
+    arity: [2, 3], lazy: true, usage: 'IF(test, then, else)', help: 'then when test holds, otherwise else (or blank)',
+    run: ([test, then, otherwise], deal) => (truthy(test(deal)) ? then(deal) : otherwise ? otherwise(deal) : null)
+  },
+  AND: { arity: [1, Infinity], usage: 'AND(a, b, …)', help: 'whether every argument holds', run: (...values) => values.every(truthy) },
+  OR: { arity: [1, Infinity], usage: 'OR(a, b, …)', help: 'whether any argument holds', run: (...values) => values.some(truthy) },
+  NOT: { arity: [1, 1], usage: 'NOT(a)', help: 'the opposite of a', run: (value) => !truthy(value) },
+  ISBLANK: { arity: [1, 1], usage: 'ISBLANK(x)', help: 'whether x is empty', run: (value) => isBlank(value) },
+  COALESCE: {
+    arity: [1, Infinity], usage: 'COALESCE(a, b, …)', help: 'the first argument that is not blank',
+    run: (...values) => values.find(value => !isBlank(value)) ?? null
+  },
+  ROUND: {
+    arity: [1, 2], usage: 'ROUND(x, digits)', help: 'x rounded to digits decimal places (0 if left out)',
+    run: (value, digits = 0) => numeric((x, d) => Math.round(x * 10 ** d) / 10 ** d)(value, digits)
+  },
+  FLOOR: { arity: [1, 1], usage: 'FLOOR(x)', help: 'x rounded down', run: numeric(Math.floor) },
+  CEIL: { arity: [1, 1], usage: 'CEIL(x)', help: 'x rounded up', run: numeric(Math.ceil) },
+  ABS: { arity: [1, 1], usage: 'ABS(x)', help: 'x without its sign', run: numeric(Math.abs) },
+  SQRT: { arity: [1, 1], usage: 'SQRT(x)', help: 'square root; blank below zero', run: numeric(Math.sqrt) },
+  LOG: { arity: [1, 1], usage: 'LOG(x)', help: 'base-10 logarithm; blank at zero and below', run: numeric(x => (x > 0 ? Math.log10(x) : null)) },
+  LN: { arity: [1, 1], usage: 'LN(x)', help: 'natural logarithm; blank at zero and below', run: numeric(x => (x > 0 ? Math.log(x) : null)) },
+  MIN: {
+    arity: [1, Infinity], usage: 'MIN(a, b, …)', help: 'smallest argument, ignoring blanks',
+    run: (...values) => {
+      const numbers = values.map(toNumber).filter(number => number !== null);
+      return numbers.length ? Math.min(...numbers) : null;
+    }
+  },
+  MAX: {
+    arity: [1, Infinity], usage: 'MAX(a, b, …)', help: 'largest argument, ignoring blanks',
+    run: (...values) => {
+      const numbers = values.map(toNumber).filter(number => number !== null);
+      return numbers.length ? Math.max(...numbers) : null;
+    }
+  },
+  TODAY: { arity: [0, 0], usage: 'TODAY()', help: "today's date", run: () => toISODate(new Date()) },
+  DATE: {
+    arity: [3, 3], usage: 'DATE(year, month, day)', help: 'a date from its parts',
+    run: numeric((year, month, day) => toISODate(new Date(year, month - 1, day)))
+  },
+  YEAR: { arity: [1, 1], usage: 'YEAR(date)', help: 'the year of a date', run: dated(date => date.getFullYear()) },
+  MONTH: { arity: [1, 1], usage: 'MONTH(date)', help: 'the month of a date, 1–12', run: dated(date => date.getMonth() + 1) },
+  QUARTER: { arity: [1, 1], usage: 'QUARTER(date)', help: 'the quarter of a date, 1–4', run: dated(date => Math.floor(date.getMonth() / 3) + 1) },
+  DAYS_BETWEEN: { arity: [2, 2], usage: 'DAYS_BETWEEN(start, end)', help: 'days from start to end', run: daysBetween },
+  DAYS_SINCE: { arity: [1, 1], usage: 'DAYS_SINCE(date)', help: 'days from date until today', run: (value) => daysBetween(value, toISODate(new Date())) },
+  CONTAINS: {
+    arity: [2, 2], usage: 'CONTAINS(text, part)', help: 'whether text includes part, ignoring case',
+    run: (text, part) => toText(text).toLowerCase().includes(toText(part).toLowerCase())
+  },
+  LOWER: { arity: [1, 1], usage: 'LOWER(text)', help: 'text in lower case', run: (text) => toText(text).toLowerCase() },
+  UPPER: { arity: [1, 1], usage: 'UPPER(text)', help: 'text in upper case', run: (text) => toText(text).toUpperCase() }
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+  while (position < source.length) {
+    const rest = source.slice(position);
+    const space = /^\s+/.exec(rest);
+    if (space) {
+      position += space[0].length;
+      continue;
+    }
+    const start = position;
+    const number = /^(\d*\.?\d+(?:e[+-]?\d+)?)([kmb](?![a-z0-9_]))?/i.exec(rest);
+    if (number) {
+      const value = Number(number[1]) * (number[2] ? AMOUNT_SUFFIXES[number[2].toLowerCase()] : 1);
+      position += number[0].length;
+      tokens.push({ type: 'number', value, start, end: position });
+      continue;
+    }
+    if (rest[0] === '"' || rest[0] === "'") {
+      // A quote inside a string is written twice, as in spreadsheets
+      const quote = rest[0];
+      let text = '';
+      let index = 1;
+      for (;;) {
+        if (index >= rest.length) fail('This text has no closing quote', start, source.length);
+        if (rest[index] === quote) {
+          if (rest[index + 1] !== quote) break;
+          index += 1;
+        }
+        text += rest[index];
+        index += 1;
+      }
+      position += index + 1;
+      tokens.push({ type: 'string', value: text, start, end: position });
+      continue;
+    }
+    if (rest[0] === '[') {
+      const close = rest.indexOf(']');
+      if (close === -1) fail('Column name has no closing ]', start, source.length);
+      position += close + 1;
+      tokens.push({ type: 'field', value: rest.slice(1, close).trim(), start, end: position });
+      continue;
+    }
+    const name = /^[a-z_][a-z0-9_]*/i.exec(rest);
+    if (name) {
+      position += name[0].length;
+      const word = name[0].toLowerCase();
+      // AND(…), OR(…) and NOT(…) are the functions rather than the operators
+      const isCall = /^\s*\(/.test(source.slice(position));
+      if (KEYWORDS[word] && !isCall) {
+        tokens.push({ type: 'op', value: KEYWORDS[word], start, end: position });
+      } else if (word in LITERALS) {
+        tokens.push({ type: 'literal', value: LITERALS[word], start, end: position });
+      } else {
+        tokens.push({ type: 'name', value: name[0], start, end: position });
+      }
+      continue;
+    }
+    const operator = OPERATORS.find(op => rest.startsWith(op));
+    if (!operator) fail(`Unexpected character "${rest[0]}"`, start, start + 1);
+    position += operator.length;
+    tokens.push({ type: 'op', value: operator, start, end: position });
+  }
+  tokens.push({ type: 'end', start: source.length, end: source.length });
+  return tokens.map(token => ({ ...token, text: source.slice(token.start, token.end) }));
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/_/g, ' ').trim();
+
+// Exact name first, then ignoring case; underscores stand in for spaces in bare names
+const resolveField = (name, fields) =>
+  fields.find(field => field === name) ||
+  fields.find(field => normalizeName(field) === normalizeName(name));
+
+const readField = (field) => (field === MARKET_DATE_FIELD
+  ? (deal) => deal.marketDate ?? null
+  : (deal) => (isBlank(deal[field]) ? null : deal[field]));
+
+const compare = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') return toNumber(a) - toNumber(b);
+  return toText(a).localeCompare(toText(b), undefined, { sensitivity: 'base' });
+};
+
+const equal = (a, b) => {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) && isBlank(b);
+  if (typeof a === 'boolean' || typeof b === 'boolean') return truthy(a) === truthy(b);
+  return compare(a, b) === 0;
+};
+
+const ordered = (test) => (a, b) => (isBlank(a) || isBlank(b) ? null : test(compare(a, b)));
+
+const BINARY = {
+  '+': numeric((a, b) => a + b),
+  '-': numeric((a, b) => a - b),
+  '*': numeric((a, b) => a * b),
+  // Dividing by zero leaves the value blank rather than failing the deal
+  '/': numeric((a, b) => (b === 0 ? null : a / b)),
+  '%': numeric((a, b) => (b === 0 ? null : a % b)),
+  '^': numeric((a, b) => a ** b),
+  '&': (a, b) => toText(a) + toText(b),
+  '=': equal,
+  '==': equal,
+  '!=': (a, b) => !equal(a, b),
+  '<>': (a, b) => !equal(a, b),
+  '<': ordered(result => result < 0),
+  '<=': ordered(result => result <= 0),
+  '>': ordered(result => result > 0),
+  '>=': ordered(result => result >= 0)
+};
+
+const describeToken = (token) => (token.type === 'end' ? 'the end of the formula' : `"${token.text}"`);
+
+// Recursive descent over the tokens, building one closure per node; each node is { run, start, end }
+const parse = (tokens, fields, references) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+
+  const expect = (op, message) => {
+    if (!isOp(op)) fail(message, peek().start, Math.max(peek().end, peek().start + 1));
+    return next();
+  };
+
+  const binaryLevel = (operators, operand) => () => {
+    let left = operand();
+    while (isOp(...operators)) {
+      const op = next().value;
+      const right = operand();
+      const apply = BINARY[op];
+      const [l, r] = [left.run, right.run];
+      left = { run: (deal) => apply(l(deal), r(deal)), start: left.start, end: right.end };
+    }
+    return left;
+  };
+
+  const callFunction = (nameToken) => {
+    const fn = FORMULA_FUNCTIONS[nameToken.value.toUpperCase()];
+    if (!fn) fail(`Unknown function ${nameToken.value}`, nameToken.start, nameToken.end);
+    next(); // (
+    const args = [];
+    if (!isOp(')')) {
+      args.push(expression());
+      while (isOp(',')) {
+        next();
+        args.push(expression());
+      }
+    }
+    const close = expect(')', `Expected , or ) in ${nameToken.value.toUpperCase()}(…)`);
+    const [min, max] = fn.arity;
+    if (args.length < min || args.length > max) {
+      const wanted = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} or ${max}`;
+      fail(`${fn.usage} takes ${wanted} argument${min === 1 && max === 1 ? '' : 's'}, not ${args.length}`, nameToken.start, close.end);
+    }
+    const runs = args.map(arg => arg.run);
+    const run = fn.lazy
+      ? (deal) => fn.run(runs, deal)
+      : (deal) => fn.run(...runs.map(argRun => argRun(deal)));
+    return { run, start: nameToken.start, end: close.end };
+  };
+
+  const fieldNode = (token, bare) => {
+    const field = resolveField(token.value, fields);
+    if (!field) {
+      fail(bare
+        ? `Unknown column ${token.value}; put names with spaces in brackets, e.g. [Total Pursuits]`
+        : `Unknown column [${token.value}]`, token.start, token.end);
+    }
+    references.add(field);
+    return { run: readField(field), start: token.start, end: token.end };
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+      next();
+      return { run: () => token.value, start: token.start, end: token.end };
+    }
+    if (token.type === 'field') {
+      next();
+      return fieldNode(token, false);
+    }
+    if (token.type === 'name') {
+      next();
+      if (isOp('(')) return callFunction(token);
+      return fieldNode(token, true);
+    }
+    if (isOp('(')) {
+      const open = next();
+      const inner = expression();
+      const close = expect(')', 'Missing ) to close this bracket');
+      return { run: inner.run, start: open.start, end: close.end };
+    }
+    fail(`Expected a value but found ${describeToken(token)}`, token.start, Math.max(token.end, token.start + 1));
+  };
+
+  // Powers bind tighter than a leading minus, so -2^2 is -4
+  const power = () => {
+    const base = primary();
+    if (!isOp('^')) return base;
+    next();
+    const exponent = unary();
+    const [b, e] = [base.run, exponent.run];
+    return { run: (deal) => BINARY['^'](b(deal), e(deal)), start: base.start, end: exponent.end };
+  };
+
+  const unary = () => {
+    if (isOp('-', '+')) {
+      const sign = next();
+      const operand = unary();
+      const run = operand.run;
+      return {
+        run: sign.value === '-' ? (deal) => numeric(x => -x)(run(deal)) : (deal) => toNumber(run(deal)),
+        start: sign.start,
+        end: operand.end
+      };
+    }
+    return power();
+  };
+
+  const multiplicative = binaryLevel(['*', '/', '%'], unary);
+  const additive = binaryLevel(['+', '-'], multiplicative);
+  const concatenation = binaryLevel(['&'], additive);
+
+  const comparison = () => {
+    const left = concatenation();
+    if (!isOp('=', '==', '!=', '<>', '<', '<=', '>', '>=')) return left;
+    const op = next().value;
+    const right = concatenation();
+    const [l, r] = [left.run, right.run];
+    return { run: (deal) => BINARY[op](l(deal), r(deal)), start: left.start, end: right.end };
+  };
+
+  const negation = () => {
+    if (isOp('not')) {
+      const keyword = next();
+      const operand = negation();
+      const run = operand.run;
+      return { run: (deal) => !truthy(run(deal)), start: keyword.start, end: operand.end };
+    }
+    return comparison();
+  };
+
+  const logical = (op, operand, combine) => () => {
+    let left = operand();
+    while (isOp(op)) {
+      next();
+      const right = operand();
+      const [l, r] = [left.run, right.run];
+      left = { run: combine(l, r), start: left.start, end: right.end };
+    }
+    return left;
+  };
+
+  const conjunction = logical('&&', negation, (l, r) => (deal) => truthy(l(deal)) && truthy(r(deal)));
+  const expression = logical('||', conjunction, (l, r) => (deal) => truthy(l(deal)) || truthy(r(deal)));
+
+  const root = expression();
+  const extra = peek();
+  if (extra.type !== 'end') {
+    fail(isOp(')')
+      ? 'This ) has no matching ('
+      : `Expected an operator before ${describeToken(extra)}`, extra.start, extra.end);
+  }
+  return root;
+};
+
+// Compile a formula against the columns it may use.
+// Returns { evaluate, references, error }, where error is { message, start, end } or null;
+// evaluate(deal) throws when a value cannot be used, e.g. text where a number is needed.
+export const compileFormula = (source, fields) => {
+  const references = new Set();
+  if (!String(source ?? '').trim()) {
+    return { evaluate: null, references: [], error: { message: 'Enter a formula', start: 0, end: 0 } };
+  }
+  try {
+    const root = parse(tokenize(source), fields, references);
+    return { evaluate: (deal) => finite(root.run(deal)), references: [...references], error: null };
+  } catch (error) {
+    return {
+      evaluate: null,
+      references: [...references],
+      error: { message: error.message, start: error.start ?? 0, end: error.end ?? source.length }
+    };
+  }
+};
@@ -0,0 +1,83 @@
+import html2canvas from 'html2canvas';
+import { downloadBlob } from './download';
+
+// Render dashboard elements to PNG for decks and emails
+
+// Elements marked with data-export-ignore (e.g. the export buttons themselves) are left out
+export const captureElement = (element, scale = 2) => html2canvas(element, {
+  scale,
+  backgroundColor: '#ffffff',
+  logging: false,
+  ignoreElements: (el) => el.hasAttribute && el.hasAttribute('data-export-ignore')
+});
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/png');
+});
+
+export const downloadCanvas = async (canvas, fileName) => {
+  downloadBlob(await canvasToBlob(canvas), fileName);
+};
+
+export const copyCanvasToClipboard = async (canvas) => {
+  if (!navigator.clipboard || typeof window.ClipboardItem === 'undefined') {
+    throw new Error('This browser cannot copy images to the clipboard');
+  }
+  // Passing the promise keeps Safari's user-gesture requirement satisfied
+  await navigator.clipboard.write([new window.ClipboardItem({ 'image/png': canvasToBlob(canvas) })]);
+};
+
+// Render several sections into one image under a title and a block of description lines
+export const composeSnapshot = async ({ title, descriptionLines, sections, scale = 2 }) => {
+  const captures = [];
+  for (const section of sections) {
+    captures.push({ heading: section.heading, canvas: await captureElement(section.element, scale) });
+  }
+
+  const padding = 24 * scale;
+  const titleSize = 22 * scale;
+  const textSize = 13 * scale;
+  const headingSize = 16 * scale;
+  const lineHeight = 1.5;
+
+  const width = Math.max(...captures.map(capture => capture.canvas.width), 800 * scale) + padding * 2;
+  const headerHeight = titleSize * lineHeight + descriptionLines.length * textSize * lineHeight + padding;
+  const sectionsHeight = captures.reduce(
+    (sum, capture) => sum + headingSize * lineHeight + capture.canvas.height + padding,
+    0
+  );
+
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = padding + headerHeight + sectionsHeight;
+
+  const ctx = output.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, output.width, output.height);
+  ctx.textBaseline = 'top';
+
+  let y = padding;
+  ctx.fillStyle = '#1f2937';
+  ctx.font = `bold ${titleSize}px sans-serif`;
+  ctx.fillText(title, padding, y);
+  y += titleSize * lineHeight;
+
+  ctx.fillStyle = '#4b5563';
+  ctx.font = `${textSize}px sans-serif`;
+  descriptionLines.forEach(line => {
+    ctx.fillText(line, padding, y);
+    y += textSize * lineHeight;
+  });
+  y += padding;
+
+  captures.forEach(capture => {
+    ctx.fillStyle = '#1f2937';
+    ctx.font = `bold ${headingSize}px sans-serif`;
+    ctx.fillText(capture.heading, padding, y);
+    y += headingSize * lineHeight;
+    ctx.drawImage(capture.canvas, padding, y);
+    y += capture.canvas.height + padding;
+  });
+
+  return output;
+};
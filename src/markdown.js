@@ -0,0 +1,132 @@
+// The small part of Markdown that deal memos use: headings, paragraphs, bullet and numbered lists,
+// pipe tables, **bold**, *italic* and [links](https://…). HTML gets inline styles, since email
+// clients drop <style> blocks; plain text keeps tables tab-separated so they paste into spreadsheets.
+// A backslash before \ * [ ] or | makes it an ordinary character.
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Only ordinary links survive; anything else becomes plain text
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+// Escaped characters are set aside while the markup is read, then put back as themselves
+const ESCAPED = /\\([\\*[\]|])/g;
+const SET_ASIDE = /\u0000(\d+)\u0000/g;
+
+const setAside = (text) => text.replace(ESCAPED, (match, char) => `\u0000${char.charCodeAt(0)}\u0000`);
+
+const putBack = (text) => text.replace(SET_ASIDE, (match, code) => String.fromCharCode(Number(code)));
+
+const inlineHtml = (text) => putBack(escapeHtml(setAside(text))
+  .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (SAFE_URL.test(url)
+    ? `<a href="${url}">${label}</a>`
+    : label))
+  .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+  .replace(/\*(.+?)\*/g, '<em>$1</em>'));
+
+const inlineText = (text) => putBack(setAside(text)
+  .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)')
+  .replace(/\*\*(.+?)\*\*/g, '$1')
+  .replace(/\*(.+?)\*/g, '$1'));
+
+// Table cells split on each | that is not escaped; escapes stay for the inline markup to read
+const tableCells = (line) => {
+  const cells = [''];
+  const text = line.trim();
+  for (let index = 0; index < text.length; index += 1) {
+    if (text[index] === '\\' && index + 1 < text.length) {
+      cells[cells.length - 1] += text.slice(index, index + 2);
+      index += 1;
+    } else if (text[index] === '|') {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += text[index];
+    }
+  }
+  // Outer pipes are optional
+  if (text.startsWith('|')) cells.shift();
+  if (text.endsWith('|') && cells.length > 1 && cells[cells.length - 1] === '') cells.pop();
+  return cells.map(cell => cell.trim());
+};
+
+const isTableSeparator = (line) => /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[-*]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+// Split the text into blocks of one kind each
+const parseBlocks = (markdown) => {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    if (line.trim() === '') {
+      index += 1;
+    } else if (HEADING.test(line)) {
+      const [, hashes, text] = HEADING.exec(line);
+      blocks.push({ type: 'heading', level: hashes.length, text });
+      index += 1;
+    } else if (line.includes('|') && index + 1 < lines.length && isTableSeparator(lines[index + 1])) {
+      const header = tableCells(line);
+      const rows = [];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim() !== '') {
+        rows.push(tableCells(lines[index]));
+        index += 1;
+      }
+      blocks.push({ type: 'table', header, rows });
+    } else if (BULLET.test(line) || NUMBERED.test(line)) {
+      const pattern = BULLET.test(line) ? BULLET : NUMBERED;
+      const items = [];
+      while (index < lines.length && pattern.test(lines[index])) {
+        items.push(pattern.exec(lines[index])[1]);
+        index += 1;
+      }
+      blocks.push({ type: pattern === BULLET ? 'bullets' : 'numbered', items });
+    } else {
+      const paragraph = [];
+      while (index < lines.length && lines[index].trim() !== '' && !HEADING.test(lines[index]) &&
+        !BULLET.test(lines[index]) && !NUMBERED.test(lines[index])) {
+        paragraph.push(lines[index].trim());
+        index += 1;
+      }
+      blocks.push({ type: 'paragraph', lines: paragraph });
+    }
+  }
+  return blocks;
+};
+
+const CELL_STYLE = 'border:1px solid #d1d5db;padding:4px 8px;text-align:left;';
+const HEADING_SIZES = { 1: '20px', 2: '17px', 3: '15px' };
+
+export const markdownToHtml = (markdown) => parseBlocks(markdown).map(block => {
+  if (block.type === 'heading') {
+    return `<h${block.level} style="font-size:${HEADING_SIZES[block.level]};margin:12px 0 6px;">${inlineHtml(block.text)}</h${block.level}>`;
+  }
+  if (block.type === 'table') {
+    const header = block.header.map(cell => `<th style="${CELL_STYLE}background:#f3f4f6;">${inlineHtml(cell)}</th>`).join('');
+    const rows = block.rows.map(row =>
+      `<tr>${block.header.map((_, column) => `<td style="${CELL_STYLE}">${inlineHtml(row[column] ?? '')}</td>`).join('')}</tr>`);
+    return `<table style="border-collapse:collapse;font-family:Arial,sans-serif;font-size:13px;margin:6px 0;"><thead><tr>${header}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+  }
+  if (block.type === 'bullets' || block.type === 'numbered') {
+    const tag = block.type === 'bullets' ? 'ul' : 'ol';
+    return `<${tag} style="margin:6px 0;">${block.items.map(item => `<li>${inlineHtml(item)}</li>`).join('')}</${tag}>`;
+  }
+  return `<p style="margin:6px 0;">${block.lines.map(inlineHtml).join('<br>')}</p>`;
+}).join('\n');
+
+export const markdownToText = (markdown) => parseBlocks(markdown).map(block => {
+  if (block.type === 'heading') return inlineText(block.text);
+  if (block.type === 'table') {
+    return [block.header, ...block.rows].map(row => row.map(inlineText).join('\t')).join('\n');
+  }
+  if (block.type === 'bullets') return block.items.map(item => `- ${inlineText(item)}`).join('\n');
+  if (block.type === 'numbered') return block.items.map((item, index) => `${index + 1}. ${inlineText(item)}`).join('\n');
+  return block.lines.map(inlineText).join('\n');
+}).join('\n\n');
@@ -0,0 +1,268 @@
+import { loadJSON, saveJSON } from './storage';
+import { formatFieldValue, formatMillions } from './formatters';
+import { markdownToHtml, markdownToText } from './markdown';
+
+// Deal memos: Markdown templates filled in with the selected deals and copied for outreach emails.
+//   {{Field}} or {{Field|$M}}       a deal's value, optionally formatted
+//   {{#deals}} … {{/deals}}         repeated for each selected deal ({{#selectedDeals}} works too)
+//   {{#Field}} … {{/Field}}         only when the deal has a value; {{^Field}} only when it has none
+//   {{@count}} {{@date}} {{@source}} and, inside the loop, {{@number}}
+
+const TEMPLATES_KEY = 'memoTemplates';
+const ACTIVE_KEY = 'memoTemplateId';
+
+// What the copied plain text holds; the HTML copy is always the rendered memo
+export const MEMO_FORMATS = [
+  { key: 'text', label: 'Plain text' },
+  { key: 'markdown', label: 'Markdown' },
+  { key: 'html', label: 'HTML source' }
+];
+
+const LOOP_NAMES = ['deals', 'selectedDeals'];
+
+const isBlank = (value) => value === null || value === undefined || value === '' ||
+  (typeof value === 'number' && !isFinite(value));
+
+const numeric = (format) => (value) => (typeof value === 'number' && isFinite(value) ? format(value) : String(value));
+
+const fixed = (digits) => numeric(value => value.toLocaleString(undefined, {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits
+}));
+
+// Formats after the | in a placeholder
+export const VALUE_FORMATS = {
+  '$M': { help: 'dollars in millions, $3.5M', apply: numeric(formatMillions) },
+  M: { help: 'millions without the sign, 3.5', apply: numeric(value => (value / 1e6).toFixed(1)) },
+  '$K': { help: 'dollars in thousands, $750K', apply: numeric(value => `$${Math.round(value / 1e3).toLocaleString()}K`) },
+  $: { help: 'whole dollars, $1,250,000', apply: numeric(value => `$${Math.round(value).toLocaleString()}`) },
+  '%': { help: 'percentage, 12.5%', apply: numeric(value => `${value.toFixed(1)}%`) },
+  0: { help: 'whole number', apply: fixed(0) },
+  '0.0': { help: 'one decimal place', apply: fixed(1) },
+  '0.00': { help: 'two decimal places', apply: fixed(2) },
+  date: {
+    help: 'date, e.g. with {{marketDate|date}}',
+    apply: (value) => {
+      const date = new Date(value);
+      return isNaN(date) ? String(value) : date.toLocaleDateString(undefined, { timeZone: 'UTC' });
+    }
+  },
+  upper: { help: 'UPPER CASE', apply: (value) => String(value).toUpperCase() },
+  lower: { help: 'lower case', apply: (value) => String(value).toLowerCase() }
+};
+
+// Values available anywhere, or only inside the loop
+const MEMO_VARIABLES = {
+  '@count': { help: 'number of deals', inLoop: false },
+  '@date': { help: "today's date", inLoop: false },
+  '@source': { help: 'report file name', inLoop: false },
+  '@number': { help: "the deal's position, from 1", inLoop: true }
+};
+
+export const MEMO_VARIABLE_HELP = Object.entries(MEMO_VARIABLES).map(([name, { help }]) => ({ name, help }));
+
+// The table the Copy button used to produce: four tab-separated columns with amounts in millions
+export const DEFAULT_TEMPLATE = {
+  id: 'default',
+  name: 'Deal table',
+  format: 'text',
+  body: [
+    '| Deal | Revenue ($M) | EBITDA ($M) | ID |',
+    '| --- | --- | --- | --- |',
+    '{{#deals}}',
+    '| {{Sellside Project: Axial Opportunity}} | {{Revenue|M}} | {{EBITDA|M}} | {{Sellside Project: ID}} |',
+    '{{/deals}}'
+  ].join('\n')
+};
+
+const OUTREACH_TEMPLATE = {
+  id: 'outreach',
+  name: 'Outreach email',
+  format: 'text',
+  body: [
+    'Hi,',
+    '',
+    'Here are {{@count}} opportunities from our latest Deal Tease report that may fit your criteria:',
+    '',
+    '{{#deals}}',
+    '- **{{Sellside Project: Axial Opportunity}}** – {{Primary Supply Vertical}}{{#State/Province}}, {{State/Province}}{{/State/Province}}. Revenue {{Revenue|$M}}, EBITDA {{EBITDA|$M}}.',
+    '{{/deals}}',
+    '',
+    'Let me know which ones you would like to hear more about.'
+  ].join('\n')
+};
+
+export const createMemoTemplate = ({ name = '', format = 'text', body = '' } = {}) => ({
+  id: `memo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  format,
+  body
+});
+
+// Errors carry the span of the template they point at
+const fail = (message, start, end) => {
+  throw Object.assign(new Error(message), { start, end });
+};
+
+const TAG = /\{\{([\s\S]*?)\}\}/g;
+
+// A section tag alone on its line takes the whole line, so loops over table rows or
+// list items do not leave blank lines behind
+const standaloneBounds = (source, start, end) => {
+  const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+  let lineEnd = source.indexOf('\n', end);
+  if (lineEnd === -1) lineEnd = source.length;
+  if (source.slice(lineStart, start).trim() || source.slice(end, lineEnd).trim()) return null;
+  return { start: lineStart, end: Math.min(lineEnd + 1, source.length) };
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+  for (const match of source.matchAll(TAG)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const inner = match[1].trim();
+    const kind = /^[#^/]/.test(inner) ? inner[0] : null;
+    const [name, format] = (kind ? inner.slice(1) : inner).split('|').map(part => part.trim());
+    if (!name) fail('Empty placeholder', start, end);
+
+    const bounds = kind ? standaloneBounds(source, start, end) : null;
+    const textEnd = bounds && bounds.start >= position ? bounds.start : start;
+    if (textEnd > position) tokens.push({ type: 'text', value: source.slice(position, textEnd) });
+    tokens.push({ type: kind || 'value', name, format, start, end });
+    position = bounds ? bounds.end : end;
+  }
+  if (position < source.length) tokens.push({ type: 'text', value: source.slice(position) });
+  return tokens;
+};
+
+// Nest sections and check each placeholder can be filled where it stands
+const parse = (tokens, references) => {
+  const root = { children: [] };
+  const stack = [];
+  const current = () => (stack.length ? stack[stack.length - 1] : root);
+  const inLoop = () => stack.some(section => LOOP_NAMES.includes(section.name) && !section.inverted);
+
+  tokens.forEach(token => {
+    if (token.type === 'text') {
+      current().children.push(token);
+      return;
+    }
+    const { name, start, end } = token;
+    if (token.type === '/') {
+      const open = stack.pop();
+      if (!open) fail(`{{/${name}}} has no matching {{#${name}}}`, start, end);
+      if (open.name !== name) fail(`Expected {{/${open.name}}} but found {{/${name}}}`, start, end);
+      return;
+    }
+
+    const isLoop = LOOP_NAMES.includes(name);
+    const variable = MEMO_VARIABLES[name];
+    if (name.startsWith('@') && !variable) fail(`Unknown value ${name}`, start, end);
+    if (variable?.inLoop && !inLoop()) fail(`${name} only works inside {{#deals}}…{{/deals}}`, start, end);
+    if (!isLoop && !name.startsWith('@')) {
+      if (!inLoop()) fail(`{{${name}}} is a deal field; put it inside {{#deals}}…{{/deals}}`, start, end);
+      references.add(name);
+    }
+
+    if (token.type === 'value') {
+      if (isLoop) fail('Use {{#deals}}…{{/deals}} to repeat something for each deal', start, end);
+      if (token.format && !VALUE_FORMATS[token.format]) fail(`Unknown format "${token.format}"`, start, end);
+      current().children.push(token);
+      return;
+    }
+    if (token.format) fail('Sections take no format', start, end);
+    if (isLoop && token.type === '#' && inLoop()) fail(`{{#${name}}} cannot go inside another loop over the deals`, start, end);
+    const section = { type: 'section', name, inverted: token.type === '^', start, end, children: [] };
+    current().children.push(section);
+    stack.push(section);
+  });
+
+  if (stack.length) {
+    const open = stack[stack.length - 1];
+    fail(`{{${open.inverted ? '^' : '#'}${open.name}}} is never closed`, open.start, open.end);
+  }
+  return root.children;
+};
+
+const lookup = (name, scope) => (name.startsWith('@') ? scope.variables[name] : scope.deal?.[name]);
+
+// Values are text, never markup: they may not break a table row or turn into bold, italics or links
+const displayValue = (name, format, value) => {
+  if (isBlank(value)) return '';
+  const text = format ? VALUE_FORMATS[format].apply(value) : formatFieldValue(name, value);
+  return String(text).replace(/\r?\n/g, ' ').replace(/[\\*[\]|]/g, '\\$&');
+};
+
+const renderNodes = (nodes, scope) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'value') return displayValue(node.name, node.format, lookup(node.name, scope));
+
+  if (LOOP_NAMES.includes(node.name)) {
+    if (node.inverted) return scope.deals.length ? '' : renderNodes(node.children, scope);
+    return scope.deals.map((deal, index) => renderNodes(node.children, {
+      ...scope,
+      deal,
+      variables: { ...scope.variables, '@number': index + 1 }
+    })).join('');
+  }
+  const present = !isBlank(lookup(node.name, scope)) && lookup(node.name, scope) !== false;
+  return present !== node.inverted ? renderNodes(node.children, scope) : '';
+}).join('');
+
+// Check a template. Returns { render, references, error }, where error is { message, start, end } or null
+// and render({ deals, source }) gives the filled-in Markdown.
+export const compileTemplate = (body) => {
+  const references = new Set();
+  try {
+    const nodes = parse(tokenize(body), references);
+    const render = ({ deals, source = '' }) => renderNodes(nodes, {
+      deals,
+      deal: null,
+      variables: { '@count': deals.length, '@date': new Date().toLocaleDateString(), '@source': source }
+    });
+    return { render, references: [...references], error: null };
+  } catch (error) {
+    return {
+      render: null,
+      references: [...references],
+      error: { message: error.message, start: error.start ?? 0, end: error.end ?? body.length }
+    };
+  }
+};
+
+// The memo as Markdown, HTML and plain text, plus the text to copy for the template's format
+export const renderMemo = (template, { deals, source }) => {
+  const compiled = compileTemplate(template.body);
+  if (compiled.error) return { error: compiled.error };
+  const markdown = compiled.render({ deals, source });
+  const html = markdownToHtml(markdown);
+  const text = markdownToText(markdown);
+  const plain = { markdown, html, text }[template.format] ?? text;
+  return { markdown, html, text, plain, error: null };
+};
+
+export const loadMemoTemplates = () => {
+  const stored = loadJSON(TEMPLATES_KEY, null);
+  return Array.isArray(stored) && stored.length ? stored : [DEFAULT_TEMPLATE, OUTREACH_TEMPLATE];
+};
+
+export const saveMemoTemplates = (templates) => saveJSON(TEMPLATES_KEY, templates);
+
+export const loadActiveMemoTemplateId = () => loadJSON(ACTIVE_KEY, DEFAULT_TEMPLATE.id);
+
+export const saveActiveMemoTemplateId = (id) => saveJSON(ACTIVE_KEY, id);
+
+// Put the memo on the clipboard as HTML, so email clients paste a styled table, and as plain text.
+// Browsers without ClipboardItem get the plain text only.
+export const copyMemo = async ({ html, plain }) => {
+  if (typeof ClipboardItem !== 'undefined' && navigator.clipboard.write) {
+    await navigator.clipboard.write([new ClipboardItem({
+      'text/html': new Blob([html], { type: 'text/html' }),
+      'text/plain': new Blob([plain], { type: 'text/plain' })
+    })]);
+  } else {
+    await navigator.clipboard.writeText(plain);
+  }
+};
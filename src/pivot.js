@@ -0,0 +1,100 @@
+import Papa from 'papaparse';
+import { formatMillions } from './formatters';
+
+// Vertical × Activity pivot: one measure per combination of two category fields
+
+// Mean of the numeric values only; null when there are none
+const average = (deals, getValue) => {
+  let sum = 0;
+  let count = 0;
+  deals.forEach(deal => {
+    const value = getValue(deal);
+    if (typeof value === 'number' && isFinite(value)) {
+      sum += value;
+      count += 1;
+    }
+  });
+  return count ? sum / count : null;
+};
+
+export const PIVOT_MEASURES = [
+  { key: 'count', label: 'Deal count', value: deals => deals.length, format: value => String(value) },
+  {
+    key: 'sumEbitda',
+    label: 'Total EBITDA',
+    value: deals => deals.reduce((sum, deal) => sum + (deal.EBITDA || 0), 0),
+    format: formatMillions
+  },
+  { key: 'avgEbitda', label: 'Avg. EBITDA', value: deals => average(deals, deal => deal.EBITDA), format: formatMillions },
+  {
+    key: 'avgPursuits',
+    label: 'Avg. Total Pursuits',
+    value: deals => average(deals, deal => deal["Total Pursuits"]),
+    format: value => value.toFixed(1)
+  },
+  {
+    key: 'avgScore',
+    label: 'Avg. Quality Score',
+    value: deals => average(deals, deal => deal.qualityScore),
+    format: value => value.toFixed(2)
+  },
+  {
+    key: 'avgPursuitRate',
+    label: 'Avg. Pursuit Rate',
+    value: deals => average(deals, deal => deal["Pursuit Rate"]),
+    format: value => `${value.toFixed(1)}%`
+  }
+];
+
+export const getPivotMeasure = (key) => PIVOT_MEASURES.find(measure => measure.key === key) || PIVOT_MEASURES[0];
+
+const cellKey = (row, column) => `${row}\u0000${column}`;
+
+// Rows and columns sorted by deal count, with the measure for every non-empty cell
+export const buildPivot = (deals, rowField, columnField, measureKey) => {
+  const measure = getPivotMeasure(measureKey);
+  const groups = new Map();
+  const rowTotals = new Map();
+  const columnTotals = new Map();
+
+  deals.forEach(deal => {
+    const row = deal[rowField];
+    const column = deal[columnField];
+    if (!row || !column) return;
+    const key = cellKey(row, column);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(deal);
+    rowTotals.set(row, (rowTotals.get(row) || 0) + 1);
+    columnTotals.set(column, (columnTotals.get(column) || 0) + 1);
+  });
+
+  const byCount = (totals) => [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  const rows = byCount(rowTotals);
+  const columns = byCount(columnTotals);
+
+  const cells = new Map();
+  let min = null;
+  let max = null;
+  groups.forEach((group, key) => {
+    const value = measure.value(group);
+    cells.set(key, { value, count: group.length });
+    if (value === null) return;
+    if (min === null || value < min) min = value;
+    if (max === null || value > max) max = value;
+  });
+
+  return { rows, columns, min, max, measure, getCell: (row, column) => cells.get(cellKey(row, column)) || null };
+};
+
+// CSV of the matrix with the row field in the first column. Category names come from the report,
+// so any that start with = + - or @ get a leading ' rather than running as formulas.
+export const pivotToCsv = (pivot, rowLabel) => Papa.unparse({
+  fields: [rowLabel, ...pivot.columns],
+  data: pivot.rows.map(row => [
+    row,
+    ...pivot.columns.map(column => {
+      const cell = pivot.getCell(row, column);
+      return cell && cell.value !== null ? cell.value : '';
+    })
+  ])
+}, { escapeFormulae: true, newline: '\n' });
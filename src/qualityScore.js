@@ -0,0 +1,155 @@
+import { loadJSON, saveJSON } from './storage';
+import { fromISODate, DAY_MS } from './dates';
+
+const formatCount = (value) => value.toLocaleString();
+
+// Deal attributes that can feed the quality score; format shows a raw value in the factor's own unit
+export const SCORE_FACTORS = [
+  { key: 'pursuits', label: 'Total Pursuits', value: deal => deal["Total Pursuits"], format: formatCount },
+  {
+    key: 'recommendations',
+    label: 'Number of Recommendations',
+    value: deal => deal["Number of Recommendations"],
+    format: formatCount
+  },
+  { key: 'pursuitRate', label: 'Pursuit Rate', value: deal => deal["Pursuit Rate"], format: value => `${value.toFixed(1)}%` },
+  { key: 'recipients', label: 'Total Recipients', value: deal => deal["Total Recipients"], format: formatCount },
+  {
+    key: 'ebitdaMargin',
+    label: 'EBITDA Margin',
+    value: deal => (deal.Revenue ? deal.EBITDA / deal.Revenue : null),
+    format: value => `${(value * 100).toFixed(1)}%`
+  },
+  {
+    key: 'daysSinceMarket',
+    label: 'Days Since Market Date',
+    value: deal => (deal.marketDate
+      ? Math.floor((Date.now() - fromISODate(deal.marketDate).getTime()) / DAY_MS)
+      : null),
+    format: value => `${formatCount(value)} days`,
+    // Fresher deals score higher by default
+    invertByDefault: true
+  }
+];
+
+export const NORMALIZATIONS = [
+  { key: 'max', label: 'Share of max' },
+  { key: 'minmax', label: 'Min-max' },
+  { key: 'percentile', label: 'Percentile' }
+];
+
+// Matches the original 70/30 pursuits/recommendations weighting
+export const DEFAULT_SCORING_MODEL = {
+  name: 'Default',
+  factors: [
+    { factor: 'pursuits', normalization: 'max', weight: 0.7, invert: false },
+    { factor: 'recommendations', normalization: 'max', weight: 0.3, invert: false }
+  ]
+};
+
+export const getScoreFactor = (key) => SCORE_FACTORS.find(factor => factor.key === key);
+
+// A deal's raw value for a factor, or a dash when it has none
+export const formatFactorValue = (factor, deal) => {
+  const value = factor.value(deal);
+  return typeof value === 'number' && isFinite(value) ? factor.format(value) : '—';
+};
+
+const toNumber = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+
+// Build a function mapping a raw value to 0..1 for the chosen normalization
+const buildNormalizer = (values, normalization) => {
+  const present = values.filter(value => value !== null);
+  if (!present.length) return () => 0;
+
+  if (normalization === 'percentile') {
+    const sorted = [...present].sort((a, b) => a - b);
+    const lowerBound = (target, strict) => {
+      let lo = 0;
+      let hi = sorted.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (strict ? sorted[mid] <= target : sorted[mid] < target) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo;
+    };
+    return value => {
+      if (sorted.length === 1) return 1;
+      const below = lowerBound(value, false);
+      const equal = lowerBound(value, true) - below;
+      return (below + (equal - 1) / 2) / (sorted.length - 1);
+    };
+  }
+
+  const max = present.reduce((acc, value) => Math.max(acc, value), -Infinity);
+  if (normalization === 'minmax') {
+    const min = present.reduce((acc, value) => Math.min(acc, value), Infinity);
+    return value => (max > min ? (value - min) / (max - min) : 0);
+  }
+
+  return value => (max > 0 ? Math.max(0, value / max) : 0);
+};
+
+// Calculate quality scores and ranks for deals
+export const calculateQualityScores = (data, model = DEFAULT_SCORING_MODEL) => {
+  const factors = model.factors.filter(entry => getScoreFactor(entry.factor) && entry.weight > 0);
+  const totalWeight = factors.reduce((sum, entry) => sum + entry.weight, 0);
+
+  // Extract raw values and normalizers once per factor
+  const prepared = factors.map(entry => {
+    const values = data.map(deal => toNumber(getScoreFactor(entry.factor).value(deal)));
+    return { entry, values, normalize: buildNormalizer(values, entry.normalization) };
+  });
+
+  const scoredDeals = data.map((deal, index) => {
+    const scoreComponents = {};
+    let qualityScore = 0;
+
+    prepared.forEach(({ entry, values, normalize }) => {
+      const value = values[index];
+      let normalized = value === null ? 0 : normalize(value);
+      if (entry.invert && value !== null) normalized = 1 - normalized;
+
+      const contribution = totalWeight ? (entry.weight * normalized) / totalWeight : 0;
+      scoreComponents[entry.factor] = contribution;
+      qualityScore += contribution;
+    });
+
+    return {
+      ...deal,
+      qualityScore,
+      scoreComponents
+    };
+  });
+
+  // Sort by quality score and assign ranks
+  return scoredDeals
+    .sort((a, b) => b.qualityScore - a.qualityScore)
+    .map((deal, index) => ({
+      ...deal,
+      rank: index + 1
+    }));
+};
+
+// Drop the computed score fields, leaving the row as it came from the report
+export const stripScores = ({ qualityScore, rank, scoreComponents, ...row }) => row;
+
+// Active model and named presets
+export const loadScoringModel = () => loadJSON('scoringModel', DEFAULT_SCORING_MODEL);
+export const saveScoringModel = (model) => saveJSON('scoringModel', model);
+
+export const loadScoringPresets = () => loadJSON('scoringPresets', []);
+
+export const saveScoringPreset = (model) => {
+  const presets = loadScoringPresets().filter(preset => preset.name !== model.name);
+  const updated = [...presets, model];
+  saveJSON('scoringPresets', updated);
+  return updated;
+};
+
+export const deleteScoringPreset = (name) => {
+  const updated = loadScoringPresets().filter(preset => preset.name !== name);
+  saveJSON('scoringPresets', updated);
+  return updated;
+};
@@ -0,0 +1,388 @@
+import { FACETS } from './filters';
+import { DATE_PRESETS, presetDateRange, toISODate, fromISODate } from './dates';
+import { formatAmount, parseAmount } from './formatters';
+
+// A small query syntax for the search box, compiled into the same filters object the sidebar edits:
+//   acme                      name or ID contains "acme" (typos forgiven)
+//   "blue sky"                exact phrase, no typos
+//   vertical:"Healthcare"     facet value; several with vertical:A,B
+//   -state:TX                 every state except TX
+//   EBITDA>5M pursuits>=20    numeric bounds; K, M and B suffixes; pursuits:10..20 for both ends
+//   rate>=25 score>0.5        Pursuit Rate, quality score, recipients and recommendations too
+//   date>=2024-03 date:ytd    Market Date bounds (YYYY, YYYY-MM or YYYY-MM-DD) or a relative preset
+//   broker:no  name:acme  id:123
+
+const facetField = (key, names) => {
+  const facet = FACETS.find(f => f.key === key);
+  return { names, type: 'facet', key, label: facet.label };
+};
+
+export const QUERY_FIELDS = [
+  { names: ['name'], type: 'search', field: 'name', label: 'Name' },
+  { names: ['id'], type: 'search', field: 'id', label: 'ID' },
+  facetField('verticals', ['vertical']),
+  facetField('activities', ['activity']),
+  facetField('regions', ['region']),
+  facetField('states', ['state', 'province']),
+  facetField('dealIntentStatuses', ['intent']),
+  { names: ['revenue', 'rev'], type: 'money', key: 'revenueRange', label: 'Revenue' },
+  { names: ['ebitda'], type: 'money', key: 'ebitdaRange', label: 'EBITDA' },
+  { names: ['pursuits'], type: 'integer', key: 'pursuitsRange', label: 'Total Pursuits' },
+  { names: ['recipients'], type: 'integer', key: 'recipientsRange', label: 'Total Recipients' },
+  { names: ['recommendations', 'recs'], type: 'integer', key: 'recommendationsRange', label: 'Recommendations' },
+  { names: ['rate'], type: 'number', key: 'pursuitRateRange', label: 'Pursuit Rate' },
+  { names: ['score'], type: 'number', key: 'qualityScoreRange', label: 'Quality Score' },
+  { names: ['date', 'market'], type: 'date', key: 'dateRange', label: 'Market Date' },
+  { names: ['broker', 'brokers'], type: 'boolean', key: 'includeBrokers', label: 'Broker deals' }
+];
+
+// Filter keys a query fully describes; applying a query resets these first
+const QUERY_KEYS = [
+  'searchTerms', 'verticals', 'activities', 'regions', 'states', 'dealIntentStatuses',
+  'revenueRange', 'ebitdaRange', 'pursuitsRange', 'recipientsRange', 'recommendationsRange',
+  'pursuitRateRange', 'qualityScoreRange', 'dateRange', 'datePreset', 'includeBrokers'
+];
+
+const findField = (name) => QUERY_FIELDS.find(field => field.names.includes(name.toLowerCase()));
+
+const OPERATORS = ['>=', '<=', ':', '>', '<', '='];
+const WORD_END = /[\s:<>=,"]/;
+
+// --- Tokenizing -------------------------------------------------------------
+
+// Reads a quoted or bare value starting at i; returns { text, end, error }
+const readValue = (query, i, stopAtComma) => {
+  if (query[i] === '"') {
+    let text = '';
+    let j = i + 1;
+    while (j < query.length && query[j] !== '"') {
+      if (query[j] === '\\' && j + 1 < query.length) j += 1;
+      text += query[j];
+      j += 1;
+    }
+    if (j >= query.length) return { text, end: j, error: 'Missing closing quote' };
+    return { text, end: j + 1, quoted: true };
+  }
+  let j = i;
+  while (j < query.length && !/\s/.test(query[j]) && !(stopAtComma && query[j] === ',')) j += 1;
+  return { text: query.slice(i, j), end: j };
+};
+
+// Split a query into raw terms with their positions, so errors can point at the text
+const tokenize = (query) => {
+  const tokens = [];
+  const errors = [];
+  let i = 0;
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    const negate = query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1]);
+    if (negate) i += 1;
+
+    if (query[i] === '"') {
+      const value = readValue(query, i, false);
+      if (value.error) errors.push({ start, end: value.end, message: value.error });
+      tokens.push({ start, end: value.end, negate, text: value.text, phrase: true });
+      i = value.end;
+      continue;
+    }
+
+    let j = i;
+    while (j < query.length && !WORD_END.test(query[j])) j += 1;
+    const name = query.slice(i, j);
+    const operator = name && OPERATORS.find(op => query.startsWith(op, j));
+    if (!operator) {
+      // A bare word, up to the next space
+      const value = readValue(query, i, false);
+      tokens.push({ start, end: value.end, negate, text: value.text });
+      i = Math.max(value.end, i + 1);
+      continue;
+    }
+
+    let k = j + operator.length;
+    const values = [];
+    if (operator === ':') {
+      // Comma-separated list; each item may be quoted
+      for (;;) {
+        const value = readValue(query, k, true);
+        if (value.error) errors.push({ start, end: value.end, message: value.error });
+        values.push(value.text);
+        k = value.end;
+        if (query[k] !== ',') break;
+        k += 1;
+      }
+    } else {
+      const value = readValue(query, k, false);
+      if (value.error) errors.push({ start, end: value.end, message: value.error });
+      values.push(value.text);
+      k = value.end;
+    }
+    tokens.push({ start, end: k, negate, name, operator, values });
+    i = Math.max(k, i + 1);
+  }
+  return { tokens, errors };
+};
+
+// --- Values -----------------------------------------------------------------
+
+const parseNumber = (text, type) => {
+  const value = parseAmount(text);
+  return value === null || (type === 'integer' && !Number.isInteger(value)) ? null : value;
+};
+
+// First and last day covered by YYYY, YYYY-MM or YYYY-MM-DD
+const parseQueryDate = (text) => {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+  if (!match) return null;
+  const year = Number(match[1]);
+  if (match[3]) {
+    const date = new Date(year, Number(match[2]) - 1, Number(match[3]));
+    if (date.getMonth() !== Number(match[2]) - 1) return null;
+    return { start: toISODate(date), end: toISODate(date) };
+  }
+  if (match[2]) {
+    const month = Number(match[2]) - 1;
+    if (month < 0 || month > 11) return null;
+    return { start: toISODate(new Date(year, month, 1)), end: toISODate(new Date(year, month + 1, 0)) };
+  }
+  return { start: toISODate(new Date(year, 0, 1)), end: toISODate(new Date(year, 11, 31)) };
+};
+
+const shiftDay = (iso, days) => {
+  const date = fromISODate(iso);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+};
+
+// Negating a comparison flips it: -EBITDA>5M is EBITDA<=5M
+const NEGATED = { '>': '<=', '>=': '<', '<': '>=', '<=': '>' };
+
+const BOOLEAN_WORDS = { yes: true, true: true, y: true, no: false, false: false, n: false };
+
+// Turn one token into a term, or an error message
+const compileToken = (token, options) => {
+  if (!token.operator) {
+    const term = { text: token.text, field: 'any', negate: token.negate };
+    return { kind: 'search', term: token.phrase ? { ...term, phrase: true } : term };
+  }
+
+  const field = findField(token.name);
+  if (!field) {
+    const known = QUERY_FIELDS.map(f => f.names[0]).join(', ');
+    return { error: `Unknown field "${token.name}". Try ${known}` };
+  }
+  if (token.values.some(value => value === '')) return { error: `Missing value after ${token.name}${token.operator}` };
+
+  if (field.type === 'search') {
+    if (token.operator !== ':') return { error: `Use ${field.names[0]}:text` };
+    return { kind: 'search', term: { text: token.values.join(','), field: field.field, negate: token.negate } };
+  }
+
+  if (field.type === 'facet') {
+    if (token.operator !== ':') return { error: `Use ${field.names[0]}:value to pick a ${field.label}` };
+    const available = options[field.key] || [];
+    // Leaving values out needs the full list to take them from
+    if (token.negate && !available.length) return { error: `Load a report before leaving out a ${field.label}` };
+    const values = [];
+    for (const value of token.values) {
+      // Match the data's spelling regardless of case; accept anything when no report is loaded
+      const match = available.find(option => String(option).toLowerCase() === value.toLowerCase());
+      if (!match && available.length) return { error: `No ${field.label} called "${value}"` };
+      values.push(match || value);
+    }
+    return { kind: 'facet', key: field.key, values, negate: token.negate };
+  }
+
+  if (field.type === 'boolean') {
+    const value = BOOLEAN_WORDS[token.values[0].toLowerCase()];
+    if (token.operator !== ':' || value === undefined) return { error: `Use ${field.names[0]}:yes or ${field.names[0]}:no` };
+    return { kind: 'boolean', key: field.key, value: token.negate ? !value : value };
+  }
+
+  if (token.values.length > 1) return { error: `${field.label} takes a single value` };
+  const text = token.values[0];
+
+  if (field.type === 'date' && token.operator === ':' && DATE_PRESETS.some(p => p.key === text)) {
+    if (token.negate) return { error: 'Relative dates cannot be negated' };
+    return { kind: 'preset', preset: text };
+  }
+
+  // Numbers and dates: a:x..y, a:x or a=x, and the comparisons
+  const parse = (value) => {
+    if (field.type === 'date') return parseQueryDate(value);
+    const number = parseNumber(value, field.type);
+    return number === null ? null : { start: number, end: number };
+  };
+  const badValue = () => ({
+    error: field.type === 'date'
+      ? `"${text}" is not a date; use YYYY, YYYY-MM, YYYY-MM-DD or one of ${DATE_PRESETS.map(p => p.key).join(', ')}`
+      : `"${text}" is not a ${field.type === 'integer' ? 'whole number' : 'number'}`
+  });
+
+  if (token.operator === ':' && text.includes('..')) {
+    if (token.negate) return { error: 'Ranges cannot be negated; use a comparison instead' };
+    const [from, to] = text.split('..');
+    const lower = from ? parse(from) : { start: null };
+    const upper = to ? parse(to) : { end: null };
+    if (!lower || !upper) return badValue();
+    if (lower.start !== null && upper.end !== null && lower.start > upper.end) {
+      return { error: 'Lower bound is above upper bound' };
+    }
+    return { kind: 'range', key: field.key, bounds: [lower.start, upper.end] };
+  }
+
+  const value = parse(text);
+  if (!value) return badValue();
+  let operator = token.operator === ':' ? '=' : token.operator;
+  if (token.negate) {
+    if (operator === '=') return { error: `Use ${field.names[0]}< or ${field.names[0]}> instead of negating a single value` };
+    operator = NEGATED[operator];
+  }
+
+  // Strict bounds step past the value for whole numbers and days; amounts are continuous, so they stay inclusive
+  const step = field.type === 'date' ? 'day' : field.type === 'integer' ? 1 : 0;
+  const after = (end) => (step === 'day' ? shiftDay(end, 1) : end + step);
+  const before = (start) => (step === 'day' ? shiftDay(start, -1) : start - step);
+  const bounds = {
+    '=': [value.start, value.end],
+    '>=': [value.start, null],
+    '>': [after(value.end), null],
+    '<=': [null, value.end],
+    '<': [null, before(value.start)]
+  }[operator];
+  return { kind: 'range', key: field.key, bounds };
+};
+
+// --- Public API -------------------------------------------------------------
+
+// Parse a query into terms; errors carry the character span to highlight
+export const parseQuery = (query, options = {}) => {
+  const { tokens, errors } = tokenize(query);
+  const terms = [];
+  tokens.forEach(token => {
+    const compiled = compileToken(token, options);
+    if (compiled.error) {
+      errors.push({ start: token.start, end: token.end, message: compiled.error });
+    } else {
+      terms.push(compiled);
+    }
+  });
+  errors.sort((a, b) => a.start - b.start);
+  return { terms, errors };
+};
+
+// The filters a parsed query describes: query keys start from the defaults, everything else is kept
+export const applyQuery = (filters, parsed, defaults, options = {}) => {
+  const result = { ...filters };
+  QUERY_KEYS.forEach(key => {
+    result[key] = key === 'searchTerms' ? [] : defaults[key];
+  });
+  result.datePreset = null;
+
+  const included = {};
+  const excluded = {};
+  parsed.terms.forEach(term => {
+    if (term.kind === 'search') {
+      result.searchTerms = [...result.searchTerms, term.term];
+    } else if (term.kind === 'facet') {
+      const target = term.negate ? excluded : included;
+      target[term.key] = [...(target[term.key] || []), ...term.values];
+    } else if (term.kind === 'boolean') {
+      result[term.key] = term.value;
+    } else if (term.kind === 'preset') {
+      result.datePreset = term.preset;
+      result.dateRange = presetDateRange(term.preset) || result.dateRange;
+    } else if (term.kind === 'range') {
+      // Several bounds on one field narrow it together
+      const [lower, upper] = result[term.key];
+      const [from, to] = term.bounds;
+      result[term.key] = [
+        from === null || from < lower ? lower : from,
+        to === null || to > upper ? upper : to
+      ];
+      if (term.key === 'dateRange') result.datePreset = null;
+    }
+  });
+
+  FACETS.forEach(({ key }) => {
+    const exclude = new Set(excluded[key] || []);
+    if (included[key]) {
+      result[key] = [...new Set(included[key])].filter(value => !exclude.has(value));
+    } else if (exclude.size) {
+      result[key] = (options[key] || []).filter(value => !exclude.has(value));
+    }
+  });
+  return result;
+};
+
+const quoted = (text) => `"${text.replace(/(["\\])/g, '\\$1')}"`;
+
+const quote = (value) => {
+  const text = String(value);
+  return /[\s,:<>="\\]/.test(text) || text === '' || text.startsWith('-') ? quoted(text) : text;
+};
+
+// The query that reproduces the current filters, so the box follows changes made in the sidebar
+export const filtersToQuery = (filters, defaults, options = {}) => {
+  const parts = [];
+
+  (filters.searchTerms || []).forEach(term => {
+    parts.push(`${term.negate ? '-' : ''}${term.field === 'any' ? '' : `${term.field}:`}${term.phrase ? quoted(term.text) : quote(term.text)}`);
+  });
+
+  QUERY_FIELDS.filter(field => field.type === 'facet').forEach(field => {
+    const selected = filters[field.key] || [];
+    if (!selected.length) return;
+    const available = options[field.key] || [];
+    const left = available.filter(value => !selected.includes(value));
+    // A long selection reads better as what was left out
+    if (left.length > 0 && selected.length > available.length / 2 && selected.every(value => available.includes(value))) {
+      parts.push(`-${field.names[0]}:${left.map(quote).join(',')}`);
+    } else {
+      parts.push(`${field.names[0]}:${selected.map(quote).join(',')}`);
+    }
+  });
+
+  QUERY_FIELDS.filter(field => ['money', 'integer', 'number'].includes(field.type)).forEach(field => {
+    const range = filters[field.key];
+    const defaultRange = defaults[field.key];
+    if (!range || !defaultRange) return;
+    const format = field.type === 'money' ? formatAmount : String;
+    const name = field.names[0];
+    if (range[0] === range[1] && (range[0] !== defaultRange[0] || range[1] !== defaultRange[1])) {
+      parts.push(`${name}:${format(range[0])}`);
+      return;
+    }
+    if (range[0] !== defaultRange[0] && range[1] !== defaultRange[1]) {
+      parts.push(`${name}:${format(range[0])}..${format(range[1])}`);
+    } else if (range[0] !== defaultRange[0]) {
+      parts.push(`${name}>=${format(range[0])}`);
+    } else if (range[1] !== defaultRange[1]) {
+      parts.push(`${name}<=${format(range[1])}`);
+    }
+  });
+
+  if (filters.datePreset) {
+    parts.push(`date:${filters.datePreset}`);
+  } else if (filters.dateRange && defaults.dateRange) {
+    const [from, to] = filters.dateRange;
+    if (from === to && (from !== defaults.dateRange[0] || to !== defaults.dateRange[1])) {
+      parts.push(`date:${from}`);
+    } else {
+      if (from !== defaults.dateRange[0] && to !== defaults.dateRange[1]) {
+        parts.push(`date:${from}..${to}`);
+      } else if (from !== defaults.dateRange[0]) {
+        parts.push(`date>=${from}`);
+      } else if (to !== defaults.dateRange[1]) {
+        parts.push(`date<=${to}`);
+      }
+    }
+  }
+
+  if (filters.includeBrokers === false) parts.push('broker:no');
+
+  return parts.join(' ');
+};
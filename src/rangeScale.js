@@ -0,0 +1,49 @@
+// Positions, steps and histogram bins for the sidebar range controls
+
+// Log scale uses log10(1 + |v|) with the sign kept, so zero and negative values still have a place
+const toLog = (value) => Math.sign(value) * Math.log10(1 + Math.abs(value));
+const fromLog = (position) => Math.sign(position) * (10 ** Math.abs(position) - 1);
+
+// Maps values in [min, max] to 0..1 along the track and back
+export const rangeScale = (min, max, log) => {
+  const forward = log ? toLog : (value) => value;
+  const backward = log ? fromLog : (position) => position;
+  const lo = forward(min);
+  const hi = forward(max);
+  const span = hi - lo || 1;
+  return {
+    toFraction: (value) => Math.min(1, Math.max(0, (forward(value) - lo) / span)),
+    fromFraction: (fraction) => backward(lo + Math.min(1, Math.max(0, fraction)) * span)
+  };
+};
+
+// Smallest change worth making for each kind of value; amounts step by about a thousandth of the span
+export const rangeStep = (kind, min, max) => {
+  if (kind === 'integer') return 1;
+  if (kind === 'percent') return 0.1;
+  if (kind === 'decimal') return 0.01;
+  const raw = (max - min) / 1000;
+  return raw > 0 ? 10 ** Math.floor(Math.log10(raw)) : 1;
+};
+
+export const snapToStep = (value, step) => {
+  const snapped = Math.round(value / step) * step;
+  // Avoid 0.30000000000000004 from float steps
+  return Number(snapped.toFixed(Math.max(0, -Math.floor(Math.log10(step)))));
+};
+
+// Counts per equal-width bin along the track, so log scale bins look even too
+export const buildHistogram = (values, min, max, log, binCount = 24) => {
+  const scale = rangeScale(min, max, log);
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    count: 0,
+    start: scale.fromFraction(index / binCount),
+    end: scale.fromFraction((index + 1) / binCount)
+  }));
+  values.forEach(value => {
+    if (typeof value !== 'number' || !isFinite(value)) return;
+    const index = Math.min(binCount - 1, Math.floor(scale.toFraction(value) * binCount));
+    bins[index].count += 1;
+  });
+  return bins;
+};
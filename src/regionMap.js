@@ -0,0 +1,150 @@
+import REGION_SHAPES from './northAmericaRegions.json';
+import { getDistributionMeasure } from './distribution';
+
+// US states and Canadian provinces drawn from bundled outlines, so the map works offline.
+// Outlines: US Census via us-atlas (ISC) and Natural Earth via datamaps (MIT), simplified to two decimals.
+
+export const MAP_MEASURE_KEYS = ['count', 'avgEbitda', 'avgPursuits'];
+
+export const MAP_WIDTH = 960;
+export const MAP_HEIGHT = 620;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Albers equal-area conic tuned for the US and Canada together
+const PARALLELS = [toRadians(40), toRadians(62)];
+const CENTRAL_MERIDIAN = -100;
+const ORIGIN_LATITUDE = toRadians(50);
+const n = (Math.sin(PARALLELS[0]) + Math.sin(PARALLELS[1])) / 2;
+const C = Math.cos(PARALLELS[0]) ** 2 + 2 * n * Math.sin(PARALLELS[0]);
+const rho0 = Math.sqrt(C - 2 * n * Math.sin(ORIGIN_LATITUDE)) / n;
+
+const albers = ([longitude, latitude]) => {
+  const rho = Math.sqrt(C - 2 * n * Math.sin(toRadians(latitude))) / n;
+  const theta = n * toRadians(longitude - CENTRAL_MERIDIAN);
+  return [rho * Math.sin(theta), -(rho0 - rho * Math.cos(theta))];
+};
+
+// Hawaii is moved next to California so it does not stretch the map across the Pacific
+const HAWAII_OFFSET = [36, 4];
+const project = (code, point) => albers(code === 'HI' ? [point[0] + HAWAII_OFFSET[0], point[1] + HAWAII_OFFSET[1]] : point);
+
+let cachedShapes = null;
+
+// SVG paths for every area, fitted to MAP_WIDTH × MAP_HEIGHT; worked out once and reused
+export const getRegionShapes = () => {
+  if (cachedShapes) return cachedShapes;
+
+  const projected = REGION_SHAPES.features.map(feature => ({
+    ...feature.properties,
+    polygons: feature.geometry.coordinates.map(polygon =>
+      polygon.map(ring => ring.map(point => project(feature.properties.code, point)))
+    )
+  }));
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  projected.forEach(shape => shape.polygons.forEach(polygon => polygon[0].forEach(([x, y]) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  })));
+  const scale = Math.min(MAP_WIDTH / (maxX - minX), MAP_HEIGHT / (maxY - minY));
+  const offsetX = (MAP_WIDTH - (maxX - minX) * scale) / 2;
+  const offsetY = (MAP_HEIGHT - (maxY - minY) * scale) / 2;
+  const toSvg = ([x, y]) => [offsetX + (x - minX) * scale, offsetY + (y - minY) * scale];
+
+  cachedShapes = projected.map(({ polygons, ...shape }) => ({
+    ...shape,
+    path: polygons
+      .map(polygon => polygon
+        .map(ring => `M${ring.map(point => toSvg(point).map(v => v.toFixed(1)).join(',')).join('L')}Z`)
+        .join(''))
+      .join('')
+  }));
+  return cachedShapes;
+};
+
+const normalizeName = (value) => value
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z]/gi, '')
+  .toLowerCase();
+
+// Older or informal spellings seen in CRM exports
+const ALIASES = {
+  pq: 'QC',
+  nf: 'NL',
+  nfld: 'NL',
+  newfoundland: 'NL',
+  labrador: 'NL',
+  yukonterritory: 'YT',
+  washingtondc: 'DC',
+  dc: 'DC'
+};
+
+let codeLookup = null;
+
+// Area code for a State/Province value: postal code or full name, any case and with or without accents
+export const regionCodeFor = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (!codeLookup) {
+    codeLookup = new Map(Object.entries(ALIASES));
+    REGION_SHAPES.features.forEach(({ properties }) => {
+      codeLookup.set(properties.code.toLowerCase(), properties.code);
+      codeLookup.set(normalizeName(properties.name), properties.code);
+    });
+  }
+  return codeLookup.get(normalizeName(String(value))) || null;
+};
+
+const topValue = (deals, field) => {
+  const counts = new Map();
+  deals.forEach(deal => {
+    if (deal[field]) counts.set(deal[field], (counts.get(deal[field]) || 0) + 1);
+  });
+  let best = null;
+  counts.forEach((count, value) => {
+    if (!best || count > best.count) best = { value, count };
+  });
+  return best ? best.value : null;
+};
+
+// Deals grouped by area with the chosen measure and a short hover summary.
+// values holds the State/Province spellings behind each area, which is what filters.states stores.
+export const summarizeByRegion = (deals, measureKey) => {
+  const measure = getDistributionMeasure(measureKey);
+  const groups = new Map();
+  let unmatched = 0;
+
+  deals.forEach(deal => {
+    const code = regionCodeFor(deal["State/Province"]);
+    if (!code) {
+      if (deal["State/Province"]) unmatched += 1;
+      return;
+    }
+    if (!groups.has(code)) groups.set(code, { deals: [], values: new Set() });
+    const group = groups.get(code);
+    group.deals.push(deal);
+    group.values.add(deal["State/Province"]);
+  });
+
+  const regions = new Map();
+  let min = null;
+  let max = null;
+  groups.forEach((group, code) => {
+    const value = measure.value(group.deals, deals);
+    regions.set(code, {
+      value,
+      count: group.deals.length,
+      values: [...group.values],
+      avgEbitda: getDistributionMeasure('avgEbitda').value(group.deals),
+      avgPursuits: getDistributionMeasure('avgPursuits').value(group.deals),
+      topVertical: topValue(group.deals, "Primary Supply Vertical")
+    });
+    if (min === null || value < min) min = value;
+    if (max === null || value > max) max = value;
+  });
+
+  return { regions, min, max, measure, unmatched };
+};
@@ -0,0 +1,103 @@
+import { loadJSON, saveJSON } from './storage';
+import { DASHBOARD_FIELDS } from './columnMapping';
+import { dealKey } from './snapshotDiff';
+
+// Several report files loaded together are merged into one set of deals keyed on Sellside Project: ID.
+// A file is { id, name, label, lastModified, fields, deals, basis }; every deal records the file it came from.
+// Files from different folders can share a name, so they are told apart by id, and label is the name made
+// unique among the loaded files for display and the Source File column.
+
+export const SOURCE_FILE_FIELD = 'Source File';
+
+const POLICY_KEY = 'mergePolicy';
+
+// How a deal found in more than one file is resolved
+export const MERGE_POLICIES = [
+  { key: 'newest', label: 'Newest file wins' },
+  { key: 'maxPursuits', label: 'Keep most pursuits' },
+  { key: 'manual', label: 'Review manually' }
+];
+
+// Manual choice that leaves a conflicting deal out altogether
+export const DROP_CHOICE = '';
+
+export const reportFileId = () => `file-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// "report.csv", then "report.csv (2)" and so on for further files of that name
+export const uniqueFileLabel = (name, takenLabels) => {
+  let label = name;
+  for (let copy = 2; takenLabels.has(label); copy += 1) label = `${name} (${copy})`;
+  return label;
+};
+
+export const tagSourceFile = (deals, fileName) => deals.map(deal => ({ ...deal, [SOURCE_FILE_FIELD]: fileName }));
+
+// Columns of all the files, in the order first seen, with the source file last
+export const mergedFieldNames = (files) => {
+  const fields = [];
+  files.forEach(file => file.fields.forEach(field => {
+    if (!fields.includes(field)) fields.push(field);
+  }));
+  return files.length ? [...fields.filter(field => field !== SOURCE_FILE_FIELD), SOURCE_FILE_FIELD] : fields;
+};
+
+// Dashboard fields on which versions of a deal disagree
+export const differingFields = (versions) => DASHBOARD_FIELDS
+  .map(field => field.key)
+  .filter(key => versions.some(version => (version.deal[key] ?? null) !== (versions[0].deal[key] ?? null)));
+
+// Later files win ties, so re-uploading a file counts as newer
+const newest = (versions) => versions.reduce((best, version) =>
+  (version.lastModified >= best.lastModified ? version : best));
+
+const pursuitsOf = (version) => (typeof version.deal['Total Pursuits'] === 'number' ? version.deal['Total Pursuits'] : -Infinity);
+
+const mostPursuits = (versions) => versions.reduce((best, version) => {
+  const difference = pursuitsOf(version) - pursuitsOf(best);
+  return difference > 0 || (difference === 0 && version.lastModified >= best.lastModified) ? version : best;
+});
+
+// One deal per ID. Under the manual policy a deal whose versions differ is left out until choices
+// holds the id of the file to keep (or DROP_CHOICE), and is returned in conflicts as { id, versions }.
+export const mergeReports = (files, policy, choices = {}) => {
+  if (files.length === 1) return { deals: files[0].deals, conflicts: [], duplicateCount: 0 };
+
+  const versionsById = new Map();
+  files.forEach((file, fileIndex) => {
+    file.deals.forEach(deal => {
+      const id = dealKey(deal);
+      if (!versionsById.has(id)) versionsById.set(id, []);
+      versionsById.get(id).push({ fileId: file.id, fileName: file.label, lastModified: file.lastModified ?? fileIndex, deal });
+    });
+  });
+
+  const deals = [];
+  const conflicts = [];
+  let duplicateCount = 0;
+  versionsById.forEach((versions, id) => {
+    if (versions.length === 1) {
+      deals.push(versions[0].deal);
+      return;
+    }
+    duplicateCount += 1;
+    if (policy === 'maxPursuits') {
+      deals.push(mostPursuits(versions).deal);
+    } else if (policy !== 'manual' || differingFields(versions).length === 0) {
+      deals.push(newest(versions).deal);
+    } else if (choices[id] !== DROP_CHOICE) {
+      // A choice of a file that has since been removed counts as no choice
+      const chosen = versions.find(version => version.fileId === choices[id]);
+      if (chosen) deals.push(chosen.deal);
+      else conflicts.push({ id, versions });
+    }
+  });
+
+  return { deals, conflicts, duplicateCount };
+};
+
+export const loadMergePolicy = () => {
+  const stored = loadJSON(POLICY_KEY, 'newest');
+  return MERGE_POLICIES.some(policy => policy.key === stored) ? stored : 'newest';
+};
+
+export const saveMergePolicy = (policy) => saveJSON(POLICY_KEY, policy);
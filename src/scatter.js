@@ -0,0 +1,80 @@
+// Revenue vs EBITDA scatter: scales, ticks and hit-testing for the lasso and box selections
+
+// Deals that can be placed on the chart; a log axis also drops zero and negative values
+export const scatterPoints = (deals, { logX = false, logY = false } = {}) => {
+  const points = [];
+  let skipped = 0;
+  deals.forEach(deal => {
+    const revenue = deal.Revenue;
+    const ebitda = deal.EBITDA;
+    const usable = typeof revenue === 'number' && isFinite(revenue) &&
+      typeof ebitda === 'number' && isFinite(ebitda) &&
+      (!logX || revenue > 0) && (!logY || ebitda > 0);
+    if (usable) {
+      points.push({ deal, x: revenue, y: ebitda, size: deal["Total Pursuits"] || 0 });
+    } else {
+      skipped += 1;
+    }
+  });
+  return { points, skipped };
+};
+
+// Round numbers either side of the data so the axes start and end on a tick
+const niceStep = (span, count) => {
+  const raw = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const residual = raw / magnitude;
+  return magnitude * (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1);
+};
+
+const linearScale = (min, max, range) => {
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const step = niceStep(max - min, 5);
+  const lo = Math.floor(min / step) * step;
+  const hi = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let tick = lo; tick <= hi + step / 2; tick += step) ticks.push(tick);
+  const scale = value => range[0] + ((value - lo) / (hi - lo)) * (range[1] - range[0]);
+  scale.invert = position => lo + ((position - range[0]) / (range[1] - range[0])) * (hi - lo);
+  scale.ticks = ticks;
+  return scale;
+};
+
+const logScale = (min, max, range) => {
+  const lo = Math.floor(Math.log10(min));
+  const hi = Math.max(lo + 1, Math.ceil(Math.log10(max)));
+  const ticks = [];
+  for (let power = lo; power <= hi; power++) ticks.push(10 ** power);
+  const scale = value => range[0] + ((Math.log10(value) - lo) / (hi - lo)) * (range[1] - range[0]);
+  scale.invert = position => 10 ** (lo + ((position - range[0]) / (range[1] - range[0])) * (hi - lo));
+  scale.ticks = ticks;
+  return scale;
+};
+
+// range is [start, end] in pixels; for the y axis pass [bottom, top] so larger values sit higher
+export const axisScale = (values, range, log) => {
+  if (values.length === 0) return linearScale(0, 1, range);
+  const min = values.reduce((lowest, value) => Math.min(lowest, value), Infinity);
+  const max = values.reduce((highest, value) => Math.max(highest, value), -Infinity);
+  return log ? logScale(min, max, range) : linearScale(Math.min(0, min), max, range);
+};
+
+// Bubble radius by Total Pursuits, by area so large counts do not swamp the chart
+export const bubbleRadius = (size, maxSize) => (maxSize > 0 ? 3 + Math.sqrt(size / maxSize) * 12 : 4);
+
+// Ray casting: is [x, y] inside the closed polygon of [x, y] points?
+export const pointInPolygon = ([x, y], polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+export const pointInBox = ([x, y], [[x1, y1], [x2, y2]]) =>
+  x >= Math.min(x1, x2) && x <= Math.max(x1, x2) && y >= Math.min(y1, y2) && y <= Math.max(y1, y2);
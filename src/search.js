@@ -0,0 +1,70 @@
+// Free-text deal search: forgiving matches on the deal name and ID
+
+const NAME_FIELD = "Sellside Project: Axial Opportunity";
+const ID_FIELD = "Sellside Project: ID";
+
+const normalize = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const words = (text) => text.split(/[^a-z0-9]+/).filter(Boolean);
+
+// Levenshtein distance, giving up early once it is over the limit
+const withinEdits = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return false;
+    previous = current;
+  }
+  return previous[b.length] <= limit;
+};
+
+// Longer words may be misspelt more: one typo from four letters, two from eight
+const typoAllowance = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// Every word of the query must appear in the name, as part of a word or within a typo or two of one
+export const fuzzyMatchesName = (name, query) => {
+  const haystack = normalize(name);
+  const nameWords = words(haystack);
+  return words(normalize(query)).every(word => {
+    if (haystack.includes(word)) return true;
+    const allowance = typoAllowance(word);
+    return allowance > 0 && nameWords.some(candidate =>
+      withinEdits(word, candidate.slice(0, word.length + allowance), allowance));
+  });
+};
+
+// IDs match on any part of the ID, ignoring case and separators
+export const matchesId = (id, query) => {
+  const needle = normalize(query).replace(/[^a-z0-9]/g, '');
+  return needle.length > 0 && normalize(id).replace(/[^a-z0-9]/g, '').includes(needle);
+};
+
+// A quoted phrase must appear in the name as typed, apart from case and accents
+const containsPhrase = (name, phrase) => normalize(name).includes(normalize(phrase));
+
+// A search term is { text, field: 'any' | 'name' | 'id', negate, phrase }
+export const matchesSearchTerm = (deal, term) => {
+  const matchesName = term.phrase ? containsPhrase : fuzzyMatchesName;
+  let found;
+  if (term.field === 'id') {
+    found = matchesId(deal[ID_FIELD], term.text);
+  } else if (term.field === 'name') {
+    found = matchesName(deal[NAME_FIELD], term.text);
+  } else {
+    found = matchesId(deal[ID_FIELD], term.text) || matchesName(deal[NAME_FIELD], term.text);
+  }
+  return term.negate ? !found : found;
+};
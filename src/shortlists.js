@@ -0,0 +1,56 @@
+import { loadJSON, saveJSON } from './storage';
+import { dealKey } from './snapshotDiff';
+
+// Named shortlists of deals, kept in this browser. Deals are stored by Sellside Project: ID in the
+// list's order, so a list picks up the fresh rows after every upload.
+
+const SHORTLISTS_KEY = 'shortlists';
+const NAME_FIELD = 'Sellside Project: Axial Opportunity';
+
+// names keeps each deal's name from when it was added, so deals missing from a later report can still be listed
+export const createShortlist = (name) => ({
+  id: `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  dealIds: [],
+  names: {}
+});
+
+// Deals already on the list keep their place
+export const addToShortlist = (list, deals) => {
+  const dealIds = [...list.dealIds];
+  const names = { ...list.names };
+  deals.forEach(deal => {
+    const id = dealKey(deal);
+    if (!dealIds.includes(id)) dealIds.push(id);
+    if (deal[NAME_FIELD]) names[id] = deal[NAME_FIELD];
+  });
+  return { ...list, dealIds, names };
+};
+
+export const removeFromShortlist = (list, id) => {
+  const { [id]: removed, ...names } = list.names;
+  return { ...list, dealIds: list.dealIds.filter(dealId => dealId !== id), names };
+};
+
+// Move a deal up (-1) or down (1) the list
+export const moveInShortlist = (list, id, offset) => {
+  const from = list.dealIds.indexOf(id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= list.dealIds.length) return list;
+  const dealIds = [...list.dealIds];
+  [dealIds[from], dealIds[to]] = [dealIds[to], dealIds[from]];
+  return { ...list, dealIds };
+};
+
+// The list's deals in order as { id, name, deal }, where deal is null when the loaded report lacks it
+export const shortlistEntries = (list, deals) => {
+  const byId = new Map(deals.map(deal => [dealKey(deal), deal]));
+  return list.dealIds.map(id => {
+    const deal = byId.get(id) || null;
+    return { id, deal, name: deal?.[NAME_FIELD] || list.names[id] || '' };
+  });
+};
+
+export const loadShortlists = () => loadJSON(SHORTLISTS_KEY, []);
+
+export const saveShortlists = (lists) => saveJSON(SHORTLISTS_KEY, lists);
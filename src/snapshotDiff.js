@@ -0,0 +1,59 @@
+import { DASHBOARD_FIELDS } from './columnMapping';
+
+const ID_FIELD = 'Sellside Project: ID';
+
+export const dealKey = (deal) => String(deal[ID_FIELD]);
+
+const delta = (current, previous) => (current || 0) - (previous || 0);
+
+// Compare two scored deal lists keyed on Sellside Project: ID
+export const diffDeals = (baseDeals, currentDeals) => {
+  const baseById = new Map(baseDeals.map(deal => [dealKey(deal), deal]));
+  const currentIds = new Set(currentDeals.map(dealKey));
+  const byId = new Map();
+  const counts = { new: 0, dropped: 0, changed: 0, unchanged: 0 };
+
+  currentDeals.forEach(deal => {
+    const id = dealKey(deal);
+    const previous = baseById.get(id);
+
+    if (!previous) {
+      byId.set(id, { status: 'new', deal });
+      counts.new++;
+      return;
+    }
+
+    // A deal counts as changed when any field the dashboard reads differs
+    const changedFields = DASHBOARD_FIELDS
+      .map(field => field.key)
+      .filter(key => (deal[key] ?? null) !== (previous[key] ?? null));
+    const status = changedFields.length > 0 ? 'changed' : 'unchanged';
+
+    byId.set(id, {
+      status,
+      deal,
+      previous,
+      changedFields,
+      deltas: {
+        pursuits: delta(deal["Total Pursuits"], previous["Total Pursuits"]),
+        recommendations: delta(deal["Number of Recommendations"], previous["Number of Recommendations"]),
+        // Positive means the deal moved up the ranking
+        rank: previous.rank - deal.rank,
+        qualityScore: deal.qualityScore - previous.qualityScore
+      }
+    });
+    counts[status]++;
+  });
+
+  const dropped = baseDeals.filter(deal => !currentIds.has(dealKey(deal)));
+  counts.dropped = dropped.length;
+
+  return { byId, dropped, counts };
+};
+
+// Signed number for display, e.g. "+3" or "-0.05"
+export const formatDelta = (value, digits = 0) => {
+  const rounded = value.toFixed(digits);
+  if (Number(rounded) === 0) return '0';
+  return value > 0 ? `+${rounded}` : rounded;
+};
@@ -0,0 +1,111 @@
+import { stripScores, calculateQualityScores } from './qualityScore';
+import { stripMarketDate, annotateMarketDates } from './dates';
+
+// Uploaded reports stored in IndexedDB as dated snapshots
+const DB_NAME = 'dealDashboard';
+const DB_VERSION = 1;
+const META_STORE = 'snapshotMeta';
+const ROWS_STORE = 'snapshotRows';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Metadata is kept apart from rows so listing snapshots stays cheap
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(ROWS_STORE)) {
+          db.createObjectStore(ROWS_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// Each row's fields in name order, so the text does not depend on how the row was put together
+const rowText = (row) => JSON.stringify(Object.keys(row).sort().map(key => [key, row[key]]));
+
+// Cheap content fingerprint used to avoid storing the same report twice. Rows go in ID order, since the
+// dashboard holds them in score order and the same report saved under another model must match.
+const hashRows = (rows) => {
+  const ordered = rows
+    .map(row => ({ id: String(row["Sellside Project: ID"]), text: rowText(row) }))
+    .sort((a, b) => a.id.localeCompare(b.id) || a.text.localeCompare(b.text));
+  const text = ordered.map(row => row.text).join('\n');
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return `${rows.length}-${hash}`;
+};
+
+export const listSnapshots = async () => {
+  const db = await openDatabase();
+  const snapshots = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// Stored rows back as dashboard deals: the Market Dates and scores saveSnapshot leaves out are
+// worked out again with the current settings
+export const scoreSnapshotRows = (rows, scoringModel, dateFormat) =>
+  calculateQualityScores(annotateMarketDates(rows, dateFormat), scoringModel);
+
+// Store a report unless an identical one is already saved; returns its metadata
+export const saveSnapshot = async (fileName, deals) => {
+  // Scores and parsed dates depend on the current settings, so only the report's own columns are stored
+  // and hashed
+  const rows = deals.map(deal => stripMarketDate(stripScores(deal)));
+  const hash = hashRows(rows);
+  const existing = (await listSnapshots()).find(snapshot => snapshot.hash === hash);
+  if (existing) return existing;
+
+  const db = await openDatabase();
+  const meta = {
+    fileName,
+    hash,
+    dealCount: rows.length,
+    createdAt: new Date().toISOString()
+  };
+
+  const transaction = db.transaction([META_STORE, ROWS_STORE], 'readwrite');
+  const id = await requestToPromise(transaction.objectStore(META_STORE).add(meta));
+  transaction.objectStore(ROWS_STORE).put(rows, id);
+  await transactionDone(transaction);
+
+  return { ...meta, id };
+};
+
+export const loadSnapshotRows = async (id) => {
+  const db = await openDatabase();
+  return (await requestToPromise(db.transaction(ROWS_STORE).objectStore(ROWS_STORE).get(id))) || [];
+};
+
+export const deleteSnapshot = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE, ROWS_STORE], 'readwrite');
+  transaction.objectStore(META_STORE).delete(id);
+  transaction.objectStore(ROWS_STORE).delete(id);
+  await transactionDone(transaction);
+};
+
+export const formatSnapshotLabel = (snapshot) =>
+  `${new Date(snapshot.createdAt).toLocaleString()} – ${snapshot.fileName}`;
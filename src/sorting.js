@@ -0,0 +1,76 @@
+import { fromISODate } from './dates';
+
+// Multi-column sorting for the Deals Table. sortConfig is an ordered list of { key, direction }.
+
+export const DEFAULT_SORT = [{ key: 'rank', direction: 'asc' }];
+
+const DATE_FIELDS = ['Market Date (Date)'];
+
+// "Deal 2" before "Deal 10", ignoring case
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Older links and saved views stored a single { key, direction }
+export const normalizeSortConfig = (config) => {
+  const entries = Array.isArray(config) ? config : [config];
+  const valid = entries.filter(entry =>
+    entry && typeof entry.key === 'string' && (entry.direction === 'asc' || entry.direction === 'desc')
+  );
+  return valid.length ? valid : DEFAULT_SORT;
+};
+
+// Value used for ordering, or null when the cell is blank or unreadable
+const sortValue = (deal, key) => {
+  // Dates use the value parsed on load, so unreadable ones sort with the blanks
+  if (DATE_FIELDS.includes(key)) return deal.marketDate ? fromISODate(deal.marketDate).getTime() : null;
+  const value = deal[key];
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  return typeof value === 'boolean' ? Number(value) : String(value);
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  // Mixed columns: numbers come before text
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return collator.compare(a, b);
+};
+
+export const sortDeals = (deals, sortConfig) => {
+  // Work out each key's values once rather than on every comparison
+  const rows = deals.map(deal => ({ deal, values: sortConfig.map(({ key }) => sortValue(deal, key)) }));
+
+  rows.sort((rowA, rowB) => {
+    for (let i = 0; i < sortConfig.length; i++) {
+      const a = rowA.values[i];
+      const b = rowB.values[i];
+      if (a === null && b === null) continue;
+      // Blanks go last whichever direction is chosen
+      if (a === null) return 1;
+      if (b === null) return -1;
+      const result = compareValues(a, b);
+      if (result !== 0) return sortConfig[i].direction === 'asc' ? result : -result;
+    }
+    return 0;
+  });
+
+  return rows.map(row => row.deal);
+};
+
+// Header click: plain click sorts by that column alone, shift-click adds or updates a secondary key
+export const toggleSort = (sortConfig, key, additive) => {
+  const existing = sortConfig.find(entry => entry.key === key);
+
+  if (!additive) {
+    const direction = sortConfig.length === 1 && existing?.direction === 'asc' ? 'desc' : 'asc';
+    return [{ key, direction }];
+  }
+
+  if (!existing) return [...sortConfig, { key, direction: 'asc' }];
+  // A second shift-click flips the direction, a third removes the key
+  if (existing.direction === 'asc') {
+    return sortConfig.map(entry => (entry.key === key ? { key, direction: 'desc' } : entry));
+  }
+  const remaining = sortConfig.filter(entry => entry.key !== key);
+  return remaining.length ? remaining : DEFAULT_SORT;
+};
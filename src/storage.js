@@ -0,0 +1,20 @@
+// Small helpers around localStorage for settings that persist between sessions
+const STORAGE_PREFIX = 'dealDashboard.';
+
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.error(`Error reading ${key} from storage:`, error);
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing ${key} to storage:`, error);
+  }
+};
@@ -0,0 +1,102 @@
+import { loadJSON, saveJSON } from './storage';
+import { exportColumns } from './dealExport';
+
+// Deals Table column layout: which columns show, their order, widths and which are pinned left
+
+const LAYOUT_KEY = 'tableLayout';
+
+export const DEFAULT_COLUMN_WIDTH = 140;
+export const MIN_COLUMN_WIDTH = 60;
+
+// Headers and widths for the columns the dashboard knows about; other CSV columns use their own name
+const KNOWN_COLUMNS = {
+  rank: { label: 'Rank', width: 80 },
+  'Sellside Project: ID': { label: 'ID', width: 100 },
+  'Sellside Project: Axial Opportunity': { label: 'Deal', width: 260 },
+  Revenue: { label: 'Revenue ($M)', width: 130 },
+  EBITDA: { label: 'EBITDA ($M)', width: 130 },
+  'Primary Supply Vertical': { label: 'Vertical', width: 180 },
+  'Primary Supply Activity': { label: 'Activity', width: 180 },
+  'Market Date (Date)': { label: 'Market Date', width: 130 },
+  'State/Province': { label: 'State/Province', width: 140 },
+  'Total Pursuits': { label: 'Pursuits', width: 110 },
+  'Total Recipients': { label: 'Recipients', width: 120 },
+  'Number of Recommendations': { label: 'Recommendations', width: 170 },
+  'Pursuit Rate': { label: 'Pursuit %', width: 110 },
+  qualityScore: { label: 'Quality Score', width: 170 }
+};
+
+// The columns the table has always shown, in their original order
+export const DEFAULT_TABLE_LAYOUT = {
+  visible: Object.keys(KNOWN_COLUMNS),
+  pinned: [],
+  widths: {}
+};
+
+export const columnLabel = (key) => KNOWN_COLUMNS[key]?.label || key;
+
+// Every column that can be shown: the loaded report's fields plus the computed score and rank
+export const availableColumns = (sourceFields) => {
+  const keys = exportColumns(sourceFields);
+  // Keep the default columns offered before any file is loaded
+  DEFAULT_TABLE_LAYOUT.visible.forEach(key => {
+    if (!keys.includes(key)) keys.push(key);
+  });
+  return keys;
+};
+
+// Visible columns in display order, pinned ones first, with widths and sticky offsets worked out
+export const resolveColumns = (layout, available, leftOffset = 0) => {
+  const visible = layout.visible.filter(key => available.includes(key));
+  const pinned = visible.filter(key => layout.pinned.includes(key));
+  const unpinned = visible.filter(key => !layout.pinned.includes(key));
+
+  let left = leftOffset;
+  return [...pinned, ...unpinned].map(key => {
+    const width = layout.widths[key] || KNOWN_COLUMNS[key]?.width || DEFAULT_COLUMN_WIDTH;
+    const column = { key, label: columnLabel(key), width, pinned: layout.pinned.includes(key) };
+    if (column.pinned) {
+      column.left = left;
+      left += width;
+    }
+    return column;
+  });
+};
+
+// Layout edits, each returning a new layout
+export const setColumnVisible = (layout, key, visible) => ({
+  ...layout,
+  visible: visible
+    ? [...layout.visible.filter(k => k !== key), key]
+    : layout.visible.filter(k => k !== key),
+  pinned: visible ? layout.pinned : layout.pinned.filter(k => k !== key)
+});
+
+export const setColumnPinned = (layout, key, pinned) => ({
+  ...layout,
+  pinned: pinned
+    ? [...layout.pinned.filter(k => k !== key), key]
+    : layout.pinned.filter(k => k !== key)
+});
+
+export const setColumnWidth = (layout, key, width) => ({
+  ...layout,
+  widths: { ...layout.widths, [key]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) }
+});
+
+// Move a visible column to just before another one
+export const moveColumn = (layout, key, beforeKey) => {
+  if (key === beforeKey) return layout;
+  const visible = layout.visible.filter(k => k !== key);
+  const index = beforeKey === null ? visible.length : visible.indexOf(beforeKey);
+  visible.splice(index === -1 ? visible.length : index, 0, key);
+  return { ...layout, visible };
+};
+
+export const loadTableLayout = () => {
+  const stored = loadJSON(LAYOUT_KEY, null);
+  if (!stored || !Array.isArray(stored.visible)) return DEFAULT_TABLE_LAYOUT;
+  return { ...DEFAULT_TABLE_LAYOUT, ...stored };
+};
+
+export const saveTableLayout = (layout) => saveJSON(LAYOUT_KEY, layout);
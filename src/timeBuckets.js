@@ -0,0 +1,99 @@
+import { fromISODate, toISODate } from './dates';
+
+// Group deals into week, month or quarter buckets by their parsed Market Date
+
+export const GRANULARITIES = [
+  { key: 'week', label: 'Week' },
+  { key: 'month', label: 'Month' },
+  { key: 'quarter', label: 'Quarter' }
+];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Stacks beyond this many categories are folded into "Other" to keep the legend readable.
+// The fold has a key of its own, so a category that is really called "Other" keeps its stack.
+const MAX_SERIES = 8;
+export const OTHER_SERIES = '__other__';
+
+export const seriesLabel = (name) => (name === OTHER_SERIES ? 'Other' : name);
+
+// First day of the bucket containing a date; weeks start on Monday
+const bucketStart = (date, granularity) => {
+  if (granularity === 'week') {
+    const offset = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+  }
+  if (granularity === 'quarter') return new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1);
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+};
+
+const nextBucket = (start, granularity) => {
+  if (granularity === 'week') return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+  if (granularity === 'quarter') return new Date(start.getFullYear(), start.getMonth() + 3, 1);
+  return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+};
+
+const bucketLabel = (start, granularity) => {
+  if (granularity === 'week') return `${MONTH_NAMES[start.getMonth()]} ${start.getDate()}, ${start.getFullYear()}`;
+  if (granularity === 'quarter') return `Q${Math.floor(start.getMonth() / 3) + 1} ${start.getFullYear()}`;
+  return `${MONTH_NAMES[start.getMonth()]} ${start.getFullYear()}`;
+};
+
+// One row per bucket from the first to the last dated deal, including empty buckets,
+// with counts per series (under counts) plus average pursuits and quality score
+export const buildTrendSeries = (deals, granularity, stackField) => {
+  const dated = deals.filter(deal => deal.marketDate);
+  if (!dated.length) return { rows: [], series: [] };
+
+  // Largest categories get their own stack
+  const totals = new Map();
+  dated.forEach(deal => {
+    const category = deal[stackField] || 'Unknown';
+    totals.set(category, (totals.get(category) || 0) + 1);
+  });
+  const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([category]) => category);
+  const series = ranked.length > MAX_SERIES ? [...ranked.slice(0, MAX_SERIES - 1), OTHER_SERIES] : ranked;
+  const seriesFor = (category) => (series.includes(category) ? category : OTHER_SERIES);
+
+  const buckets = new Map();
+  let first = null;
+  let last = null;
+  dated.forEach(deal => {
+    const start = bucketStart(fromISODate(deal.marketDate), granularity);
+    const key = toISODate(start);
+    if (!first || start < first) first = start;
+    if (!last || start > last) last = start;
+
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { counts: {}, total: 0, pursuits: 0, score: 0 };
+      buckets.set(key, bucket);
+    }
+    const name = seriesFor(deal[stackField] || 'Unknown');
+    bucket.counts[name] = (bucket.counts[name] || 0) + 1;
+    bucket.total += 1;
+    bucket.pursuits += deal["Total Pursuits"] || 0;
+    bucket.score += deal.qualityScore || 0;
+  });
+
+  const rows = [];
+  for (let start = first; start <= last; start = nextBucket(start, granularity)) {
+    const key = toISODate(start);
+    const bucket = buckets.get(key);
+    const next = nextBucket(start, granularity);
+    const end = new Date(next.getFullYear(), next.getMonth(), next.getDate() - 1);
+    const row = {
+      label: bucketLabel(start, granularity),
+      start: key,
+      end: toISODate(end),
+      total: bucket ? bucket.total : 0,
+      avgPursuits: bucket ? bucket.pursuits / bucket.total : null,
+      avgScore: bucket ? bucket.score / bucket.total : null,
+      // Kept apart from the row's own fields, so any category name is safe, e.g. "total" or "St. Louis"
+      counts: Object.fromEntries(series.map(name => [name, bucket?.counts[name] || 0]))
+    };
+    rows.push(row);
+  }
+
+  return { rows, series };
+};
@@ -0,0 +1,140 @@
+import { loadJSON, saveJSON } from './storage';
+import { DASHBOARD_FIELDS } from './columnMapping';
+import { parseAmount } from './formatters';
+
+// Data-quality checks run on every upload. Rows with any issue are held back in quarantine
+// until they are fixed, included or dropped; only warnings can be included as they are.
+
+const ID_FIELD = 'Sellside Project: ID';
+const INTENT_FIELD = 'Deal Intent';
+const KNOWN_INTENTS_KEY = 'knownDealIntents';
+
+export const NUMERIC_FIELDS = [
+  'Revenue', 'EBITDA', 'Total Pursuits', 'Total Recipients', 'Number of Recommendations', 'Pursuit Rate'
+];
+
+// EBITDA can be a genuine loss, so only these are expected to be zero or more
+const NON_NEGATIVE_FIELDS = NUMERIC_FIELDS.filter(field => field !== 'EBITDA');
+
+const REQUIRED_FIELDS = DASHBOARD_FIELDS.filter(field => field.required).map(field => field.key);
+
+// Issue types: errors would break the dashboard, warnings are doubtful but usable.
+// perField types are counted separately for each column in the report.
+export const ISSUE_TYPES = {
+  missingId: { label: 'Missing ID', severity: 'error' },
+  duplicateId: { label: 'Duplicate ID', severity: 'error' },
+  notNumber: { label: 'Text in a number column', severity: 'error', perField: true },
+  missing: { label: 'Missing value', severity: 'warning', perField: true },
+  negative: { label: 'Negative value', severity: 'warning', perField: true },
+  implausible: { label: 'Implausible value', severity: 'warning', perField: true },
+  badDate: { label: 'Unreadable Market Date', severity: 'warning' },
+  unknownIntent: { label: 'Unknown Deal Intent', severity: 'warning' }
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// related lists other columns that could be the one to fix, e.g. Revenue when EBITDA is above it
+const issue = (type, field, message, related = []) => ({
+  type, field, message, related, severity: ISSUE_TYPES[type].severity
+});
+
+// Issues for one mapped row with marketDate annotated.
+// takenIds holds the IDs already in use; knownIntents is skipped when empty.
+export const validateRow = (row, { takenIds = new Set(), knownIntents = [] } = {}) => {
+  const issues = [];
+
+  const id = row[ID_FIELD];
+  if (isBlank(id)) {
+    issues.push(issue('missingId', ID_FIELD, 'No Sellside Project: ID'));
+  } else if (takenIds.has(String(id))) {
+    issues.push(issue('duplicateId', ID_FIELD, `ID ${id} is used by another deal`));
+  }
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (isBlank(row[field])) issues.push(issue('missing', field, `${field} is blank`));
+  });
+
+  NUMERIC_FIELDS.forEach(field => {
+    const value = row[field];
+    if (isBlank(value)) return;
+    if (typeof value !== 'number' || !isFinite(value)) {
+      issues.push(issue('notNumber', field, `${field} is "${value}", not a number`));
+    } else if (value < 0 && NON_NEGATIVE_FIELDS.includes(field)) {
+      issues.push(issue('negative', field, `${field} is negative`));
+    }
+  });
+
+  const number = (field) => (typeof row[field] === 'number' && isFinite(row[field]) ? row[field] : null);
+  if (number('EBITDA') !== null && number('Revenue') !== null && number('EBITDA') > number('Revenue')) {
+    issues.push(issue('implausible', 'EBITDA', 'EBITDA is above Revenue', ['Revenue']));
+  }
+  if (number('Pursuit Rate') !== null && number('Pursuit Rate') > 100) {
+    issues.push(issue('implausible', 'Pursuit Rate', 'Pursuit Rate is above 100%'));
+  }
+
+  if (row.marketDateInvalid) {
+    issues.push(issue('badDate', 'Market Date (Date)', `Market Date "${row['Market Date (Date)']}" cannot be read`));
+  }
+
+  const intent = row[INTENT_FIELD];
+  if (knownIntents.length && !isBlank(intent) && !knownIntents.includes(intent)) {
+    issues.push(issue('unknownIntent', INTENT_FIELD, `Deal Intent "${intent}" has not been seen before`));
+  }
+
+  return issues;
+};
+
+// Split a report into rows that can be loaded and rows held back.
+// The first row with an ID keeps it; later ones are quarantined as duplicates.
+// rowNumber counts the header as line 1, as a spreadsheet would.
+export const validateDeals = (rows, { knownIntents = [] } = {}) => {
+  const valid = [];
+  const quarantined = [];
+  const firstRowById = new Map();
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const issues = validateRow(row, { takenIds: firstRowById, knownIntents });
+    const id = row[ID_FIELD];
+    const duplicate = issues.find(entry => entry.type === 'duplicateId');
+    if (duplicate) duplicate.message = `ID ${id} is also on row ${firstRowById.get(String(id))}`;
+    else if (!isBlank(id)) firstRowById.set(String(id), rowNumber);
+
+    if (issues.length) {
+      const fields = [...new Set(issues.flatMap(entry => [entry.field, ...entry.related]))];
+      quarantined.push({ rowNumber, row, issues, fields });
+    } else {
+      valid.push(row);
+    }
+  });
+
+  return { valid, quarantined };
+};
+
+export const canInclude = (entry) => entry.issues.every(({ severity }) => severity !== 'error');
+
+// Row counts per kind of problem, e.g. "Missing value – Revenue: 3"
+export const summarizeIssues = (entries) => {
+  const counts = new Map();
+  entries.forEach(({ issues }) => {
+    new Set(issues.map(({ type, field }) => (ISSUE_TYPES[type].perField
+      ? `${ISSUE_TYPES[type].label} – ${field}`
+      : ISSUE_TYPES[type].label))).forEach(label => {
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+  });
+  return [...counts.entries()].map(([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count);
+};
+
+// A value typed into the quarantine table: number columns read amounts such as 2.5M, blanks become null
+export const parseEditedValue = (field, text) => {
+  if (String(text).trim() === '') return null;
+  if (!NUMERIC_FIELDS.includes(field)) return text;
+  const amount = parseAmount(text);
+  return amount === null ? text : amount;
+};
+
+// Deal Intent values accepted so far; the first report loaded sets the list
+export const loadKnownIntents = () => loadJSON(KNOWN_INTENTS_KEY, []);
+
+export const saveKnownIntents = (intents) => saveJSON(KNOWN_INTENTS_KEY, intents);